@@ -0,0 +1,441 @@
+/**
+ * Renderer hooks for each algorithm, keyed by the `renderer` name that the
+ * algorithm declares in GET /api/algorithms.
+ *
+ * Every hook is optional and receives the visualizer as its last argument:
+ *   edgeStyle(edge, step, viz)       -> { color, width } or null for the default
+ *   nodeStyle(node, step, viz)       -> { color, borderColor } or null for the default
+ *   nodeAnnotation(node, step, viz)  -> text drawn beside the node, or null
+ *   stateHtml(step, viz)             -> HTML for the algorithm state panel
+ *   resultsHtml(finalResult, viz)    -> HTML for the results panel
+ *   quizQuestions(step, previousStep, viz) -> questions asked in quiz mode before `step` is shown
+ *
+ * A quiz question is { type, prompt, answer, answerLabel, options, isCorrect }. `type` is
+ * 'edge' or 'node' (answered by clicking the canvas), 'choice' (one button per option) or
+ * 'number'. `isCorrect(answer)` is optional and lets ties count as right; by default the
+ * answer must equal `answer`.
+ *
+ * Algorithms without an entry use the generic renderer, which understands the
+ * common step fields (mstEdges, shortestPaths, distances, totalCost).
+ */
+
+const COLORS = {
+    accepted: { color: '#10b981', width: 4 },
+    current: { color: '#f59e0b', width: 3 },
+    rejected: { color: '#ef4444', width: 2 },
+    doneNode: { color: '#10b981', borderColor: '#059669' },
+    currentNode: { color: '#f59e0b', borderColor: '#d97706' },
+    openNode: { color: '#8b5cf6', borderColor: '#6d28d9' },
+    badNode: { color: '#ef4444', borderColor: '#b91c1c' }
+};
+
+// Node IDs, labels and edge IDs come from the user's graph, which may arrive through a
+// shared link, so everything interpolated into panel HTML goes through this
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function joinEscaped(values, separator = ', ') {
+    return (values || []).map(escapeHtml).join(separator);
+}
+
+// Traces encode infinite distances as the strings "Infinity" and "-Infinity" (see GET /api/schema)
+function decodeNumber(value) {
+    if (value === 'Infinity') return Infinity;
+    if (value === '-Infinity') return -Infinity;
+    return value;
+}
+
+function isFiniteDistance(value) {
+    return Number.isFinite(decodeNumber(value));
+}
+
+function formatDistance(value) {
+    const number = decodeNumber(value);
+    if (number === -Infinity) return '-∞';
+    return number === null || number === undefined || number === Infinity ? '∞' : String(number);
+}
+
+function sameNumber(a, b) {
+    return Math.abs(Number(decodeNumber(a)) - Number(decodeNumber(b))) < 1e-9;
+}
+
+function formatEdge(edge) {
+    return `${escapeHtml(edge.from || '?')} - ${escapeHtml(edge.to || '?')} (weight: ${escapeHtml(edge.weight || 0)})`;
+}
+
+function mstStateHtml(step) {
+    return step.totalCost !== undefined && step.totalCost !== null
+        ? `<strong>MST Cost:</strong> ${escapeHtml(step.totalCost)}`
+        : '';
+}
+
+function mstResultsHtml(finalResult) {
+    if (finalResult.connected === false && Array.isArray(finalResult.trees)) {
+        let html = `
+            <strong>Graph is disconnected: Minimum Spanning Forest Found!</strong><br><br>
+            <strong>Total Cost:</strong> ${escapeHtml(finalResult.totalCost || 0)}<br>
+            <strong>Trees:</strong> ${finalResult.trees.length}<br><br>
+        `;
+
+        html += finalResult.trees.map((tree, index) => {
+            const edgeList = (tree.edges || []).map(formatEdge).join(', ');
+            return `<strong>Tree ${index + 1}</strong> [${joinEscaped(tree.nodes)}] cost ${escapeHtml(tree.totalCost || 0)}` +
+                (edgeList ? `: ${edgeList}` : ': single node');
+        }).join('<br>');
+        return html;
+    }
+
+    return `
+        <strong>Minimum Spanning Tree Found!</strong><br><br>
+        <strong>Total Cost:</strong> ${escapeHtml(finalResult.totalCost || 0)}<br>
+        <strong>Edges in MST:</strong> ${escapeHtml(finalResult.edgeCount || 0)}<br><br>
+        <strong>Selected Edges:</strong><br>
+    ` + (finalResult.mstEdges || []).map(formatEdge).join('<br>');
+}
+
+function distancesHtml(distances) {
+    return '<strong>Distances:</strong><br>' + Object.entries(distances || {})
+        .map(([node, dist]) => `${escapeHtml(node || 'unknown')}: ${escapeHtml(formatDistance(dist))}<br>`)
+        .join('');
+}
+
+function shortestPathsResultsHtml(finalResult) {
+    let html = `<strong>Shortest Paths from ${escapeHtml(finalResult.sourceNode || '?')}:</strong><br><br>`;
+
+    Object.entries(finalResult.distances || {}).forEach(([node, dist]) => {
+        const distStr = isFiniteDistance(dist) ? escapeHtml(dist) : 'No path';
+        const pathData = finalResult.shortestPaths && finalResult.shortestPaths[node];
+        const pathInfo = pathData && pathData.path && pathData.path.length > 0
+            ? ` (${joinEscaped(pathData.path, ' → ')})`
+            : '';
+        html += `<strong>${escapeHtml(node || '?')}:</strong> ${distStr}${pathInfo}<br>`;
+    });
+    return html;
+}
+
+const generic = {
+    edgeStyle(edge, step, viz) {
+        if (step.mstEdges?.some(e => e && e.id === edge.id)) return COLORS.accepted;
+        if (viz.isEdgeOnPaths(edge, step.shortestPaths)) return COLORS.accepted;
+        return null;
+    },
+
+    nodeStyle(node, step) {
+        if (step.currentNode === node.id) return COLORS.currentNode;
+        if (step.visited?.includes(node.id) || step.visitedNodes?.includes(node.id)) return COLORS.doneNode;
+        return null;
+    },
+
+    stateHtml(step) {
+        if (step.distances) return distancesHtml(step.distances);
+        return mstStateHtml(step);
+    },
+
+    resultsHtml(finalResult) {
+        if (Array.isArray(finalResult.mstEdges)) return mstResultsHtml(finalResult);
+        if (finalResult.distances) return shortestPathsResultsHtml(finalResult);
+        return `<pre>${escapeHtml(JSON.stringify(finalResult, null, 2))}</pre>`;
+    }
+};
+
+const ALGORITHM_RENDERERS = {
+    generic,
+
+    kruskal: {
+        edgeStyle(edge, step) {
+            const mstEdge = step.mstEdges?.find(e => e && e.id === edge.id);
+            if (mstEdge && mstEdge.status === 'accepted') return COLORS.accepted;
+
+            const sortedEdge = step.sortedEdges?.find(e => e && e.id === edge.id);
+            if (sortedEdge?.status === 'rejected') return COLORS.rejected;
+            if (sortedEdge?.status === 'accepted') return COLORS.accepted;
+            if (step.currentEdge?.id === edge.id) return COLORS.current;
+            return null;
+        },
+
+        stateHtml(step) {
+            let html = '';
+            if (Array.isArray(step.unionFindState)) {
+                html = '<strong>Connected Components:</strong><br>';
+                step.unionFindState.forEach((component, index) => {
+                    if (Array.isArray(component)) {
+                        html += `Component ${index + 1}: [${joinEscaped(component)}]<br>`;
+                    }
+                });
+                html += '<br>';
+            }
+            return html + mstStateHtml(step);
+        },
+
+        resultsHtml: mstResultsHtml,
+
+        quizQuestions(step, previousStep) {
+            const edge = step.currentEdge;
+            if (!edge || !['accept', 'reject'].includes(step.action)) return [];
+
+            // Edges of equal weight may be taken in any order
+            const candidates = (previousStep.sortedEdges || [])
+                .filter(e => e.status === 'pending' && e.weight === edge.weight)
+                .map(e => e.id);
+
+            return [
+                {
+                    type: 'edge',
+                    prompt: 'Click the edge Kruskal considers next.',
+                    answer: edge.id,
+                    answerLabel: `${edge.from}-${edge.to} (weight: ${edge.weight || 0})`,
+                    isCorrect: id => candidates.includes(id)
+                },
+                {
+                    type: 'choice',
+                    prompt: `Kruskal considers ${edge.from}-${edge.to} (weight: ${edge.weight || 0}). Will it be accepted or rejected?`,
+                    options: [
+                        { value: 'accept', label: 'Accepted' },
+                        { value: 'reject', label: 'Rejected (cycle)' }
+                    ],
+                    answer: step.action,
+                    answerLabel: step.action === 'reject' ? 'Rejected, it would close a cycle' : 'Accepted'
+                }
+            ];
+        }
+    },
+
+    prim: {
+        edgeStyle(edge, step) {
+            if (step.mstEdges?.some(e => e && e.id === edge.id)) return COLORS.accepted;
+            if (step.currentEdge?.id === edge.id) return COLORS.current;
+            return null;
+        },
+
+        nodeStyle(node, step) {
+            return step.visitedNodes?.includes(node.id) ? COLORS.doneNode : null;
+        },
+
+        stateHtml(step) {
+            const visited = Array.isArray(step.visitedNodes)
+                ? `<strong>Visited Nodes:</strong> [${joinEscaped(step.visitedNodes)}]<br>`
+                : '';
+            return visited + mstStateHtml(step);
+        },
+
+        resultsHtml: mstResultsHtml,
+
+        quizQuestions(step, previousStep) {
+            const edge = step.currentEdge;
+            if (!edge || step.action !== 'accept') return [];
+
+            return [{
+                type: 'node',
+                prompt: 'Click the vertex Prim adds to the tree next.',
+                answer: edge.to,
+                answerLabel: `${edge.to}, through edge ${edge.from}-${edge.to} (weight: ${edge.weight || 0})`,
+                isCorrect: id => (previousStep.priorityQueue || []).some(e => e.to === id && e.weight === edge.weight)
+            }];
+        }
+    },
+
+    boruvka: {
+        edgeStyle(edge, step, viz) {
+            if (step.mstEdges?.some(e => e && e.id === edge.id)) {
+                const mergedNow = step.mergedEdges?.some(e => e && e.id === edge.id);
+                return { color: viz.getComponentColor(edge.from, step.components), width: mergedNow ? 6 : 4 };
+            }
+            if (step.cheapestEdges?.some(c => c && c.edge && c.edge.id === edge.id)) return COLORS.current;
+            return null;
+        },
+
+        nodeStyle(node, step, viz) {
+            if (!step.components) return null;
+            const color = viz.getComponentColor(node.id, step.components);
+            return { color, borderColor: color };
+        },
+
+        stateHtml(step, viz) {
+            let html = step.phase ? `<strong>Phase:</strong> ${escapeHtml(step.phase)}<br><br>` : '';
+
+            if (Array.isArray(step.cheapestEdges) && step.cheapestEdges.length > 0) {
+                html += '<strong>Cheapest outgoing edges:</strong><br>';
+                step.cheapestEdges.forEach(choice => {
+                    const edge = choice.edge || {};
+                    html += `[${joinEscaped(choice.component)}] → ${escapeHtml(edge.from)}-${escapeHtml(edge.to)} (weight: ${escapeHtml(edge.weight || 0)})<br>`;
+                });
+                html += '<br>';
+            }
+
+            html += '<strong>Components:</strong><br>';
+            (step.components || []).forEach(component => {
+                if (Array.isArray(component)) {
+                    const color = viz.getComponentColor(component[0], step.components);
+                    html += `<span style="color: ${escapeHtml(color)};">■</span> [${joinEscaped(component)}]<br>`;
+                }
+            });
+            return html + '<br>' + mstStateHtml(step);
+        },
+
+        resultsHtml: mstResultsHtml
+    },
+
+    dijkstra: {
+        edgeStyle(edge, step, viz) {
+            return viz.isEdgeOnPaths(edge, step.shortestPaths) ? COLORS.accepted : null;
+        },
+
+        nodeStyle(node, step) {
+            if (step.visited?.includes(node.id)) return COLORS.doneNode;
+            if (step.currentNode === node.id) return COLORS.currentNode;
+            return null;
+        },
+
+        stateHtml(step) {
+            return step.distances ? distancesHtml(step.distances) : '';
+        },
+
+        resultsHtml: shortestPathsResultsHtml,
+
+        quizQuestions(step, previousStep) {
+            if (step.action === 'process_node' && step.currentNode) {
+                const queue = previousStep.priorityQueue || [];
+                const closest = queue.length > 0 ? Math.min(...queue.map(e => decodeNumber(e.distance))) : null;
+
+                return [{
+                    type: 'node',
+                    prompt: 'Click the node Dijkstra visits next.',
+                    answer: step.currentNode,
+                    answerLabel: `${step.currentNode} (distance ${formatDistance(step.distances?.[step.currentNode])})`,
+                    isCorrect: id => queue.some(e => e.nodeId === id && sameNumber(e.distance, closest))
+                }];
+            }
+
+            const updated = step.updatedNeighbors?.[0];
+            if (step.action === 'update_distances' && updated) {
+                return [{
+                    type: 'number',
+                    prompt: `Dijkstra relaxes the edges out of ${updated.via}. What is the new tentative distance of ${updated.nodeId}?`,
+                    answer: updated.newDistance,
+                    answerLabel: formatDistance(updated.newDistance),
+                    isCorrect: value => sameNumber(value, updated.newDistance)
+                }];
+            }
+            return [];
+        }
+    },
+
+    'bellman-ford': {
+        edgeStyle(edge, step, viz) {
+            if (step.negativeCycle?.edges?.some(e => e && e.id === edge.id)) return { color: '#ef4444', width: 4 };
+            if (step.relaxedEdges?.some(e => e && e.id === edge.id)) return COLORS.current;
+            if (viz.isEdgeOnPaths(edge, step.shortestPaths)) return COLORS.accepted;
+            return null;
+        },
+
+        nodeStyle(node, step) {
+            if (step.negativeCycle?.nodes?.includes(node.id)) return COLORS.badNode;
+            if (step.relaxedEdges?.some(e => e && e.to === node.id)) return COLORS.currentNode;
+            if (step.distances && isFiniteDistance(step.distances[node.id])) {
+                return COLORS.doneNode;
+            }
+            return null;
+        },
+
+        stateHtml(step) {
+            let html = step.pass ? `<strong>Pass:</strong> ${escapeHtml(step.pass)}<br><br>` : '';
+
+            if (step.distances) html += distancesHtml(step.distances);
+
+            if (Array.isArray(step.relaxedEdges) && step.relaxedEdges.length > 0) {
+                html += '<br><strong>Relaxed this pass:</strong><br>';
+                step.relaxedEdges.forEach(edge => {
+                    html += `${escapeHtml(edge.from)} → ${escapeHtml(edge.to)} (w: ${escapeHtml(edge.weight)}): ${escapeHtml(formatDistance(edge.oldDistance))} → ${escapeHtml(formatDistance(edge.newDistance))}<br>`;
+                });
+            }
+
+            if (step.negativeCycle && Array.isArray(step.negativeCycle.nodes)) {
+                html += `<br><strong>Negative cycle:</strong> ${joinEscaped(step.negativeCycle.nodes, ' → ')} → ${escapeHtml(step.negativeCycle.nodes[0])} (weight: ${escapeHtml(step.negativeCycle.weight)})`;
+            }
+            return html;
+        },
+
+        resultsHtml(finalResult) {
+            if (finalResult.hasNegativeCycle && finalResult.negativeCycle) {
+                const cycle = finalResult.negativeCycle;
+                return `
+                    <strong>Negative cycle detected!</strong><br><br>
+                    <strong>Cycle:</strong> ${joinEscaped(cycle.nodes, ' → ')} → ${escapeHtml(cycle.nodes[0])}<br>
+                    <strong>Total weight:</strong> ${escapeHtml(cycle.weight)}<br><br>
+                    Distances can be lowered forever by looping around this cycle, so no shortest paths exist.
+                `;
+            }
+            return shortestPathsResultsHtml(finalResult);
+        }
+    },
+
+    astar: {
+        edgeStyle(edge, step, viz) {
+            return viz.isEdgeOnPaths(edge, step.shortestPaths) ? COLORS.accepted : null;
+        },
+
+        nodeStyle(node, step) {
+            if (step.currentNode === node.id) return COLORS.currentNode;
+            if (step.closedSet?.includes(node.id)) return COLORS.doneNode;
+            if (step.openSet?.includes(node.id)) return COLORS.openNode;
+            return null;
+        },
+
+        nodeAnnotation(node, step) {
+            const fScore = step.fScores?.[node.id];
+            return isFiniteDistance(fScore) ? `f=${fScore}` : null;
+        },
+
+        stateHtml(step) {
+            let html = `<strong>Open set:</strong> [${joinEscaped(step.openSet)}]<br>`;
+            html += `<strong>Closed set:</strong> [${joinEscaped(step.closedSet)}]<br><br>`;
+            html += '<strong>Scores (g + h = f):</strong><br>';
+            Object.keys(step.hScores || {}).forEach(node => {
+                html += `${escapeHtml(node)}: ${escapeHtml(formatDistance(step.gScores?.[node]))} + ${escapeHtml(formatDistance(step.hScores[node]))} = ${escapeHtml(formatDistance(step.fScores?.[node]))}<br>`;
+            });
+            return html;
+        },
+
+        quizQuestions(step, previousStep) {
+            if (step.action !== 'process_node' || !step.currentNode) return [];
+
+            const open = previousStep.openSet || [];
+            const best = previousStep.fScores?.[step.currentNode];
+
+            return [{
+                type: 'node',
+                prompt: 'Click the node A* expands next.',
+                answer: step.currentNode,
+                answerLabel: `${step.currentNode} (f = ${formatDistance(best)})`,
+                isCorrect: id => open.includes(id) && sameNumber(previousStep.fScores?.[id], best)
+            }];
+        },
+
+        resultsHtml(finalResult) {
+            let html = finalResult.pathExists
+                ? `
+                    <strong>Path from ${escapeHtml(finalResult.sourceNode)} to ${escapeHtml(finalResult.targetNode)}:</strong><br>
+                    ${joinEscaped(finalResult.path, ' → ')}<br><br>
+                    <strong>Cost:</strong> ${escapeHtml(finalResult.cost)}<br>
+                `
+                : `<strong>No path from ${escapeHtml(finalResult.sourceNode)} to ${escapeHtml(finalResult.targetNode)}</strong><br><br>`;
+
+            html += `
+                <strong>Heuristic:</strong> ${escapeHtml(finalResult.heuristic)} (scale ${escapeHtml(finalResult.heuristicScale)})<br>
+                <strong>Nodes expanded:</strong> ${escapeHtml(finalResult.expandedCount)} [${joinEscaped(finalResult.expandedNodes)}]
+            `;
+            return html;
+        }
+    }
+};
+
+// POST /api/render draws with the same rules on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ALGORITHM_RENDERERS };
+}
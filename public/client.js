@@ -1,6 +1,5 @@
 /**
  * Greedy Algorithm Visualizer - Client JavaScript
- * FIXED VERSION - Handles null values properly
  */
 
 class AlgorithmVisualizer {
@@ -8,38 +7,288 @@ class AlgorithmVisualizer {
         this.canvas = document.getElementById('graph-canvas');
         this.ctx = this.canvas.getContext('2d');
         this.currentAlgorithm = 'kruskal';
+        // Algorithm definitions from GET /api/algorithms: metadata, inputs and renderer name
+        this.algorithms = [];
+        // Graph models from GET /api/graph/generators, fetched when the dialog first opens
+        this.generators = null;
+        // Library entry { id, name, builtIn } the graph on screen was loaded from, if any
+        this.libraryEntry = null;
+        // Counts library searches, so a slow response cannot overwrite a newer one
+        this.librarySearch = 0;
         this.currentGraph = null;
         this.algorithmSteps = [];
         this.currentStep = 0;
         this.animationSpeed = 800;
         this.isAnimating = false;
         this.animationTimeout = null;
+        this.resultEdgeIds = null;
+        // Compare mode: a second trace drawn on its own canvas, stepped in sync with the main one
+        this.comparison = null;
+        this.compareCanvas = document.getElementById('compare-canvas');
+        this.compareCtx = this.compareCanvas.getContext('2d');
+        // AbortController of a streamed run that is still receiving steps
+        this.streamController = null;
+        // Quiz mode: { pending, asked, correct, mistakes, feedback } while enabled, otherwise null
+        this.quiz = null;
+        // "Enter my answer" mode: { edgeIds, result } while enabled, otherwise null
+        this.answer = null;
+        // Every MST of the graph from POST /api/msts, and the one on screen: { result, index } or null
+        this.msts = null;
+        // Pan and zoom shared by both panes: screen = graph * scale + offset, in layout pixels
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        // How much setupCanvas() shrinks the 800x500 layout to fit a compare pane
+        this.paneScale = 1;
+        // Pointer position and view at the start of a drag that pans the canvas
+        this.panState = null;
+        // Union-find panel: step index last drawn, and the frame of a running pointer animation
+        this.unionFindStep = null;
+        this.unionFindFrame = null;
+        this.editMode = false;
+        this.editorState = {
+            selected: null,
+            dragNode: null,
+            edgeStart: null,
+            pointer: null,
+            moved: false,
+            addOnRelease: false
+        };
+
+        // Fragment of the permalink on screen, so our own pushState is not reopened
+        this.appliedFragment = null;
 
         this.initializeEventListeners();
         this.loadSampleGraph();
         this.setupCanvas();
-        this.updateAlgorithmInfo();
+        this.algorithmsReady = this.loadAlgorithms();
+
+        if (window.location.hash) {
+            this.openPermalink(window.location.hash);
+        }
     }
 
-    initializeEventListeners() {
-        // Navigation
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.switchAlgorithm(e.target.dataset.algorithm);
+    async loadAlgorithms() {
+        try {
+            const response = await fetch('/api/algorithms', { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+
+            this.algorithms = await response.json();
+            if (!this.getAlgorithmDefinition(this.currentAlgorithm) && this.algorithms.length > 0) {
+                this.currentAlgorithm = this.algorithms[0].id;
+            }
+
+            this.buildAlgorithmNav();
+            this.buildAlgorithmInputs();
+            this.buildCompareOptions();
+
+            this.updateAlgorithmInfo();
+            this.updateAlgorithmInputs();
+        } catch (error) {
+            console.error('Could not load algorithms:', error);
+            document.getElementById('algorithm-title').textContent = 'Algorithms unavailable';
+            document.getElementById('algorithm-description').textContent =
+                'Could not load the algorithm list from the server. Please make sure the server is running with "npm start".';
+        }
+    }
+
+    buildAlgorithmNav() {
+        const nav = document.getElementById('algorithm-nav');
+        nav.innerHTML = '';
+
+        this.algorithms.forEach(definition => {
+            const btn = document.createElement('button');
+            btn.className = 'nav-btn';
+            btn.dataset.algorithm = definition.id;
+            btn.textContent = definition.name;
+            btn.classList.toggle('active', definition.id === this.currentAlgorithm);
+            btn.addEventListener('click', () => this.switchAlgorithm(definition.id));
+            nav.appendChild(btn);
+        });
+    }
+
+    // One hidden panel of selects per algorithm, shown while that algorithm is selected
+    buildAlgorithmInputs() {
+        const container = document.getElementById('algorithm-inputs');
+        container.innerHTML = '';
+
+        this.algorithms.forEach(definition => {
+            if (definition.inputs.length === 0) return;
+
+            const panel = document.createElement('div');
+            panel.id = `${definition.id}-inputs`;
+            panel.className = 'algo-input';
+            panel.style.display = 'none';
+
+            definition.inputs.forEach(input => {
+                const row = document.createElement('div');
+                row.className = 'input-row';
+
+                const label = document.createElement('label');
+                label.htmlFor = this.getInputElementId(definition.id, input);
+                label.textContent = `${input.label}:`;
+
+                const select = document.createElement('select');
+                select.id = this.getInputElementId(definition.id, input);
+                select.dataset.inputType = input.type;
+                select.dataset.placeholder = input.placeholder || '';
+
+                if (input.type === 'select') {
+                    (input.options || []).forEach(choice => {
+                        const option = document.createElement('option');
+                        option.value = choice.value;
+                        option.textContent = choice.label || choice.value;
+                        select.appendChild(option);
+                    });
+                    if (input.default !== undefined) select.value = input.default;
+                }
+
+                row.appendChild(label);
+                row.appendChild(select);
+                panel.appendChild(row);
             });
+
+            container.appendChild(panel);
+        });
+
+        this.populateNodeSelects();
+    }
+
+    buildCompareOptions() {
+        const select = document.getElementById('compare-algorithm');
+        select.innerHTML = '<option value="">Nothing (single run)</option>';
+
+        this.algorithms.forEach(definition => {
+            const option = document.createElement('option');
+            option.value = definition.id;
+            option.textContent = definition.name;
+            select.appendChild(option);
+        });
+
+        this.updateCompareOptions();
+    }
+
+    getAlgorithmDefinition(algorithm = this.currentAlgorithm) {
+        return this.algorithms.find(definition => definition.id === algorithm) || null;
+    }
+
+    getAlgorithmName(algorithm) {
+        const definition = this.getAlgorithmDefinition(algorithm);
+        return definition ? definition.name : algorithm;
+    }
+
+    getInputElementId(algorithm, input) {
+        return `${algorithm}-${input.name}`;
+    }
+
+    // Renderer hooks from algorithm-renderers.js; unknown renderers fall back to the generic one
+    getRenderer(algorithm = this.currentAlgorithm) {
+        const definition = this.getAlgorithmDefinition(algorithm);
+        const name = definition ? definition.renderer : algorithm;
+        return ALGORITHM_RENDERERS[name] || ALGORITHM_RENDERERS.generic;
+    }
+
+    // Reads the non-empty values from an algorithm's input panel
+    collectAlgorithmInputs(algorithm) {
+        const definition = this.getAlgorithmDefinition(algorithm);
+        const params = {};
+
+        (definition ? definition.inputs : []).forEach(input => {
+            const element = document.getElementById(this.getInputElementId(algorithm, input));
+            if (element && element.value) params[input.name] = element.value;
         });
 
+        return params;
+    }
+
+    checkRequiredInputs(algorithm, params) {
+        const definition = this.getAlgorithmDefinition(algorithm);
+        const missing = (definition ? definition.inputs : []).find(input => input.required && !params[input.name]);
+
+        if (missing) {
+            throw new Error(`Please select a ${missing.label.toLowerCase()} for ${definition.name}`);
+        }
+    }
+
+    initializeEventListeners() {
         // Theme toggle
         document.getElementById('theme-btn').addEventListener('click', this.toggleTheme);
 
         // Control buttons
         document.getElementById('sample-graph-btn').addEventListener('click', () => this.loadSampleGraph());
-        document.getElementById('random-graph-btn').addEventListener('click', () => this.generateRandomGraph());
+        document.getElementById('random-graph-btn').addEventListener('click', () => this.openGenerateDialog());
+        document.getElementById('generator-model').addEventListener('change', () => this.updateGeneratorParams());
+        document.getElementById('generate-graph-btn').addEventListener('click', () => this.generateRandomGraph());
+        document.getElementById('generate-close').addEventListener('click', () => this.closeGenerateDialog());
+        document.getElementById('generate-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'generate-modal') this.closeGenerateDialog();
+        });
+        document.getElementById('library-btn').addEventListener('click', () => this.openLibrary());
+        document.getElementById('library-close').addEventListener('click', () => this.closeLibrary());
+        document.getElementById('library-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'library-modal') this.closeLibrary();
+        });
+        document.getElementById('library-search').addEventListener('input', () => this.loadLibrary());
+        document.getElementById('library-save-btn').addEventListener('click', () => this.saveToLibrary(false));
+        document.getElementById('library-update-btn').addEventListener('click', () => this.saveToLibrary(true));
+        document.getElementById('relayout-btn').addEventListener('click', () => {
+            this.relayoutGraph(document.getElementById('layout-algorithm').value);
+        });
         document.getElementById('custom-graph-btn').addEventListener('click', () => this.toggleCustomInput());
         document.getElementById('load-graph-btn').addEventListener('click', () => this.loadCustomGraph());
+        document.getElementById('edit-graph-btn').addEventListener('click', () => this.toggleEditMode());
+        document.getElementById('directed-toggle').addEventListener('change', (e) => this.setGraphDirected(e.target.checked));
+        document.getElementById('import-graph-btn').addEventListener('click', () => {
+            document.getElementById('graph-file-input').click();
+        });
+        document.getElementById('graph-file-input').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.importGraphFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('export-graph-btn').addEventListener('click', () => this.exportGraph());
+        document.getElementById('export-image-btn').addEventListener('click', () => {
+            this.exportImage(document.getElementById('image-export-format').value);
+        });
+        document.getElementById('share-link-btn').addEventListener('click', () => this.shareLink());
+        // Back and forward move between the permalinks opened or created in this tab
+        window.addEventListener('hashchange', () => this.openPermalink(window.location.hash));
         document.getElementById('run-algorithm-btn').addEventListener('click', () => this.runAlgorithm());
-        document.getElementById('step-btn').addEventListener('click', () => this.nextStep());
+        document.getElementById('compare-algorithm').addEventListener('change', () => this.updateAlgorithmInputs());
+        document.getElementById('quiz-toggle').addEventListener('change', (e) => this.setQuizMode(e.target.checked));
+        document.getElementById('answer-toggle').addEventListener('change', (e) => this.setAnswerMode(e.target.checked));
+        document.getElementById('check-answer-btn').addEventListener('click', () => this.checkAnswer());
+        document.getElementById('find-msts-btn').addEventListener('click', () => this.findAllMsts());
+        document.getElementById('msts-prev-btn').addEventListener('click', () => this.showMst(this.msts.index - 1));
+        document.getElementById('msts-next-btn').addEventListener('click', () => this.showMst(this.msts.index + 1));
+        document.getElementById('msts-close-btn').addEventListener('click', () => this.closeMsts());
+        document.getElementById('clear-answer-btn').addEventListener('click', () => this.resetAnswer());
+        document.getElementById('step-btn').addEventListener('click', () => {
+            this.pausePlayback();
+            this.nextStep();
+        });
         document.getElementById('reset-btn').addEventListener('click', () => this.resetVisualization());
+        document.getElementById('cancel-run-btn').addEventListener('click', () => this.cancelStream());
+
+        // Playback
+        document.getElementById('play-btn').addEventListener('click', () => this.togglePlayback());
+        document.getElementById('prev-step-btn').addEventListener('click', () => {
+            this.pausePlayback();
+            this.previousStep();
+        });
+        document.getElementById('first-step-btn').addEventListener('click', () => {
+            this.pausePlayback();
+            this.goToStep(0);
+        });
+        document.getElementById('last-step-btn').addEventListener('click', () => {
+            this.pausePlayback();
+            this.goToStep(this.getLastStepIndex());
+        });
+        document.getElementById('step-timeline').addEventListener('input', (e) => {
+            // Read the target first: pausing resets the slider to the current step
+            const index = parseInt(e.target.value, 10);
+            this.pausePlayback();
+            this.goToStep(index);
+        });
 
         // Animation speed
         document.getElementById('animation-speed').addEventListener('input', (e) => {
@@ -62,19 +311,59 @@ class AlgorithmVisualizer {
             }
         });
 
+        // Canvas graph editor
+        this.canvas.addEventListener('mousedown', (e) => this.handleCanvasMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleCanvasMouseMove(e));
+        this.canvas.addEventListener('mouseup', (e) => this.handleCanvasMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => {
+            this.panState = null;
+            this.canvas.classList.remove('panning');
+            if (this.editMode) this.cancelCanvasDrag();
+        });
+        this.canvas.addEventListener('wheel', (e) => this.handleCanvasWheel(e), { passive: false });
+        this.canvas.addEventListener('auxclick', (e) => e.preventDefault());
+        document.getElementById('zoom-in-btn').addEventListener('click', () => this.zoomBy(1.25));
+        document.getElementById('zoom-out-btn').addEventListener('click', () => this.zoomBy(0.8));
+        document.getElementById('fit-view-btn').addEventListener('click', () => this.fitView());
+        this.canvas.addEventListener('dblclick', (e) => this.handleCanvasDoubleClick(e));
+        this.canvas.addEventListener('keydown', (e) => this.handleCanvasKeyDown(e));
+
+        // Drop a DOT, GraphML, CSV, DIMACS or JSON file on the canvas to import it
+        this.canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.canvas.classList.add('drop-target');
+        });
+        this.canvas.addEventListener('dragleave', () => this.canvas.classList.remove('drop-target'));
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.canvas.classList.remove('drop-target');
+            if (e.dataTransfer.files.length > 0) this.importGraphFile(e.dataTransfer.files[0]);
+        });
+
         window.addEventListener('resize', () => this.setupCanvas());
     }
 
     setupCanvas() {
-        const rect = this.canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
+        [this.canvas, this.compareCanvas].forEach(canvas => {
+            // Let CSS decide the size again, e.g. after switching into or out of the split view
+            canvas.style.width = '';
+            canvas.style.height = '';
+
+            const rect = canvas.getBoundingClientRect();
+            if (rect.width === 0) return;
 
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
+            const dpr = window.devicePixelRatio || 1;
+            // Graphs are laid out for an 800px canvas; the half-width compare panes draw them smaller
+            const scale = this.comparison ? Math.min(1, rect.width / 800, rect.height / 500) : 1;
+            if (canvas === this.canvas) this.paneScale = scale;
 
-        this.ctx.scale(dpr, dpr);
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
+            canvas.width = rect.width * dpr;
+            canvas.height = rect.height * dpr;
+
+            canvas.getContext('2d').scale(dpr * scale, dpr * scale);
+            canvas.style.width = rect.width + 'px';
+            canvas.style.height = rect.height + 'px';
+        });
 
         this.redrawGraph();
     }
@@ -90,77 +379,104 @@ class AlgorithmVisualizer {
         this.resetVisualization();
         this.updateAlgorithmInfo();
         this.updateAlgorithmInputs();
+        this.updateCompareOptions();
+    }
+
+    updateCompareOptions() {
+        const select = document.getElementById('compare-algorithm');
+        Array.from(select.options).forEach(option => {
+            option.disabled = option.value === this.currentAlgorithm;
+        });
+
+        if (select.value === this.currentAlgorithm) {
+            select.value = '';
+            this.updateAlgorithmInputs();
+        }
     }
 
     updateAlgorithmInfo() {
-        const info = this.getAlgorithmInfo(this.currentAlgorithm);
+        const info = this.getAlgorithmDefinition() || {};
 
-        document.getElementById('algorithm-title').textContent = info.algorithm || 'Algorithm';
+        document.getElementById('algorithm-title').textContent = info.name || 'Algorithm';
         document.getElementById('algorithm-description').textContent = info.description || 'Description';
         document.getElementById('time-complexity').textContent = info.timeComplexity || 'O(?)';
         document.getElementById('space-complexity').textContent = info.spaceComplexity || 'O(?)';
+
+        this.buildPseudocode(info.pseudocode || []);
     }
 
-    getAlgorithmInfo(algorithm) {
-        const info = {
-            'kruskal': {
-                algorithm: "Kruskal's Algorithm",
-                description: "Finds the Minimum Spanning Tree by sorting edges and using Union-Find to avoid cycles.",
-                timeComplexity: "O(E log E)",
-                spaceComplexity: "O(V)"
-            },
-            'prim': {
-                algorithm: "Prim's Algorithm", 
-                description: "Finds the Minimum Spanning Tree by growing from a starting vertex using a priority queue.",
-                timeComplexity: "O(E log V)",
-                spaceComplexity: "O(V)"
-            },
-            'dijkstra': {
-                algorithm: "Dijkstra's Algorithm",
-                description: "Finds shortest paths from a source vertex to all other vertices using a priority queue.",
-                timeComplexity: "O((V + E) log V)",
-                spaceComplexity: "O(V)"
-            }
-        };
-        return info[algorithm] || info['kruskal'];
+    buildPseudocode(lines) {
+        const list = document.getElementById('pseudocode-lines');
+        list.innerHTML = '';
+
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+
+        document.getElementById('pseudocode-panel').style.display = lines.length > 0 ? 'block' : 'none';
+        this.updatePseudocode(null);
+    }
+
+    // Highlights the line the step executed and lists the loop variables at that point
+    updatePseudocode(step) {
+        const lines = document.getElementById('pseudocode-lines').children;
+        Array.from(lines).forEach((item, index) => {
+            item.classList.toggle('active', Boolean(step) && step.pseudocodeLine === index + 1);
+        });
+
+        const variables = document.getElementById('pseudocode-variables');
+        variables.innerHTML = '';
+
+        Object.entries((step && step.variables) || {}).forEach(([name, value]) => {
+            const entry = document.createElement('span');
+            entry.className = 'pseudocode-variable';
+            entry.textContent = `${name} = ${formatDistance(value)}`;
+            variables.appendChild(entry);
+        });
     }
 
+    // Shows the inputs of the selected algorithm and, in compare mode, of the second one too
     updateAlgorithmInputs() {
         document.querySelectorAll('.algo-input').forEach(input => {
             input.style.display = 'none';
         });
 
-        const inputElement = document.getElementById(`${this.currentAlgorithm}-inputs`);
-        if (inputElement) {
-            inputElement.style.display = 'block';
-            this.populateNodeSelects();
-        }
+        const compareWith = document.getElementById('compare-algorithm').value;
+        [this.currentAlgorithm, compareWith].forEach(algorithm => {
+            const inputElement = algorithm && document.getElementById(`${algorithm}-inputs`);
+            if (inputElement) {
+                inputElement.style.display = 'block';
+            }
+        });
+
+        this.populateNodeSelects();
     }
 
     populateNodeSelects() {
         if (!this.currentGraph || !this.currentGraph.nodes) return;
 
-        const selects = ['source-node', 'target-node', 'start-node'];
-        selects.forEach(selectId => {
-            const select = document.getElementById(selectId);
-            if (select) {
-                const currentValue = select.value;
-                select.innerHTML = selectId === 'target-node' ? '<option value="">All nodes</option>' 
-                                 : selectId === 'start-node' ? '<option value="">Auto select</option>'
-                                 : '<option value="">Select source...</option>';
-
-                this.currentGraph.nodes.forEach(node => {
-                    if (node && node.id) {
-                        const option = document.createElement('option');
-                        option.value = node.id;
-                        option.textContent = node.label || `Node ${node.id}`;
-                        select.appendChild(option);
-                    }
-                });
-
-                if (currentValue && [...select.options].some(opt => opt.value === currentValue)) {
-                    select.value = currentValue;
+        document.querySelectorAll('select[data-input-type="node"]').forEach(select => {
+            const currentValue = select.value;
+            select.innerHTML = '';
+
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = select.dataset.placeholder || 'Select node...';
+            select.appendChild(placeholder);
+
+            this.currentGraph.nodes.forEach(node => {
+                if (node && node.id) {
+                    const option = document.createElement('option');
+                    option.value = node.id;
+                    option.textContent = node.label || `Node ${node.id}`;
+                    select.appendChild(option);
                 }
+            });
+
+            if (currentValue && [...select.options].some(opt => opt.value === currentValue)) {
+                select.value = currentValue;
             }
         });
     }
@@ -186,488 +502,2744 @@ class AlgorithmVisualizer {
         }
     }
 
+    setGraphDirected(directed) {
+        if (!this.currentGraph) return;
+
+        this.currentGraph.directed = directed;
+        this.onGraphEdited();
+    }
+
+    syncDirectedToggle() {
+        const directed = Boolean(this.currentGraph && this.currentGraph.directed);
+        document.getElementById('directed-toggle').checked = directed;
+    }
+
     loadSampleGraph() {
         this.currentGraph = this.getSampleGraphData();
+        this.libraryEntry = null;
+        this.showGraphSeed(null);
+        this.showLayoutInfo(null);
+        this.syncDirectedToggle();
         this.populateNodeSelects();
-        this.redrawGraph();
+        this.fitView();
         this.enableControls();
         this.resetVisualization();
     }
 
-    generateRandomGraph() {
-        const nodeCount = Math.floor(Math.random() * 4) + 4;
-        const nodes = [];
-        const edges = [];
+    // Graph models and their parameters come from the server, like the algorithm inputs
+    async openGenerateDialog() {
+        try {
+            if (!this.generators) {
+                const response = await fetch('/api/graph/generators', { headers: { 'Accept': 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(await this.getResponseError(response));
+                }
+                this.generators = await response.json();
+                this.buildGeneratorOptions();
+            }
 
-        for (let i = 0; i < nodeCount; i++) {
-            nodes.push({
-                id: String.fromCharCode(65 + i),
-                label: `Node ${String.fromCharCode(65 + i)}`,
-                x: Math.random() * 600 + 100,
-                y: Math.random() * 300 + 100
-            });
+            document.getElementById('generator-directed').checked = document.getElementById('directed-toggle').checked;
+            document.getElementById('generate-modal').classList.add('active');
+        } catch (error) {
+            console.error('Could not load graph generators:', error);
+            alert('Could not load graph generators: ' + error.message);
         }
+    }
 
-        const edgeSet = new Set();
-
-        for (let i = 1; i < nodeCount; i++) {
-            const from = Math.floor(Math.random() * i);
-            const to = i;
-            const fromId = nodes[from].id;
-            const toId = nodes[to].id;
-            const weight = Math.floor(Math.random() * 9) + 1;
-
-            const edgeKey = `${fromId}-${toId}`;
-            edgeSet.add(edgeKey);
+    closeGenerateDialog() {
+        document.getElementById('generate-modal').classList.remove('active');
+    }
 
-            edges.push({
-                id: edgeKey,
-                from: fromId,
-                to: toId,
-                weight: weight
-            });
-        }
+    buildGeneratorOptions() {
+        const select = document.getElementById('generator-model');
+        select.innerHTML = '';
+        this.generators.models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            select.appendChild(option);
+        });
 
-        const additionalEdges = Math.floor(nodeCount * 0.3);
-        for (let i = 0; i < additionalEdges; i++) {
-            const from = Math.floor(Math.random() * nodeCount);
-            let to = Math.floor(Math.random() * nodeCount);
-
-            if (from !== to) {
-                const fromId = nodes[from].id;
-                const toId = nodes[to].id;
-                const edgeKey = `${fromId}-${toId}`;
-                const reverseKey = `${toId}-${fromId}`;
-
-                if (!edgeSet.has(edgeKey) && !edgeSet.has(reverseKey)) {
-                    edgeSet.add(edgeKey);
-                    edges.push({
-                        id: edgeKey,
-                        from: fromId,
-                        to: toId,
-                        weight: Math.floor(Math.random() * 9) + 1
-                    });
-                }
-            }
-        }
+        const common = document.getElementById('generator-common');
+        common.innerHTML = '';
+        this.generators.common.forEach(param => common.appendChild(this.createGeneratorInput(param)));
 
-        this.currentGraph = { nodes, edges };
-        this.populateNodeSelects();
-        this.redrawGraph();
-        this.enableControls();
-        this.resetVisualization();
+        this.updateGeneratorParams();
     }
 
-    loadCustomGraph() {
-        try {
-            const graphData = JSON.parse(document.getElementById('graph-input').value);
-
-            if (!graphData || !graphData.nodes || !graphData.edges || !Array.isArray(graphData.nodes) || !Array.isArray(graphData.edges)) {
-                throw new Error('Invalid graph format');
-            }
+    updateGeneratorParams() {
+        const model = this.getGeneratorModel();
+        const container = document.getElementById('generator-params');
+        container.innerHTML = '';
+        if (!model) return;
 
-            this.currentGraph = graphData;
-            this.populateNodeSelects();
-            this.redrawGraph();
-            this.enableControls();
-            this.resetVisualization();
+        document.getElementById('generator-description').textContent = model.description;
+        model.params.forEach(param => container.appendChild(this.createGeneratorInput(param)));
+    }
 
-            document.getElementById('custom-input').style.display = 'none';
-        } catch (error) {
-            alert('Error loading custom graph: ' + error.message);
-        }
+    getGeneratorModel() {
+        const modelId = document.getElementById('generator-model').value;
+        return this.generators && this.generators.models.find(model => model.id === modelId);
     }
 
-    async runAlgorithm() {
-        if (!this.currentGraph) {
-            alert('Please load a graph first');
-            return;
+    createGeneratorInput(param) {
+        const id = `generator-${param.name}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+
+        if (param.type === 'boolean') {
+            label.className = 'checkbox-row';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = id;
+            checkbox.checked = Boolean(param.default);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${param.label}`));
+            return label;
         }
 
-        try {
-            this.setLoading(true);
-
-            const requestData = {
-                graph: this.currentGraph
-            };
+        const row = document.createElement('div');
+        row.className = 'input-row';
+        label.textContent = `${param.label}:`;
+
+        let input;
+        if (param.type === 'select') {
+            input = document.createElement('select');
+            param.options.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice.value;
+                option.textContent = choice.label;
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            ['min', 'max', 'step'].forEach(key => {
+                if (param[key] !== undefined) input[key] = String(param[key]);
+            });
+        }
+        input.id = id;
+        input.value = String(param.default);
 
-            if (this.currentAlgorithm === 'dijkstra') {
-                const sourceNode = document.getElementById('source-node').value;
-                const targetNode = document.getElementById('target-node').value;
+        row.appendChild(label);
+        row.appendChild(input);
+        return row;
+    }
 
-                if (!sourceNode) {
-                    alert('Please select a source node for Dijkstra\'s algorithm');
-                    this.setLoading(false);
-                    return;
-                }
+    // Generated graphs are seeded on the server, so the same seed and options give the same graph
+    async generateRandomGraph() {
+        const model = this.getGeneratorModel();
+        if (!model) return;
 
-                requestData.sourceNode = sourceNode;
-                if (targetNode) requestData.targetNode = targetNode;
-            } else if (this.currentAlgorithm === 'prim') {
-                const startNode = document.getElementById('start-node').value;
-                if (startNode) requestData.startNode = startNode;
-            }
+        const request = { model: model.id };
+        [...this.generators.common, ...model.params].forEach(param => {
+            const element = document.getElementById(`generator-${param.name}`);
+            request[param.name] = param.type === 'boolean' ? element.checked : element.value;
+        });
 
-            console.log('Making API request to:', `/api/${this.currentAlgorithm}`);
+        const seed = document.getElementById('generator-seed').value.trim();
+        if (seed) request.seed = seed;
 
-            const response = await fetch(`/api/${this.currentAlgorithm}`, {
+        try {
+            const response = await fetch('/api/graph/generate', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
-                body: JSON.stringify(requestData)
+                body: JSON.stringify(request)
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
-                let errorMessage;
-                try {
-                    const errorJson = JSON.parse(errorText);
-                    errorMessage = errorJson.message || errorJson.error || 'Unknown server error';
-                } catch {
-                    errorMessage = `Server returned ${response.status}: ${response.statusText}`;
-                }
-                throw new Error(errorMessage);
+                throw new Error(await this.getResponseError(response));
             }
 
             const result = await response.json();
-            console.log('Algorithm result received:', result);
+            this.loadGraphData(result.graph);
+            this.closeGenerateDialog();
+            this.showGraphSeed(`${model.name}, seed ${result.seed}`);
+        } catch (error) {
+            console.error('Graph generation error:', error);
+            alert('Error generating graph: ' + error.message);
+        }
+    }
 
-            this.algorithmSteps = result.steps || [];
-            this.currentStep = 0;
+    // Graphs saved with /api/graphs, listed next to the read-only built-in examples
+    openLibrary() {
+        const updateButton = document.getElementById('library-update-btn');
+        const editable = this.libraryEntry && !this.libraryEntry.builtIn;
+        updateButton.style.display = editable ? 'inline-block' : 'none';
+        if (editable) {
+            updateButton.textContent = `Update "${this.libraryEntry.name}"`;
+        }
 
-            this.updateStepInfo();
-            this.enableStepControls();
-            this.showResults(result.finalResult);
+        document.getElementById('library-modal').classList.add('active');
+        this.loadLibrary();
+    }
 
-        } catch (error) {
-            console.error('Algorithm execution error:', error);
+    closeLibrary() {
+        document.getElementById('library-modal').classList.remove('active');
+    }
 
-            let errorMessage = 'Error running algorithm: ';
+    async loadLibrary() {
+        const search = ++this.librarySearch;
+        const query = document.getElementById('library-search').value.trim();
 
-            if (error.name === 'TypeError' && (error.message.includes('fetch') || error.message.includes('Failed to fetch'))) {
-                errorMessage += 'Cannot connect to server. Please make sure the server is running with "npm start"';
-            } else {
-                errorMessage += error.message;
+        try {
+            const response = await fetch(`/api/graphs?q=${encodeURIComponent(query)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
             }
 
-            alert(errorMessage);
-        } finally {
-            this.setLoading(false);
+            const entries = await response.json();
+            if (search === this.librarySearch) {
+                this.renderLibrary(entries);
+            }
+        } catch (error) {
+            console.error('Graph library error:', error);
+            alert('Could not load the graph library: ' + error.message);
         }
     }
 
-    nextStep() {
-        if (this.currentStep < this.algorithmSteps.length - 1) {
-            this.currentStep++;
-            this.updateStepInfo();
-            this.redrawGraph();
-        }
-    }
+    renderLibrary(entries) {
+        const list = document.getElementById('library-list');
+        list.innerHTML = '';
 
-    updateStepInfo() {
-        if (!this.algorithmSteps || this.algorithmSteps.length === 0) {
-            document.getElementById('step-title').textContent = 'Step 0: Initialize';
-            document.getElementById('step-description').textContent = 'Ready to visualize algorithm...';
-            document.getElementById('current-step').textContent = '0';
-            document.getElementById('total-steps').textContent = '0';
-            document.getElementById('algorithm-state').innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'No graphs match the search.';
+            list.appendChild(empty);
             return;
         }
 
-        const step = this.algorithmSteps[this.currentStep];
-        if (!step) return;
-
-        document.getElementById('step-title').textContent = `Step ${step.step || 0}: ${this.getStepTitle(step.action)}`;
-        document.getElementById('step-description').textContent = step.description || 'Processing...';
-        document.getElementById('current-step').textContent = String(this.currentStep);
-        document.getElementById('total-steps').textContent = String(this.algorithmSteps.length - 1);
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            item.addEventListener('click', () => this.loadLibraryGraph(entry.id));
+
+            const text = document.createElement('div');
+            text.className = 'library-item-text';
+
+            const name = document.createElement('div');
+            name.className = 'library-item-name';
+            name.textContent = entry.name;
+
+            const meta = document.createElement('div');
+            meta.className = 'library-item-meta';
+            meta.textContent = [
+                entry.builtIn ? 'Built-in' : 'Saved',
+                `${entry.nodeCount} nodes, ${entry.edgeCount} edges`,
+                entry.recommended ? `for ${this.getAlgorithmName(entry.recommended.algorithm)}` : null,
+                entry.tags.length > 0 ? entry.tags.map(tag => `#${tag}`).join(' ') : null
+            ].filter(Boolean).join(' · ');
+
+            text.appendChild(name);
+            text.appendChild(meta);
+            if (entry.description) {
+                const description = document.createElement('div');
+                description.className = 'library-item-description';
+                description.textContent = entry.description;
+                text.appendChild(description);
+            }
+            item.appendChild(text);
+
+            if (!entry.builtIn) {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'btn btn-secondary';
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deleteLibraryGraph(entry);
+                });
+                item.appendChild(deleteButton);
+            }
 
-        this.updateAlgorithmState(step);
+            list.appendChild(item);
+        });
     }
 
-    getStepTitle(action) {
-        const titles = {
-            'initialize': 'Initialize',
-            'accept': 'Accept Edge',
-            'reject': 'Reject Edge',
-            'skip': 'Skip Edge',
-            'process_node': 'Process Node',
-            'update_distances': 'Update Distances',
-            'complete': 'Complete'
-        };
-        return titles[action] || 'Processing';
-    }
+    async loadLibraryGraph(id) {
+        try {
+            await this.algorithmsReady;
 
-    // FIXED: This function now handles null values properly
-    updateAlgorithmState(step) {
-        const stateDiv = document.getElementById('algorithm-state');
-        if (!stateDiv || !step) return;
+            const response = await fetch(`/api/graphs/${encodeURIComponent(id)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
 
-        let stateHTML = '';
+            const entry = await response.json();
+            const recommended = entry.recommended && this.getAlgorithmDefinition(entry.recommended.algorithm)
+                ? entry.recommended
+                : null;
 
-        try {
-            if (this.currentAlgorithm === 'kruskal' && step.unionFindState) {
-                stateHTML = '<strong>Connected Components:</strong><br>';
-                step.unionFindState.forEach((component, index) => {
-                    if (component && Array.isArray(component)) {
-                        stateHTML += `Component ${index + 1}: [${component.join(', ')}]<br>`;
-                    }
-                });
-                if (step.totalCost !== undefined && step.totalCost !== null) {
-                    stateHTML += `<br><strong>MST Cost:</strong> ${step.totalCost}`;
-                }
-            } else if (this.currentAlgorithm === 'prim') {
-                if (step.visitedNodes && Array.isArray(step.visitedNodes)) {
-                    stateHTML = `<strong>Visited Nodes:</strong> [${step.visitedNodes.join(', ')}]<br>`;
-                }
-                if (step.totalCost !== undefined && step.totalCost !== null) {
-                    stateHTML += `<strong>MST Cost:</strong> ${step.totalCost}`;
-                }
-            } else if (this.currentAlgorithm === 'dijkstra') {
-                if (step.distances && typeof step.distances === 'object') {
-                    stateHTML = '<strong>Distances:</strong><br>';
-                    Object.entries(step.distances).forEach(([node, dist]) => {
-                        // FIXED: Proper null handling for distance values
-                        let distStr;
-                        if (dist === null || dist === undefined) {
-                            distStr = 'undefined';
-                        } else if (dist === Infinity) {
-                            distStr = '∞';
-                        } else {
-                            distStr = String(dist);
-                        }
-                        stateHTML += `${node || 'unknown'}: ${distStr}<br>`;
-                    });
-                }
+            if (recommended) {
+                this.switchAlgorithm(recommended.algorithm);
+            }
+            this.loadGraphData(entry.graph);
+            if (recommended) {
+                this.setAlgorithmInputs(recommended.algorithm, recommended.params);
             }
+
+            this.libraryEntry = { id: entry.id, name: entry.name, builtIn: entry.builtIn };
+            this.showGraphSeed(`From the library: ${entry.name}`);
+            this.closeLibrary();
         } catch (error) {
-            console.error('Error updating algorithm state:', error);
-            stateHTML = '<strong>Error displaying state</strong>';
+            console.error('Graph library error:', error);
+            alert('Error loading graph: ' + error.message);
         }
-
-        stateDiv.innerHTML = stateHTML;
     }
 
-    showResults(finalResult) {
-        if (!finalResult) return;
-
-        const resultsPanel = document.getElementById('results-panel');
-        const resultsContent = document.getElementById('results-content');
+    async saveToLibrary(update) {
+        if (!this.currentGraph) {
+            alert('Please load a graph first');
+            return;
+        }
+
+        const entry = {
+            name: document.getElementById('library-name').value.trim(),
+            description: document.getElementById('library-description').value.trim(),
+            tags: document.getElementById('library-tags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+            graph: this.currentGraph,
+            recommended: document.getElementById('library-recommend').checked
+                ? { algorithm: this.currentAlgorithm, params: this.collectAlgorithmInputs(this.currentAlgorithm) }
+                : null
+        };
+
+        // Updating keeps the saved name, tags and description unless new ones were typed in
+        if (update) {
+            ['name', 'description'].forEach(field => {
+                if (!entry[field]) delete entry[field];
+            });
+            if (entry.tags.length === 0) delete entry.tags;
+        }
+
+        try {
+            const response = await fetch(update ? `/api/graphs/${encodeURIComponent(this.libraryEntry.id)}` : '/api/graphs', {
+                method: update ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(entry)
+            });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+
+            const saved = await response.json();
+            this.libraryEntry = { id: saved.id, name: saved.name, builtIn: false };
+            this.showGraphSeed(`From the library: ${saved.name}`);
+            ['library-name', 'library-tags', 'library-description'].forEach(fieldId => {
+                document.getElementById(fieldId).value = '';
+            });
+            this.openLibrary();
+        } catch (error) {
+            console.error('Graph library error:', error);
+            alert('Error saving graph: ' + error.message);
+        }
+    }
+
+    async deleteLibraryGraph(entry) {
+        if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+
+        try {
+            const response = await fetch(`/api/graphs/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+
+            if (this.libraryEntry && this.libraryEntry.id === entry.id) {
+                this.libraryEntry = null;
+                this.showGraphSeed(null);
+            }
+            this.openLibrary();
+        } catch (error) {
+            console.error('Graph library error:', error);
+            alert('Error deleting graph: ' + error.message);
+        }
+    }
+
+    // The seed only describes the graph until it is replaced or edited
+    showGraphSeed(text) {
+        const seedLabel = document.getElementById('graph-seed');
+        seedLabel.textContent = text || '';
+        seedLabel.style.display = text ? 'block' : 'none';
+    }
+
+    // Layouts fill the canvas as sized by setupCanvas(). The compare panes scale an 800x500
+    // drawing down, so while comparing the layout is made for that size instead.
+    getLayoutSize() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (this.comparison || rect.width === 0 || rect.height === 0) {
+            return { width: 800, height: 500 };
+        }
+        return { width: Math.round(rect.width), height: Math.round(rect.height) };
+    }
+
+    // Only node positions change, so the current run stays on screen
+    async relayoutGraph(layout) {
+        if (!this.currentGraph) return;
+
+        const inputs = this.collectAlgorithmInputs(this.currentAlgorithm);
+        const treeEdgeIds = this.getResultEdgeIds();
+        const seed = document.getElementById('layout-seed').value.trim();
+        const request = {
+            graph: this.currentGraph,
+            layout,
+            ...this.getLayoutSize(),
+            root: inputs.sourceNode || inputs.startNode,
+            treeEdgeIds: treeEdgeIds.length > 0 ? treeEdgeIds : undefined
+        };
+        if (seed) request.seed = seed;
+
+        try {
+            const response = await fetch('/api/graph/layout', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(request)
+            });
+
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+
+            const result = await response.json();
+            this.currentGraph = { ...this.currentGraph, nodes: result.graph.nodes };
+            this.fitView();
+
+            const option = [...document.getElementById('layout-algorithm').options].find(opt => opt.value === layout);
+            const name = option ? option.textContent : layout;
+            this.showLayoutInfo(layout === 'force' ? `${name} layout, seed ${result.seed}` : `${name} layout`);
+        } catch (error) {
+            console.error('Graph layout error:', error);
+            alert('Error laying out graph: ' + error.message);
+        }
+    }
+
+    showLayoutInfo(text) {
+        const info = document.getElementById('layout-info');
+        info.textContent = text || '';
+        info.style.display = text ? 'block' : 'none';
+    }
+
+    loadCustomGraph() {
+        try {
+            const graphData = JSON.parse(document.getElementById('graph-input').value);
+
+            this.loadGraphData(graphData);
+            document.getElementById('custom-input').style.display = 'none';
+        } catch (error) {
+            alert('Error loading custom graph: ' + error.message);
+        }
+    }
+
+    loadGraphData(graphData) {
+        if (!graphData || !graphData.nodes || !graphData.edges || !Array.isArray(graphData.nodes) || !Array.isArray(graphData.edges)) {
+            throw new Error('Invalid graph format');
+        }
+
+        this.currentGraph = graphData;
+        this.libraryEntry = null;
+        this.showGraphSeed(null);
+        this.showLayoutInfo(null);
+        this.syncDirectedToggle();
+        this.populateNodeSelects();
+        this.fitView();
+        this.enableControls();
+        this.resetVisualization();
+
+        if (!graphData.nodes.every(node => node && Number.isFinite(node.x) && Number.isFinite(node.y))) {
+            this.relayoutGraph('force');
+        }
+    }
+
+    async importGraphFile(file) {
+        try {
+            const content = await file.text();
+
+            const response = await fetch('/api/graph/import', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({ content, filename: file.name })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || `Server returned ${response.status}`);
+            }
+
+            this.loadGraphData(result.graph);
+            console.log(`Imported ${file.name} as ${result.format}`, result.warnings);
+        } catch (error) {
+            alert(`Error importing ${file.name}: ${error.message}`);
+        }
+    }
+
+    async exportGraph() {
+        if (!this.currentGraph) {
+            alert('Please load a graph first');
+            return;
+        }
+
+        try {
+            const resultOnly = document.getElementById('export-result-only').checked;
+
+            const response = await fetch('/api/graph/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    graph: this.currentGraph,
+                    format: document.getElementById('export-format').value,
+                    resultEdgeIds: this.getResultEdgeIds(),
+                    scope: resultOnly ? 'result' : 'graph'
+                })
+            });
+
+            if (!response.ok) {
+                const errorJson = await response.json().catch(() => ({}));
+                throw new Error(errorJson.message || `Server returned ${response.status}`);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = /filename="([^"]+)"/.exec(disposition);
+            this.downloadBlob(await response.blob(), match ? match[1] : 'graph.txt');
+        } catch (error) {
+            alert('Error exporting graph: ' + error.message);
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Pictures of the primary pane, drawn by graph-scene.js like POST /api/render does
+    async exportImage(format) {
+        if (!this.currentGraph) {
+            alert('Please load a graph first');
+            return;
+        }
+
+        const renderer = this.getRenderer();
+        const theme = document.body.getAttribute('data-theme') === 'dark' ? 'dark' : 'light';
+        const steps = this.algorithmSteps;
+
+        try {
+            if (format === 'animated-svg') {
+                if (steps.length === 0) {
+                    throw new Error('Run the algorithm first to save the whole run');
+                }
+                const allSteps = Array.from({ length: steps.length }, (_, index) => this.getStepAt(steps, index));
+                const svg = renderAnimatedSvg(this.currentGraph, allSteps, renderer, {
+                    theme,
+                    stepDuration: this.animationSpeed / 1000
+                });
+                this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${this.currentAlgorithm}-run.svg`);
+                return;
+            }
+
+            const step = this.getStepAt(steps, this.currentStep) || null;
+            const svg = renderSvg(this.currentGraph, step, renderer, { theme, stepIndex: this.currentStep });
+            const filename = `${this.currentAlgorithm}-step-${this.currentStep}`;
+
+            if (format === 'png') {
+                this.downloadBlob(await this.svgToPng(svg), `${filename}.png`);
+            } else {
+                this.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+            }
+        } catch (error) {
+            alert('Error saving picture: ' + error.message);
+        }
+    }
+
+    // Rasterizes at twice the SVG size so the PNG stays sharp on projectors
+    svgToPng(svg) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            const image = new Image();
+
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width * 2;
+                canvas.height = image.height * 2;
+
+                const ctx = canvas.getContext('2d');
+                ctx.scale(2, 2);
+                ctx.drawImage(image, 0, 0);
+                URL.revokeObjectURL(url);
+
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not create a PNG'))), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The browser could not draw the SVG'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Permalinks put the view in the URL fragment: #s=<deflate-compressed JSON, base64url>
+    // when it fits in a link, otherwise #p=<id> of a copy stored with POST /api/permalinks
+    getShareState() {
+        return {
+            graph: this.currentGraph,
+            algorithm: this.currentAlgorithm,
+            params: this.collectAlgorithmInputs(this.currentAlgorithm),
+            step: this.algorithmSteps.length > 0 ? this.currentStep : null
+        };
+    }
+
+    async shareLink() {
+        if (!this.currentGraph) {
+            alert('Please load a graph first');
+            return;
+        }
+
+        try {
+            const state = this.getShareState();
+            let fragment = typeof CompressionStream === 'function'
+                ? `s=${await this.encodeShareState(state)}`
+                : null;
+
+            // Some mail and chat clients cut links off after about 2000 characters
+            if (!fragment || fragment.length > 2000) {
+                const response = await fetch('/api/permalinks', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify({ state })
+                });
+
+                if (!response.ok) {
+                    throw new Error(await this.getResponseError(response));
+                }
+                fragment = `p=${(await response.json()).id}`;
+            }
+
+            if (window.location.hash !== `#${fragment}`) {
+                this.appliedFragment = fragment;
+                history.pushState(null, '', `#${fragment}`);
+            }
+
+            const linkField = document.getElementById('share-link');
+            linkField.value = window.location.href;
+            linkField.style.display = 'block';
+            linkField.select();
+
+            if (navigator.clipboard) {
+                await navigator.clipboard.writeText(window.location.href).catch(() => {});
+            }
+        } catch (error) {
+            alert('Error creating link: ' + error.message);
+        }
+    }
+
+    async encodeShareState(state) {
+        const compressed = new Blob([JSON.stringify(state)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const bytes = new Uint8Array(await new Response(compressed).arrayBuffer());
+
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    async decodeShareState(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const json = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return JSON.parse(await new Response(json).text());
+    }
+
+    async openPermalink(hash) {
+        const fragment = hash.replace(/^#/, '');
+        const match = /^([sp])=(.+)$/.exec(fragment);
+        if (!match || fragment === this.appliedFragment) return;
+
+        this.appliedFragment = fragment;
+
+        try {
+            let state;
+            if (match[1] === 's') {
+                state = await this.decodeShareState(match[2]);
+            } else {
+                const response = await fetch(`/api/permalinks/${encodeURIComponent(match[2])}`, {
+                    headers: { 'Accept': 'application/json' }
+                });
+                if (!response.ok) {
+                    throw new Error(await this.getResponseError(response));
+                }
+                state = (await response.json()).state;
+            }
+
+            await this.applyShareState(state);
+        } catch (error) {
+            console.error('Permalink error:', error);
+            alert('Could not open the shared link: ' + error.message);
+        }
+    }
+
+    // Reruns the algorithm only when the graph, algorithm or inputs differ from the run on screen
+    async applyShareState(state) {
+        await this.algorithmsReady;
+
+        if (!state || !state.graph || !this.getAlgorithmDefinition(state.algorithm)) {
+            throw new Error('The link does not describe a graph and a known algorithm');
+        }
+
+        const params = state.params || {};
+        const hasRun = Number.isInteger(state.step);
+        const sameRun = hasRun && this.algorithmSteps.length > 0 && !this.comparison &&
+            this.currentAlgorithm === state.algorithm &&
+            JSON.stringify(this.currentGraph) === JSON.stringify(state.graph) &&
+            JSON.stringify(this.collectAlgorithmInputs(state.algorithm)) === JSON.stringify(params);
+
+        if (!sameRun) {
+            this.switchAlgorithm(state.algorithm);
+            this.loadGraphData(state.graph);
+            this.setAlgorithmInputs(state.algorithm, params);
+
+            // Links always show a single run
+            document.getElementById('compare-algorithm').value = '';
+            this.updateAlgorithmInputs();
+            if (!hasRun) return;
+
+            await this.runAlgorithm();
+        }
+
+        this.goToStep(state.step);
+    }
+
+    setAlgorithmInputs(algorithm, params) {
+        const definition = this.getAlgorithmDefinition(algorithm);
+
+        (definition ? definition.inputs : []).forEach(input => {
+            const element = document.getElementById(this.getInputElementId(algorithm, input));
+            if (element) element.value = params[input.name] || input.default || '';
+        });
+    }
+
+    // IDs of the graph edges that make up the last run's MST, path to the target or shortest-path
+    // tree, as the server reports them with the trace
+    getResultEdgeIds() {
+        return this.resultEdgeIds || [];
+    }
+
+    async runAlgorithm() {
+        if (!this.currentGraph) {
+            alert('Please load a graph first');
+            return;
+        }
+
+        try {
+            this.setLoading(true);
+            if (this.msts) this.closeMsts();
+
+            const requestData = {
+                graph: this.currentGraph
+            };
+
+            const compareWith = document.getElementById('compare-algorithm').value;
+            const comparing = compareWith && compareWith !== this.currentAlgorithm;
+
+            // When comparing, the second algorithm's inputs fill anything the first one does not set
+            Object.assign(requestData,
+                comparing ? this.collectAlgorithmInputs(compareWith) : {},
+                this.collectAlgorithmInputs(this.currentAlgorithm));
+
+            this.checkRequiredInputs(this.currentAlgorithm, requestData);
+            if (comparing) this.checkRequiredInputs(compareWith, requestData);
+
+            if (comparing) {
+                await this.runComparison(requestData, compareWith);
+                return;
+            }
+
+            if (document.getElementById('stream-toggle').checked) {
+                await this.runStream(requestData);
+                return;
+            }
+
+            console.log('Making API request to:', `/api/${this.currentAlgorithm}`);
+
+            const response = await fetch(`/api/${this.currentAlgorithm}?encoding=delta`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(requestData)
+            });
+
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+
+            const result = await response.json();
+            console.log('Algorithm result received:', result);
+
+            this.pausePlayback();
+            this.setComparison(null);
+            this.algorithmSteps = this.readSteps(result);
+            this.currentStep = 0;
+            this.resetQuiz();
+
+            this.renderTimeline();
+            this.updateStepInfo();
+            this.redrawGraph();
+            this.enableStepControls();
+            this.showResults(result.finalResult);
+
+            this.resultEdgeIds = result.resultEdgeIds || null;
+            document.getElementById('export-result-only').disabled = this.getResultEdgeIds().length === 0;
+
+        } catch (error) {
+            console.error('Algorithm execution error:', error);
+
+            let errorMessage = 'Error running algorithm: ';
+
+            if (error.name === 'TypeError' && (error.message.includes('fetch') || error.message.includes('Failed to fetch'))) {
+                errorMessage += 'Cannot connect to server. Please make sure the server is running with "npm start"';
+            } else {
+                errorMessage += error.message;
+            }
+
+            alert(errorMessage);
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    async runComparison(requestData, compareWith) {
+        const { graph, ...options } = requestData;
+
+        console.log('Making API request to: /api/compare', [this.currentAlgorithm, compareWith]);
+
+        const response = await fetch('/api/compare?encoding=delta', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ graph, algorithms: [this.currentAlgorithm, compareWith], options })
+        });
+
+        if (!response.ok) {
+            throw new Error(await this.getResponseError(response));
+        }
+
+        const result = await response.json();
+        console.log('Comparison result received:', result);
+
+        const failed = result.results.find(entry => entry.error);
+        if (failed) {
+            throw new Error(failed.error);
+        }
+        const [primary, secondary] = result.results.map(entry => entry.trace);
+
+        this.pausePlayback();
+        this.algorithmSteps = this.readSteps(primary);
+        this.currentStep = 0;
+        this.setComparison({
+            algorithm: secondary.algorithm.id,
+            name: secondary.algorithm.name,
+            steps: this.readSteps(secondary),
+            finalResult: secondary.finalResult,
+            summary: result.summary
+        });
+
+        this.renderTimeline();
+        this.updateStepInfo();
+        this.redrawGraph();
+        this.enableStepControls();
+        this.showComparisonResults(result.summary);
+
+        this.resultEdgeIds = result.summary.algorithms[0].resultEdgeIds || null;
+        document.getElementById('export-result-only').disabled = this.getResultEdgeIds().length === 0;
+    }
+
+    // Streamed runs start playing with the first step while the server is still producing the rest
+    async runStream(requestData) {
+        const controller = new AbortController();
+        this.streamController = controller;
+        document.getElementById('cancel-run-btn').style.display = '';
+
+        console.log('Making streaming API request to:', `/api/${this.currentAlgorithm}`);
+
+        try {
+            const response = await fetch(`/api/${this.currentAlgorithm}?stream=ndjson&encoding=delta`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/x-ndjson'
+                },
+                body: JSON.stringify(requestData),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+
+            await this.readStream(response.body, message => this.handleStreamMessage(message));
+        } catch (error) {
+            // Cancelling aborts the fetch; the steps received so far stay playable
+            if (error.name !== 'AbortError') throw error;
+        } finally {
+            if (this.streamController === controller) {
+                this.streamController = null;
+                document.getElementById('cancel-run-btn').style.display = 'none';
+                this.refreshStreamedSteps();
+            }
+        }
+    }
+
+    async readStream(body, onMessage) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffered += decoder.decode(value, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(line => {
+                if (line.trim()) onMessage(JSON.parse(line));
+            });
+        }
+
+        if (buffered.trim()) onMessage(JSON.parse(buffered));
+    }
+
+    handleStreamMessage(message) {
+        if (message.type === 'start') {
+            this.pausePlayback();
+            this.setComparison(null);
+            this.algorithmSteps = this.readSteps({ encoding: message.encoding, steps: [] });
+            this.currentStep = 0;
+            this.resultEdgeIds = null;
+            this.resetQuiz();
+            document.getElementById('results-panel').style.display = 'none';
+        } else if (message.type === 'step') {
+            if (this.algorithmSteps instanceof DeltaSteps) {
+                const { type, ...entry } = message;
+                this.algorithmSteps.append(entry);
+            } else {
+                this.algorithmSteps.push(message.step);
+            }
+
+            if (this.algorithmSteps.length === 1) {
+                this.refreshStreamedSteps();
+                this.redrawGraph();
+                this.enableStepControls();
+                if (!this.quiz) this.startPlayback();
+            } else if (!this.streamRefreshTimeout) {
+                // Redrawing the timeline for every step would stall large runs
+                this.streamRefreshTimeout = setTimeout(() => this.refreshStreamedSteps(), 250);
+            }
+        } else if (message.type === 'end') {
+            this.refreshStreamedSteps();
+            this.showResults(message.finalResult);
+            this.resultEdgeIds = message.resultEdgeIds || null;
+            document.getElementById('export-result-only').disabled = this.getResultEdgeIds().length === 0;
+        } else if (message.type === 'error') {
+            throw new Error(message.message);
+        }
+    }
+
+    refreshStreamedSteps() {
+        if (this.streamRefreshTimeout) {
+            clearTimeout(this.streamRefreshTimeout);
+            this.streamRefreshTimeout = null;
+        }
+
+        this.renderTimeline();
+        this.updateStepInfo();
+        this.updatePlaybackControls();
+    }
+
+    cancelStream() {
+        if (!this.streamController) return;
+
+        this.streamController.abort();
+        console.log(`Run cancelled after ${this.algorithmSteps.length} steps`);
+    }
+
+    // Delta-encoded traces keep their steps as patches and rebuild them when visited
+    readSteps(trace) {
+        if (trace.encoding && trace.encoding.type === 'delta') {
+            return new DeltaSteps(trace.steps || [], trace.encoding.keyframeInterval);
+        }
+        return trace.steps || [];
+    }
+
+    getStepAction(steps, index) {
+        if (steps instanceof DeltaSteps) return steps.actionAt(index);
+        return steps[index] ? steps[index].action : undefined;
+    }
+
+    async getResponseError(response) {
+        const errorText = await response.text();
+        try {
+            const errorJson = JSON.parse(errorText);
+            return errorJson.message || errorJson.error || 'Unknown server error';
+        } catch {
+            return `Server returned ${response.status}: ${response.statusText}`;
+        }
+    }
+
+    setComparison(comparison) {
+        const wasComparing = Boolean(this.comparison);
+        this.comparison = comparison;
+
+        document.getElementById('canvas-split').classList.toggle('comparing', Boolean(comparison));
+        document.getElementById('compare-pane').style.display = comparison ? 'block' : 'none';
+
+        if (comparison) {
+            document.getElementById('primary-pane-title').textContent = this.getAlgorithmName(this.currentAlgorithm);
+            document.getElementById('compare-pane-title').textContent = this.getAlgorithmName(comparison.algorithm);
+        }
+
+        if (wasComparing !== Boolean(comparison)) {
+            this.setupCanvas();
+        }
+    }
+
+    // Runs fn with the canvas, algorithm and steps of the compare pane swapped in
+    withComparisonPane(fn) {
+        const saved = {
+            canvas: this.canvas,
+            ctx: this.ctx,
+            currentAlgorithm: this.currentAlgorithm,
+            algorithmSteps: this.algorithmSteps
+        };
+
+        this.canvas = this.compareCanvas;
+        this.ctx = this.compareCtx;
+        this.currentAlgorithm = this.comparison.algorithm;
+        this.algorithmSteps = this.comparison.steps;
+
+        try {
+            fn();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    // The shorter trace holds its final step while the longer one finishes
+    getLastStepIndex() {
+        const lengths = [this.algorithmSteps.length];
+        if (this.comparison) lengths.push(this.comparison.steps.length);
+        return Math.max(...lengths) - 1;
+    }
+
+    getStepAt(steps, index) {
+        return steps && steps.length > 0 && index >= 0 ? steps.at(Math.min(index, steps.length - 1)) : undefined;
+    }
+
+    nextStep() {
+        if (this.currentStep >= this.getLastStepIndex()) return;
+
+        // Steps the quiz already revealed are not asked again, and once the quiz is over the
+        // trace can be stepped through freely for review
+        if (this.isQuizRunning() && !this.quiz.answered.has(this.currentStep + 1)) {
+            this.askQuizQuestions(this.currentStep + 1);
+        } else {
+            this.goToStep(this.currentStep + 1);
+        }
+    }
+
+    previousStep() {
+        if (this.currentStep > 0) {
+            this.goToStep(this.currentStep - 1);
+        }
+    }
+
+    goToStep(index) {
+        if (!this.algorithmSteps || this.algorithmSteps.length === 0) return;
+
+        // A running quiz only lets the timeline go back, up to the furthest step it revealed
+        const lastIndex = this.isQuizRunning() ? this.quiz.reached : this.getLastStepIndex();
+        const target = Math.max(0, Math.min(lastIndex, Number.isFinite(index) ? index : 0));
+
+        this.currentStep = target;
+        this.updateStepInfo();
+        this.redrawGraph();
+
+        // Jumping back with the timeline or the first-step button drops an unanswered question
+        if (this.quiz) {
+            this.quiz.pending = null;
+            this.renderQuiz();
+        }
+        this.updatePlaybackControls();
+    }
+
+    togglePlayback() {
+        if (this.isAnimating) {
+            this.pausePlayback();
+        } else {
+            this.startPlayback();
+        }
+    }
+
+    startPlayback() {
+        if (!this.algorithmSteps || this.algorithmSteps.length === 0) return;
+
+        // Restart from the beginning when play is pressed on the last step of a finished run
+        if (this.currentStep >= this.getLastStepIndex() && !this.streamController) {
+            this.goToStep(0);
+        }
+
+        this.isAnimating = true;
+        this.updatePlaybackControls();
+        this.scheduleNextFrame();
+    }
+
+    pausePlayback() {
+        this.isAnimating = false;
+
+        if (this.animationTimeout) {
+            clearTimeout(this.animationTimeout);
+            this.animationTimeout = null;
+        }
+
+        this.updatePlaybackControls();
+    }
+
+    scheduleNextFrame() {
+        // Read the speed on every frame so slider changes apply mid-playback
+        this.animationTimeout = setTimeout(() => {
+            this.animationTimeout = null;
+            if (!this.isAnimating) return;
+
+            this.nextStep();
+
+            // A streamed run waits at the newest step until more arrive
+            if (this.currentStep < this.getLastStepIndex() || this.streamController) {
+                this.scheduleNextFrame();
+            } else {
+                this.pausePlayback();
+            }
+        }, this.animationSpeed);
+    }
+
+    renderTimeline() {
+        const timeline = document.getElementById('step-timeline');
+        const ticks = document.getElementById('timeline-ticks');
+        const lastIndex = Math.max(0, this.getLastStepIndex());
+
+        timeline.max = String(lastIndex);
+        timeline.value = String(Math.min(this.currentStep, lastIndex));
+        ticks.innerHTML = '';
+
+        if (lastIndex === 0) return;
+
+        const tickActions = ['accept', 'reject', 'skip', 'update_distances', 'negative_cycle', 'merge'];
+
+        for (let index = 0; index < this.algorithmSteps.length; index++) {
+            const action = this.getStepAction(this.algorithmSteps, index);
+            if (!tickActions.includes(action)) continue;
+
+            const tick = document.createElement('div');
+            tick.className = `timeline-tick ${action}`;
+            tick.style.left = `${(index / lastIndex) * 100}%`;
+            tick.title = `Step ${index}: ${this.getStepTitle(action)}`;
+            ticks.appendChild(tick);
+        }
+    }
+
+    updatePlaybackControls() {
+        const hasSteps = this.algorithmSteps && this.algorithmSteps.length > 0;
+        const atStart = !hasSteps || this.currentStep <= 0;
+        const atEnd = !hasSteps || this.currentStep >= this.getLastStepIndex();
+        const awaitingAnswer = Boolean(this.quiz && this.quiz.pending);
+
+        document.getElementById('first-step-btn').disabled = atStart;
+        document.getElementById('prev-step-btn').disabled = atStart;
+        document.getElementById('step-btn').disabled = atEnd || awaitingAnswer;
+        document.getElementById('last-step-btn').disabled = atEnd || this.isQuizRunning();
+        document.getElementById('play-btn').disabled = !hasSteps || awaitingAnswer;
+        document.getElementById('play-btn').textContent = this.isAnimating ? 'Pause' : 'Play';
+
+        const timeline = document.getElementById('step-timeline');
+        timeline.disabled = !hasSteps;
+        timeline.value = String(hasSteps ? this.currentStep : 0);
+    }
+
+    updateStepInfo() {
+        if (!this.algorithmSteps || this.algorithmSteps.length === 0) {
+            document.getElementById('step-title').textContent = 'Step 0: Initialize';
+            document.getElementById('step-description').textContent = 'Ready to visualize algorithm...';
+            document.getElementById('current-step').textContent = '0';
+            document.getElementById('total-steps').textContent = '0';
+            document.getElementById('algorithm-state').innerHTML = '';
+            this.updatePseudocode(null);
+            this.drawHeap(null);
+            this.drawUnionFind(null);
+            return;
+        }
+
+        const step = this.getStepAt(this.algorithmSteps, this.currentStep);
+        if (!step) return;
+
+        document.getElementById('step-title').textContent = `Step ${step.step || 0}: ${this.getStepTitle(step.action)}`;
+        document.getElementById('step-description').textContent = step.description || 'Processing...';
+        document.getElementById('current-step').textContent = String(this.currentStep);
+        document.getElementById('total-steps').textContent = String(this.getLastStepIndex());
+
+        if (this.comparison) {
+            const compareStep = this.getStepAt(this.comparison.steps, this.currentStep);
+            document.getElementById('compare-step-description').textContent = compareStep
+                ? `Step ${compareStep.step || 0}: ${this.getStepTitle(compareStep.action)}. ${compareStep.description || ''}`
+                : '';
+        }
+
+        this.updateAlgorithmState(step);
+        this.updatePseudocode(step);
+        this.drawHeap(step.heapSnapshot);
+        this.drawUnionFind(step.unionFind);
+    }
+
+    getStepTitle(action) {
+        const titles = {
+            'initialize': 'Initialize',
+            'accept': 'Accept Edge',
+            'reject': 'Reject Edge',
+            'skip': 'Skip Edge',
+            'process_node': 'Process Node',
+            'update_distances': 'Update Distances',
+            'converged': 'Converged',
+            'negative_cycle': 'Negative Cycle',
+            'merge': 'Merge Components',
+            'restart': 'Start New Tree',
+            'complete': 'Complete'
+        };
+        return titles[action] || 'Processing';
+    }
+
+    updateAlgorithmState(step) {
+        const stateDiv = document.getElementById('algorithm-state');
+        if (!stateDiv || !step) return;
+
+        let stateHTML = '';
+
+        try {
+            const renderer = this.getRenderer();
+            stateHTML = renderer.stateHtml ? renderer.stateHtml(step, this) : '';
+        } catch (error) {
+            console.error('Error updating algorithm state:', error);
+            stateHTML = '<strong>Error displaying state</strong>';
+        }
+
+        stateDiv.innerHTML = stateHTML;
+    }
+
+    showResults(finalResult) {
+        if (!finalResult) return;
+
+        const resultsPanel = document.getElementById('results-panel');
+        const resultsContent = document.getElementById('results-content');
+
+        let resultsHTML = '';
+
+        try {
+            const renderer = this.getRenderer();
+            resultsHTML = renderer.resultsHtml ? renderer.resultsHtml(finalResult, this) : '';
+        } catch (error) {
+            console.error('Error showing results:', error);
+            resultsHTML = '<strong>Error displaying results</strong>';
+        }
+
+        resultsContent.innerHTML = resultsHTML;
+        resultsPanel.style.display = 'block';
+    }
+
+    showComparisonResults(summary) {
+        if (!summary) return;
+
+        const formatCost = (cost) => cost === null || cost === undefined ? '—' : escapeHtml(cost);
+        const rows = summary.algorithms.map(entry => `
+            <tr>
+                <td>${escapeHtml(this.getAlgorithmName(entry.algorithm))}</td>
+                <td>${formatCost(entry.cost)}</td>
+                <td>${escapeHtml(entry.stepCount)}</td>
+                <td>${escapeHtml(entry.edgeCount)}</td>
+                <td>${joinEscaped(summary.edgeDifferences[entry.algorithm]) || 'none'}</td>
+            </tr>`).join('');
+
+        document.getElementById('results-content').innerHTML = `
+            <table class="compare-table">
+                <tr><th>Algorithm</th><th>Cost</th><th>Steps</th><th>Edges</th><th>Only chosen here</th></tr>
+                ${rows}
+            </table>
+            <strong>Same cost:</strong> ${summary.sameCost ? 'yes' : 'no'}<br>
+            <strong>Same edges:</strong> ${summary.sameResultEdges ? 'yes' : 'no'}
+            ${summary.sameCost && !summary.sameResultEdges ? '<br><em>Both results are optimal; they broke ties differently.</em>' : ''}
+        `;
+        document.getElementById('results-panel').style.display = 'block';
+    }
+
+    // Quiz mode: "Next Step" first asks the renderer's questions about the coming step,
+    // checks the answers against the trace and only then reveals the step
+    setQuizMode(enabled) {
+        if (enabled && this.answer) {
+            document.getElementById('answer-toggle').checked = false;
+            this.setAnswerMode(false);
+        }
+
+        const compareSelect = document.getElementById('compare-algorithm');
+        // Answers are given by clicking the canvas, which the split view scales down
+        if (enabled && compareSelect.value) {
+            compareSelect.value = '';
+            this.updateAlgorithmInputs();
+        }
+        compareSelect.disabled = enabled;
+
+        this.pausePlayback();
+        this.quiz = enabled ? {} : null;
+        if (this.comparison) {
+            this.resetVisualization();
+        } else {
+            this.resetQuiz();
+            this.goToStep(0);
+        }
+    }
+
+    resetQuiz() {
+        if (this.quiz) {
+            // `answered` holds the steps the quiz has revealed, `reached` the furthest of them
+            this.quiz = {
+                pending: null, asked: 0, correct: 0, mistakes: [], feedback: null, finished: false,
+                answered: new Set(), reached: 0
+            };
+        }
+        this.renderQuiz();
+        this.updatePlaybackControls();
+    }
+
+    askQuizQuestions(index) {
+        if (this.quiz.pending) return;
+
+        const renderer = this.getRenderer();
+        const questions = renderer.quizQuestions
+            ? renderer.quizQuestions(this.getStepAt(this.algorithmSteps, index), this.getStepAt(this.algorithmSteps, index - 1), this)
+            : [];
+
+        if (questions.length === 0) {
+            this.revealQuizStep(index);
+            return;
+        }
+
+        this.pausePlayback();
+        this.quiz.pending = { index, questions, position: 0 };
+        this.renderQuiz();
+        this.updatePlaybackControls();
+    }
+
+    isQuizRunning() {
+        return Boolean(this.quiz && this.quiz.answered && !this.quiz.finished);
+    }
+
+    revealQuizStep(index) {
+        this.quiz.answered.add(index);
+        this.quiz.reached = Math.max(this.quiz.reached, index);
+        this.goToStep(index);
+    }
+
+    answerQuiz(answer, answerLabel = String(answer)) {
+        const pending = this.quiz && this.quiz.pending;
+        if (!pending) return;
+
+        const question = pending.questions[pending.position];
+        const correct = answer !== null && (question.isCorrect ? question.isCorrect(answer) : answer === question.answer);
+
+        this.quiz.asked++;
+        if (correct) {
+            this.quiz.correct++;
+        } else {
+            this.quiz.mistakes.push({
+                step: pending.index,
+                prompt: question.prompt,
+                given: answerLabel,
+                expected: question.answerLabel
+            });
+        }
+        this.quiz.feedback = {
+            correct,
+            text: correct ? 'Correct!' : `Not quite. The answer was ${question.answerLabel}.`
+        };
+
+        pending.position++;
+        if (pending.position < pending.questions.length) {
+            this.renderQuiz();
+        } else {
+            this.revealQuizStep(pending.index);
+        }
+    }
+
+    answerQuizAt(point) {
+        const question = this.quiz.pending.questions[this.quiz.pending.position];
+
+        if (question.type === 'node') {
+            const node = this.findNodeAt(point);
+            if (node) this.answerQuiz(node.id);
+        } else if (question.type === 'edge') {
+            const edge = this.findEdgeAt(point);
+            if (edge) this.answerQuiz(edge.id, `${edge.from}-${edge.to} (weight: ${edge.weight || 0})`);
+        }
+    }
+
+    renderQuiz() {
+        const panel = document.getElementById('quiz-panel');
+        panel.style.display = this.quiz ? 'block' : 'none';
+        this.canvas.classList.remove('quiz-target');
+        if (!this.quiz) return;
+
+        const { pending, feedback, asked, correct, mistakes } = this.quiz;
+        const question = pending ? pending.questions[pending.position] : null;
+        const hasSteps = this.algorithmSteps.length > 0;
+        if (hasSteps && !question && this.quiz.reached >= this.getLastStepIndex()) {
+            this.quiz.finished = true;
+        }
+
+        document.getElementById('quiz-score').textContent = `Score: ${correct || 0} / ${asked || 0}`;
+
+        const feedbackEl = document.getElementById('quiz-feedback');
+        feedbackEl.textContent = feedback ? feedback.text : '';
+        feedbackEl.className = feedback ? `quiz-feedback ${feedback.correct ? 'correct' : 'wrong'}` : 'quiz-feedback';
+
+        const prompt = document.getElementById('quiz-prompt');
+        const answers = document.getElementById('quiz-answers');
+        const summary = document.getElementById('quiz-summary');
+        answers.innerHTML = '';
+        summary.innerHTML = '';
+
+        if (question) {
+            prompt.textContent = question.prompt;
+            this.renderQuizAnswers(question, answers);
+            this.canvas.classList.toggle('quiz-target', question.type === 'node' || question.type === 'edge');
+        } else if (this.quiz.finished) {
+            prompt.textContent = `Quiz complete: ${correct || 0} of ${asked || 0} answers correct.`;
+            this.renderQuizSummary(mistakes || [], summary);
+        } else {
+            prompt.textContent = hasSteps
+                ? 'Press "Next Step" to predict what the algorithm does next.'
+                : 'Run the algorithm to start the quiz.';
+        }
+    }
+
+    renderQuizAnswers(question, container) {
+        if (question.type === 'choice') {
+            question.options.forEach(option => {
+                const btn = document.createElement('button');
+                btn.className = 'btn btn-secondary';
+                btn.textContent = option.label;
+                btn.addEventListener('click', () => this.answerQuiz(option.value, option.label));
+                container.appendChild(btn);
+            });
+        } else if (question.type === 'number') {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.className = 'quiz-number';
+
+            const submit = () => {
+                if (input.value.trim() !== '') this.answerQuiz(parseFloat(input.value), input.value.trim());
+            };
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') submit();
+            });
+
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-primary';
+            btn.textContent = 'Check';
+            btn.addEventListener('click', submit);
+
+            container.appendChild(input);
+            container.appendChild(btn);
+            input.focus();
+        } else {
+            const hint = document.createElement('span');
+            hint.className = 'quiz-hint';
+            hint.textContent = question.type === 'edge' ? 'Click an edge on the graph.' : 'Click a node on the graph.';
+            container.appendChild(hint);
+        }
+
+        const skip = document.createElement('button');
+        skip.className = 'btn btn-secondary';
+        skip.textContent = 'Show answer';
+        skip.addEventListener('click', () => this.answerQuiz(null, 'no answer'));
+        container.appendChild(skip);
+    }
+
+    renderQuizSummary(mistakes, container) {
+        if (mistakes.length === 0) {
+            container.textContent = 'No mistakes. Well done!';
+            return;
+        }
+
+        const heading = document.createElement('strong');
+        heading.textContent = 'Steps to review:';
+        container.appendChild(heading);
+
+        const list = document.createElement('ul');
+        mistakes.forEach(mistake => {
+            const item = document.createElement('li');
+            item.textContent = `Step ${mistake.step}: ${mistake.prompt} You answered ${mistake.given}; the answer was ${mistake.expected}.`;
+            item.addEventListener('click', () => {
+                this.pausePlayback();
+                this.goToStep(mistake.step);
+            });
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+
+    // "Enter my answer" mode: students click the edges of their MST or shortest-path tree
+    // and POST /api/verify grades it, pointing at the edge that breaks optimality
+    setAnswerMode(enabled) {
+        if (enabled && this.quiz) {
+            document.getElementById('quiz-toggle').checked = false;
+            this.setQuizMode(false);
+        }
+        if (enabled && this.editMode) {
+            this.toggleEditMode();
+        }
+
+        const compareSelect = document.getElementById('compare-algorithm');
+        if (enabled && compareSelect.value) {
+            compareSelect.value = '';
+            this.updateAlgorithmInputs();
+        }
+        compareSelect.disabled = enabled;
+
+        this.answer = enabled ? { edgeIds: new Set(), result: null } : null;
+        this.resetVisualization();
+    }
+
+    resetAnswer() {
+        if (this.answer) {
+            this.answer = { edgeIds: new Set(), result: null };
+        }
+        this.renderAnswer();
+        this.redrawGraph();
+    }
+
+    toggleAnswerEdge(edgeId) {
+        const { edgeIds } = this.answer;
+        if (edgeIds.has(edgeId)) {
+            edgeIds.delete(edgeId);
+        } else {
+            edgeIds.add(edgeId);
+        }
+
+        this.answer.result = null;
+        this.renderAnswer();
+        this.redrawGraph();
+    }
+
+    async checkAnswer() {
+        if (!this.answer || !this.currentGraph) return;
+
+        try {
+            const params = this.collectAlgorithmInputs(this.currentAlgorithm);
+            if (this.getAlgorithmDefinition().family === 'shortest-path') {
+                this.checkRequiredInputs(this.currentAlgorithm, params);
+            }
+
+            const response = await fetch('/api/verify', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    graph: this.currentGraph,
+                    algorithm: this.currentAlgorithm,
+                    answer: { edges: [...this.answer.edgeIds] },
+                    ...params
+                })
+            });
+
+            const result = response.ok ? await response.json() : { error: await this.getResponseError(response) };
+            if (!this.answer) return;
+
+            this.answer.result = result;
+            this.renderAnswer();
+            this.redrawGraph();
+        } catch (error) {
+            console.error('Answer check error:', error);
+            alert('Error checking answer: ' + error.message);
+        }
+    }
+
+    renderAnswer() {
+        const panel = document.getElementById('answer-panel');
+        panel.style.display = this.answer ? 'block' : 'none';
+        this.canvas.classList.toggle('answer-target', Boolean(this.answer));
+        if (!this.answer) return;
+
+        const { edgeIds, result } = this.answer;
+        const edges = this.currentGraph ? this.currentGraph.edges.filter(edge => edgeIds.has(edge.id)) : [];
+        const cost = edges.reduce((sum, edge) => sum + (edge.weight || 0), 0);
+        document.getElementById('answer-cost').textContent = `${edges.length} edge(s), cost ${cost}`;
+
+        const definition = this.getAlgorithmDefinition() || {};
+        document.getElementById('answer-prompt').textContent = definition.family === 'shortest-path'
+            ? 'Click the edges of your shortest paths from the source (the whole tree, or only the path to the target if one is set), then check your answer.'
+            : 'Click the edges of your minimum spanning tree, then check your answer.';
+
+        const feedback = document.getElementById('answer-result');
+        feedback.className = 'quiz-feedback';
+        feedback.textContent = '';
+        if (!result) return;
+
+        if (result.error) {
+            feedback.textContent = result.error;
+            feedback.classList.add('wrong');
+        } else {
+            feedback.textContent = result.explanation;
+            feedback.classList.add(result.valid && result.optimal ? 'correct' : 'wrong');
+        }
+    }
+
+    // Halo color for the edges a failed check points at: the offending edge and the one to use instead
+    getAnswerHalo(edge) {
+        const violation = this.answer && this.answer.result && this.answer.result.violation;
+        if (!violation) return null;
+
+        if (violation.edge && violation.edge.id === edge.id) return 'rgba(239, 68, 68, 0.45)';
+        if (violation.betterEdge && violation.betterEdge.id === edge.id) return 'rgba(16, 185, 129, 0.45)';
+        return null;
+    }
+
+    // Asks the server whether the MST is unique and lists the alternatives, so students can
+    // see that another tree than the textbook's can be just as good
+    async findAllMsts() {
+        if (!this.currentGraph) return;
+
+        try {
+            const response = await fetch('/api/msts', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    graph: this.currentGraph,
+                    tieBreak: this.collectAlgorithmInputs(this.currentAlgorithm).tieBreak
+                })
+            });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+
+            this.resetVisualization();
+            this.msts = { result: await response.json(), index: 0 };
+            this.showMst(0);
+        } catch (error) {
+            console.error('MST enumeration error:', error);
+            alert('Error finding minimum spanning trees: ' + error.message);
+        }
+    }
+
+    showMst(index) {
+        if (!this.msts) return;
+
+        const { result } = this.msts;
+        const trees = result.trees || [];
+        this.msts.index = trees.length > 0 ? (index + trees.length) % trees.length : 0;
+        this.renderMsts();
+        this.redrawGraph();
+    }
+
+    closeMsts() {
+        this.msts = null;
+        this.renderMsts();
+        this.redrawGraph();
+    }
+
+    renderMsts() {
+        const panel = document.getElementById('msts-panel');
+        panel.style.display = this.msts ? 'block' : 'none';
+        if (!this.msts) return;
+
+        const { result, index } = this.msts;
+        const trees = result.trees || [];
+        const kind = result.connected ? 'spanning tree' : 'spanning forest';
+
+        document.getElementById('msts-count').textContent = trees.length > 0
+            ? `${index + 1} of ${trees.length}${result.truncated ? '+' : ''}`
+            : '';
+
+        let summary;
+        if (result.unique) {
+            summary = `The minimum ${kind} is unique (cost ${result.totalCost}).`;
+        } else {
+            const count = result.count === null ? 'Several' : `${result.count}`;
+            const ties = result.ties
+                .map(tie => `${tie.chosen} of ${tie.edgeIds.join(', ')} (weight ${tie.weight})`)
+                .join('; ');
+            summary = `${count} minimum ${kind}s of cost ${result.totalCost}. They differ in which equal-weight edges they take: ${ties}.`;
+        }
+        if (!result.trees) {
+            summary += ` Only graphs of up to ${result.maxEnumerationNodes} nodes are listed one by one.`;
+        } else if (result.truncated) {
+            summary += ` The first ${trees.length} are listed.`;
+        }
+        if (trees.length > 1) {
+            summary += ' Tree 1 is the one Kruskal, Prim and Borůvka return under the selected tie-break rule; ringed edges differ from it.';
+        }
+        document.getElementById('msts-summary').textContent = summary;
+
+        document.getElementById('msts-prev-btn').disabled = trees.length < 2;
+        document.getElementById('msts-next-btn').disabled = trees.length < 2;
+    }
+
+    // Edge IDs of the tree on screen while browsing MSTs, and those not in the first tree
+    getMstHighlight() {
+        const trees = this.msts && this.msts.result.trees;
+        if (!trees || trees.length === 0) return null;
+
+        const edgeIds = new Set(trees[this.msts.index].edgeIds);
+        const first = new Set(trees[0].edgeIds);
+        return { edgeIds, swapped: new Set([...edgeIds].filter(id => !first.has(id))) };
+    }
+
+    resetVisualization() {
+        this.cancelStream();
+        this.algorithmSteps = [];
+        this.currentStep = 0;
+        this.isAnimating = false;
+        this.resultEdgeIds = null;
+        this.setComparison(null);
+        this.resetQuiz();
+        this.resetAnswer();
+        if (this.msts) this.closeMsts();
+
+        const resultOnly = document.getElementById('export-result-only');
+        resultOnly.checked = false;
+        resultOnly.disabled = true;
+
+        if (this.animationTimeout) {
+            clearTimeout(this.animationTimeout);
+            this.animationTimeout = null;
+        }
+
+        this.renderTimeline();
+        this.updateStepInfo();
+        this.redrawGraph();
+
+        document.getElementById('results-panel').style.display = 'none';
+
+        this.enableControls();
+        this.disableStepControls();
+    }
+
+    toggleEditMode() {
+        this.editMode = !this.editMode;
+        this.editorState.selected = null;
+        this.cancelCanvasDrag();
+
+        const btn = document.getElementById('edit-graph-btn');
+        btn.classList.toggle('active', this.editMode);
+        btn.textContent = this.editMode ? 'Done Editing' : 'Edit Graph';
+        document.getElementById('editor-hint').style.display = this.editMode ? 'block' : 'none';
+        this.canvas.classList.toggle('editing', this.editMode);
+
+        if (this.editMode) {
+            if (!this.currentGraph) {
+                this.currentGraph = { nodes: [], edges: [] };
+            }
+            this.pausePlayback();
+            this.resetVisualization();
+            this.canvas.focus();
+        }
+
+        this.redrawGraph();
+    }
+
+    // Pointer position in layout pixels, before the view transform
+    getViewPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) / this.paneScale,
+            y: (event.clientY - rect.top) / this.paneScale
+        };
+    }
+
+    // Pointer position in graph coordinates, the space nodes and edges are hit-tested in
+    getCanvasPoint(event) {
+        const point = this.getViewPoint(event);
+        const { scale, offsetX, offsetY } = this.view;
+        return {
+            x: (point.x - offsetX) / scale,
+            y: (point.y - offsetY) / scale
+        };
+    }
+
+    // Zooms around a point given in layout pixels, which stays where it is on screen
+    zoomAt(point, factor) {
+        const { scale, offsetX, offsetY } = this.view;
+        const nextScale = Math.min(4, Math.max(0.1, scale * factor));
+
+        this.view = {
+            scale: nextScale,
+            offsetX: point.x - (point.x - offsetX) * nextScale / scale,
+            offsetY: point.y - (point.y - offsetY) * nextScale / scale
+        };
+        this.updateZoomLevel();
+        this.redrawGraph();
+    }
+
+    // Zoom buttons keep the centre of the canvas in place
+    zoomBy(factor) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.zoomAt({ x: rect.width / this.paneScale / 2, y: rect.height / this.paneScale / 2 }, factor);
+    }
+
+    // Centres the graph and shrinks it until every node is visible. Small graphs are
+    // not blown up past 100%, where nodes and labels have their designed size.
+    fitView() {
+        const rect = this.canvas.getBoundingClientRect();
+        const nodes = this.currentGraph ? this.currentGraph.nodes.filter(node => node && node.id) : [];
+
+        if (nodes.length === 0 || rect.width === 0 || rect.height === 0) {
+            this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        } else {
+            // Room for the node radius and the distance labels beside the nodes
+            const padding = 60;
+            const xs = nodes.map(node => node.x || 0);
+            const ys = nodes.map(node => node.y || 0);
+            const minX = xs.reduce((min, x) => Math.min(min, x), Infinity) - padding;
+            const minY = ys.reduce((min, y) => Math.min(min, y), Infinity) - padding;
+            const width = xs.reduce((max, x) => Math.max(max, x), -Infinity) + padding - minX;
+            const height = ys.reduce((max, y) => Math.max(max, y), -Infinity) + padding - minY;
+            const viewWidth = rect.width / this.paneScale;
+            const viewHeight = rect.height / this.paneScale;
+            const scale = Math.max(0.1, Math.min(1, viewWidth / width, viewHeight / height));
+
+            this.view = {
+                scale,
+                offsetX: (viewWidth - width * scale) / 2 - minX * scale,
+                offsetY: (viewHeight - height * scale) / 2 - minY * scale
+            };
+        }
+
+        this.updateZoomLevel();
+        this.redrawGraph();
+    }
+
+    updateZoomLevel() {
+        document.getElementById('zoom-level').textContent = `${Math.round(this.view.scale * 100)}%`;
+    }
+
+    handleCanvasWheel(event) {
+        if (!this.currentGraph) return;
+
+        event.preventDefault();
+        this.zoomAt(this.getViewPoint(event), Math.exp(-event.deltaY * 0.0015));
+    }
+
+    startPan(event) {
+        this.panState = {
+            x: event.clientX,
+            y: event.clientY,
+            offsetX: this.view.offsetX,
+            offsetY: this.view.offsetY
+        };
+        this.canvas.classList.add('panning');
+    }
+
+    findNodeAt(point) {
+        if (!this.currentGraph || !this.currentGraph.nodes) return null;
+
+        // Zoomed far out, nodes are smaller than a fingertip, so the target keeps a minimum screen size
+        const radius = Math.max(25, 8 / this.view.scale);
+        // Search from the top-most (last drawn) node down
+        for (let i = this.currentGraph.nodes.length - 1; i >= 0; i--) {
+            const node = this.currentGraph.nodes[i];
+            if (!node || !node.id) continue;
+
+            const dx = point.x - (node.x || 0);
+            const dy = point.y - (node.y || 0);
+            if (dx * dx + dy * dy <= radius * radius) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    findWeightLabelAt(point) {
+        if (!this.currentGraph || !this.currentGraph.edges) return null;
+
+        return this.currentGraph.edges.find(edge => {
+            const ends = this.getEdgeEndpoints(edge);
+            if (!ends) return false;
+
+            const geometry = this.getEdgeGeometry(ends.from, ends.to, this.getEdgeOffset(edge));
+            return this.getLevelOfDetail().smallLabels &&
+                Math.abs(point.x - geometry.midX) <= 15 && Math.abs(point.y - geometry.midY) <= 10;
+        }) || null;
+    }
+
+    findEdgeAt(point) {
+        if (!this.currentGraph || !this.currentGraph.edges) return null;
 
-        let resultsHTML = '';
+        const labelHit = this.findWeightLabelAt(point);
+        if (labelHit) return labelHit;
 
-        try {
-            if (this.currentAlgorithm === 'kruskal' || this.currentAlgorithm === 'prim') {
-                resultsHTML = `
-                    <strong>Minimum Spanning Tree Found!</strong><br><br>
-                    <strong>Total Cost:</strong> ${finalResult.totalCost || 0}<br>
-                    <strong>Edges in MST:</strong> ${finalResult.edgeCount || 0}<br><br>
-                    <strong>Selected Edges:</strong><br>
-                `;
-
-                if (finalResult.mstEdges && Array.isArray(finalResult.mstEdges)) {
-                    resultsHTML += finalResult.mstEdges.map(edge => 
-                        `${edge.from || '?'} - ${edge.to || '?'} (weight: ${edge.weight || 0})`
-                    ).join('<br>');
-                }
-            } else if (this.currentAlgorithm === 'dijkstra') {
-                resultsHTML = `<strong>Shortest Paths from ${finalResult.sourceNode || '?'}:</strong><br><br>`;
-
-                if (finalResult.distances && typeof finalResult.distances === 'object') {
-                    Object.entries(finalResult.distances).forEach(([node, dist]) => {
-                        const distStr = dist === Infinity ? 'No path' : (dist !== null && dist !== undefined ? String(dist) : 'undefined');
-                        const pathInfo = finalResult.shortestPaths && finalResult.shortestPaths[node] && finalResult.shortestPaths[node].path
-                            ? ` (${finalResult.shortestPaths[node].path.join(' → ')})` 
-                            : '';
-                        resultsHTML += `<strong>${node || '?'}:</strong> ${distStr}${pathInfo}<br>`;
-                    });
-                }
+        const tolerance = 6 / this.view.scale;
+        return this.currentGraph.edges.find(edge => {
+            const ends = this.getEdgeEndpoints(edge);
+            if (!ends) return false;
+
+            const geometry = this.getEdgeGeometry(ends.from, ends.to, this.getEdgeOffset(edge));
+            return this.distanceToSegment(point, { x: geometry.x1, y: geometry.y1 }, { x: geometry.x2, y: geometry.y2 }) <= tolerance;
+        }) || null;
+    }
+
+    getEdgeEndpoints(edge) {
+        if (!edge || !edge.from || !edge.to) return null;
+
+        const from = this.currentGraph.nodes.find(n => n && n.id === edge.from);
+        const to = this.currentGraph.nodes.find(n => n && n.id === edge.to);
+        return from && to ? { from, to } : null;
+    }
+
+    // Geometry and colour helpers live in graph-scene.js, shared with the SVG export
+    isDirectedEdge(edge) {
+        return isDirectedEdge(this.currentGraph, edge);
+    }
+
+    getEdgeOffset(edge) {
+        return getEdgeOffset(this.currentGraph, edge);
+    }
+
+    getEdgeGeometry(fromNode, toNode, offset = 0) {
+        return getEdgeGeometry(fromNode, toNode, offset);
+    }
+
+    distanceToSegment(point, a, b) {
+        const ax = a.x || 0, ay = a.y || 0;
+        const bx = b.x || 0, by = b.y || 0;
+        const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2;
+
+        if (lengthSq === 0) return Math.hypot(point.x - ax, point.y - ay);
+
+        const t = Math.max(0, Math.min(1, ((point.x - ax) * (bx - ax) + (point.y - ay) * (by - ay)) / lengthSq));
+        return Math.hypot(point.x - (ax + t * (bx - ax)), point.y - (ay + t * (by - ay)));
+    }
+
+    handleCanvasMouseDown(event) {
+        // The middle button or Alt+drag pans in every mode, including the editor
+        if (event.button === 1 || (event.button === 0 && event.altKey)) {
+            event.preventDefault();
+            this.startPan(event);
+            return;
+        }
+
+        if (!this.editMode && this.quiz && this.quiz.pending) {
+            this.answerQuizAt(this.getCanvasPoint(event));
+            return;
+        }
+
+        if (!this.editMode && this.answer) {
+            const edge = this.findEdgeAt(this.getCanvasPoint(event));
+            if (edge) {
+                this.toggleAnswerEdge(edge.id);
+            } else if (event.button === 0) {
+                this.startPan(event);
             }
-        } catch (error) {
-            console.error('Error showing results:', error);
-            resultsHTML = '<strong>Error displaying results</strong>';
+            return;
         }
 
-        resultsContent.innerHTML = resultsHTML;
-        resultsPanel.style.display = 'block';
-    }
+        if (!this.editMode) {
+            if (event.button === 0) this.startPan(event);
+            return;
+        }
 
-    resetVisualization() {
-        this.algorithmSteps = [];
-        this.currentStep = 0;
-        this.isAnimating = false;
+        if (event.button !== 0) return;
 
-        if (this.animationTimeout) {
-            clearTimeout(this.animationTimeout);
-            this.animationTimeout = null;
+        this.canvas.focus();
+        const point = this.getCanvasPoint(event);
+        const node = this.findNodeAt(point);
+
+        this.editorState.pointer = point;
+        this.editorState.moved = false;
+        this.editorState.addOnRelease = false;
+
+        if (node) {
+            this.editorState.selected = { type: 'node', id: node.id };
+            if (event.shiftKey) {
+                this.editorState.edgeStart = node;
+            } else {
+                this.editorState.dragNode = node;
+            }
+        } else {
+            const edge = this.findEdgeAt(point);
+            // Clicking empty space first clears a selection, then adds nodes
+            this.editorState.addOnRelease = !edge && !this.editorState.selected;
+            this.editorState.selected = edge ? { type: 'edge', id: edge.id } : null;
         }
 
-        this.updateStepInfo();
         this.redrawGraph();
+    }
 
-        document.getElementById('results-panel').style.display = 'none';
+    handleCanvasMouseMove(event) {
+        if (this.panState) {
+            const { x, y, offsetX, offsetY } = this.panState;
+            this.view.offsetX = offsetX + (event.clientX - x) / this.paneScale;
+            this.view.offsetY = offsetY + (event.clientY - y) / this.paneScale;
+            this.redrawGraph();
+            return;
+        }
+
+        if (!this.editMode) return;
+
+        const point = this.getCanvasPoint(event);
+        const { dragNode, edgeStart } = this.editorState;
+
+        if (dragNode) {
+            dragNode.x = Math.round(point.x);
+            dragNode.y = Math.round(point.y);
+            this.editorState.moved = true;
+            this.redrawGraph();
+        } else if (edgeStart) {
+            this.editorState.pointer = point;
+            this.editorState.moved = true;
+            this.redrawGraph();
+        }
+    }
+
+    handleCanvasMouseUp(event) {
+        if (this.panState) {
+            this.panState = null;
+            this.canvas.classList.remove('panning');
+            return;
+        }
 
+        if (!this.editMode || event.button !== 0) return;
+
+        const point = this.getCanvasPoint(event);
+        const { dragNode, edgeStart, moved, addOnRelease } = this.editorState;
+
+        this.editorState.dragNode = null;
+        this.editorState.edgeStart = null;
+
+        if (edgeStart) {
+            const target = this.findNodeAt(point);
+            if (target && target.id !== edgeStart.id) {
+                this.addEdge(edgeStart.id, target.id);
+            } else {
+                this.redrawGraph();
+            }
+            return;
+        }
+
+        if (dragNode) {
+            if (moved) this.onGraphEdited();
+            return;
+        }
+
+        if (addOnRelease) {
+            this.addNode(point);
+        }
+    }
+
+    cancelCanvasDrag() {
+        const { dragNode, moved } = this.editorState;
+
+        this.editorState.addOnRelease = false;
+
+        this.editorState.dragNode = null;
+        this.editorState.edgeStart = null;
+
+        if (dragNode && moved) {
+            this.onGraphEdited();
+        } else {
+            this.redrawGraph();
+        }
+    }
+
+    handleCanvasDoubleClick(event) {
+        if (!this.editMode) return;
+
+        const edge = this.findWeightLabelAt(this.getCanvasPoint(event));
+        if (!edge) return;
+
+        const input = prompt(`Weight for edge ${edge.from}-${edge.to}:`, String(edge.weight || 0));
+        if (input === null) return;
+
+        const weight = Number(input);
+        if (input.trim() === '' || !Number.isFinite(weight)) {
+            alert('Edge weight must be a number');
+            return;
+        }
+
+        edge.weight = weight;
+        this.onGraphEdited();
+    }
+
+    handleCanvasKeyDown(event) {
+        if (!this.editMode) return;
+
+        if (event.key === 'Delete' || event.key === 'Backspace') {
+            event.preventDefault();
+            this.deleteSelection();
+        } else if (event.key === 'Escape') {
+            this.editorState.selected = null;
+            this.cancelCanvasDrag();
+        }
+    }
+
+    addNode(point) {
+        const id = this.getNextNodeId();
+
+        this.currentGraph.nodes.push({
+            id,
+            label: `Node ${id}`,
+            x: Math.round(point.x),
+            y: Math.round(point.y)
+        });
+
+        this.editorState.selected = { type: 'node', id };
+        this.onGraphEdited();
+    }
+
+    addEdge(fromId, toId) {
+        const directed = Boolean(this.currentGraph.directed);
+        const exists = this.currentGraph.edges.some(edge => edge &&
+            ((edge.from === fromId && edge.to === toId) ||
+             (!directed && edge.from === toId && edge.to === fromId)));
+
+        if (exists) {
+            alert(`Edge ${fromId}-${toId} already exists`);
+            this.redrawGraph();
+            return;
+        }
+
+        let id = `${fromId}-${toId}`;
+        let suffix = 2;
+        while (this.currentGraph.edges.some(edge => edge && edge.id === id)) {
+            id = `${fromId}-${toId}-${suffix++}`;
+        }
+
+        this.currentGraph.edges.push({ id, from: fromId, to: toId, weight: 1 });
+        this.editorState.selected = { type: 'edge', id };
+        this.onGraphEdited();
+    }
+
+    deleteSelection() {
+        const selected = this.editorState.selected;
+        if (!selected) return;
+
+        if (selected.type === 'node') {
+            this.currentGraph.nodes = this.currentGraph.nodes.filter(n => n && n.id !== selected.id);
+            this.currentGraph.edges = this.currentGraph.edges.filter(e => e && e.from !== selected.id && e.to !== selected.id);
+        } else {
+            this.currentGraph.edges = this.currentGraph.edges.filter(e => e && e.id !== selected.id);
+        }
+
+        this.editorState.selected = null;
+        this.onGraphEdited();
+    }
+
+    getNextNodeId() {
+        const used = new Set(this.currentGraph.nodes.map(n => n && n.id));
+
+        for (let i = 0; i < 26; i++) {
+            const id = String.fromCharCode(65 + i);
+            if (!used.has(id)) return id;
+        }
+
+        let index = 1;
+        while (used.has(`N${index}`)) index++;
+        return `N${index}`;
+    }
+
+    onGraphEdited() {
+        this.showGraphSeed(null);
+        this.showLayoutInfo(null);
+        this.syncDirectedToggle();
+        this.populateNodeSelects();
+        this.redrawGraph();
         this.enableControls();
-        this.disableStepControls();
+        this.resetVisualization();
+    }
+
+    drawEditorOverlay() {
+        const ctx = this.ctx;
+        const { selected, edgeStart, pointer } = this.editorState;
+
+        if (edgeStart && pointer) {
+            ctx.save();
+            ctx.strokeStyle = '#f59e0b';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(edgeStart.x || 0, edgeStart.y || 0);
+            ctx.lineTo(pointer.x, pointer.y);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        if (selected && selected.type === 'node') {
+            const node = this.currentGraph.nodes.find(n => n && n.id === selected.id);
+            if (node) {
+                ctx.save();
+                ctx.strokeStyle = '#f59e0b';
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(node.x || 0, node.y || 0, 30, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.restore();
+            }
+        }
     }
 
     redrawGraph() {
+        this.drawGraph();
+
+        if (this.comparison) {
+            this.withComparisonPane(() => this.drawGraph());
+        }
+    }
+
+    drawGraph() {
         if (!this.currentGraph || !this.currentGraph.nodes || !this.currentGraph.edges) return;
 
         const ctx = this.ctx;
         const canvas = this.canvas;
-        const rect = canvas.getBoundingClientRect();
 
-        ctx.clearRect(0, 0, rect.width, rect.height);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.restore();
 
-        const currentStep = this.algorithmSteps[this.currentStep];
+        ctx.save();
+        ctx.translate(this.view.offsetX, this.view.offsetY);
+        ctx.scale(this.view.scale, this.view.scale);
+
+        const currentStep = this.getStepAt(this.algorithmSteps, this.currentStep);
+        const renderer = this.getRenderer();
+
+        // Once this trace has finished, ring the edges that the other algorithm did not choose
+        const differingEdges = this.comparison && this.currentStep >= this.algorithmSteps.length - 1
+            ? this.comparison.summary.edgeDifferences[this.currentAlgorithm] || []
+            : [];
+
+        // Colours come from the renderer hooks, as in the SVG export; editing and
+        // answer mode then draw their own highlights on top
+        const scene = buildScene(this.currentGraph, currentStep, renderer, this);
+        const mstHighlight = this.getMstHighlight();
 
         // Draw edges
-        this.currentGraph.edges.forEach(edge => {
-            if (!edge || !edge.from || !edge.to) return;
-
-            const fromNode = this.currentGraph.nodes.find(n => n && n.id === edge.from);
-            const toNode = this.currentGraph.nodes.find(n => n && n.id === edge.to);
-
-            if (fromNode && toNode) {
-                let color = '#94a3b8';
-                let width = 2;
-
-                if (currentStep) {
-                    if (this.currentAlgorithm === 'kruskal') {
-                        const mstEdge = currentStep.mstEdges?.find(e => e && e.id === edge.id);
-                        if (mstEdge && mstEdge.status === 'accepted') {
-                            color = '#10b981';
-                            width = 4;
-                        } else if (currentStep.sortedEdges) {
-                            const sortedEdge = currentStep.sortedEdges.find(e => e && e.id === edge.id);
-                            if (sortedEdge?.status === 'rejected') {
-                                color = '#ef4444';
-                            } else if (sortedEdge?.status === 'accepted') {
-                                color = '#10b981';
-                                width = 4;
-                            } else if (currentStep.currentEdge?.id === edge.id) {
-                                color = '#f59e0b';
-                                width = 3;
-                            }
-                        }
-                    } else if (this.currentAlgorithm === 'prim') {
-                        const mstEdge = currentStep.mstEdges?.find(e => e && e.id === edge.id);
-                        if (mstEdge) {
-                            color = '#10b981';
-                            width = 4;
-                        } else if (currentStep.currentEdge?.edgeId === edge.id) {
-                            color = '#f59e0b';
-                            width = 3;
-                        }
-                    } else if (this.currentAlgorithm === 'dijkstra') {
-                        if (currentStep.shortestPaths) {
-                            let isInPath = false;
-                            Object.values(currentStep.shortestPaths).forEach(pathData => {
-                                if (pathData && pathData.path && pathData.path.length > 1) {
-                                    for (let i = 0; i < pathData.path.length - 1; i++) {
-                                        if ((pathData.path[i] === edge.from && pathData.path[i + 1] === edge.to) ||
-                                            (pathData.path[i] === edge.to && pathData.path[i + 1] === edge.from)) {
-                                            isInPath = true;
-                                            break;
-                                        }
-                                    }
-                                }
-                            });
-                            if (isInPath) {
-                                color = '#10b981';
-                                width = 4;
-                            }
-                        }
-                    }
-                }
+        scene.edges.forEach(({ edge, from: fromNode, to: toNode, directed, offset, ...style }) => {
+            let { color, width } = style;
 
-                this.drawEdge(fromNode, toNode, edge.weight || 0, color, width);
+            if (this.editMode && this.editorState.selected?.type === 'edge' && this.editorState.selected.id === edge.id) {
+                color = '#f59e0b';
+                width = 4;
             }
-        });
 
-        // Draw nodes
-        this.currentGraph.nodes.forEach(node => {
-            if (!node || !node.id) return;
-
-            let color = '#3b82f6';
-            let borderColor = '#1e40af';
-
-            if (currentStep) {
-                if (this.currentAlgorithm === 'prim' && currentStep.visitedNodes?.includes(node.id)) {
-                    color = '#10b981';
-                    borderColor = '#059669';
-                } else if (this.currentAlgorithm === 'dijkstra') {
-                    if (currentStep.visited?.includes(node.id)) {
-                        color = '#10b981';
-                        borderColor = '#059669';
-                    } else if (currentStep.currentNode === node.id) {
-                        color = '#f59e0b';
-                        borderColor = '#d97706';
-                    }
+            if (this.answer && this.answer.edgeIds.has(edge.id)) {
+                color = '#8b5cf6';
+                width = 4;
+            }
+
+            if (mstHighlight) {
+                const inTree = mstHighlight.edgeIds.has(edge.id);
+                color = inTree ? '#10b981' : '#94a3b8';
+                width = inTree ? 4 : 2;
+                if (mstHighlight.swapped.has(edge.id)) {
+                    this.drawEdgeHalo(fromNode, toNode, offset, 'rgba(245, 158, 11, 0.45)');
                 }
             }
 
+            if (differingEdges.includes(edge.id)) {
+                this.drawEdgeHalo(fromNode, toNode, offset);
+            }
+
+            const answerHalo = this.getAnswerHalo(edge);
+            if (answerHalo) {
+                this.drawEdgeHalo(fromNode, toNode, offset, answerHalo);
+            }
+
+            this.drawEdge(fromNode, toNode, edge.weight || 0, color, width, { directed, offset });
+        });
+
+        // Draw nodes
+        scene.nodes.forEach(({ node, color, borderColor, annotation }) => {
             this.drawNode(node, color, borderColor);
+
+            if (annotation) {
+                this.drawNodeAnnotation(node, annotation);
+            }
         });
+
+        if (this.editMode) {
+            this.drawEditorOverlay();
+        }
+
+        ctx.restore();
     }
 
-    drawEdge(fromNode, toNode, weight, color = '#94a3b8', width = 2) {
+    // What stays legible at the current on-screen scale. Text is enlarged up to 1.4x as the
+    // view zooms out and dropped once it would still be smaller than about 10px: first edge
+    // weights and distance labels, then node names.
+    getLevelOfDetail() {
+        const zoom = this.view.scale * this.paneScale;
+        return {
+            zoom,
+            textScale: Math.min(1.4, Math.max(1, 0.7 / zoom)),
+            nodeLabels: zoom >= 0.5,
+            smallLabels: zoom >= 0.6
+        };
+    }
+
+    isEdgeOnPaths(edge, shortestPaths) {
+        return isEdgeOnPaths(this.currentGraph, edge, shortestPaths);
+    }
+
+    drawEdge(fromNode, toNode, weight, color = '#94a3b8', width = 2, options = {}) {
         const ctx = this.ctx;
+        const { directed = false, offset = 0 } = options;
+        const geometry = this.getEdgeGeometry(fromNode, toNode, offset);
+        const nodeRadius = 25;
+        const detail = this.getLevelOfDetail();
+
+        // Directed edges stop at the target's border so the arrowhead stays visible
+        const endX = directed ? geometry.x2 - geometry.ux * nodeRadius : geometry.x2;
+        const endY = directed ? geometry.y2 - geometry.uy * nodeRadius : geometry.y2;
 
         ctx.strokeStyle = color;
-        ctx.lineWidth = width;
+        // At least one screen pixel wide, however far the view is zoomed out
+        ctx.lineWidth = Math.max(width, 1 / detail.zoom);
         ctx.beginPath();
-        ctx.moveTo(fromNode.x || 0, fromNode.y || 0);
-        ctx.lineTo(toNode.x || 0, toNode.y || 0);
+        ctx.moveTo(geometry.x1, geometry.y1);
+        ctx.lineTo(endX, endY);
         ctx.stroke();
 
-        const midX = ((fromNode.x || 0) + (toNode.x || 0)) / 2;
-        const midY = ((fromNode.y || 0) + (toNode.y || 0)) / 2;
+        if (directed) {
+            const size = 10 + width;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(endX, endY);
+            ctx.lineTo(endX - geometry.ux * size - geometry.uy * size / 2, endY - geometry.uy * size + geometry.ux * size / 2);
+            ctx.lineTo(endX - geometry.ux * size + geometry.uy * size / 2, endY - geometry.uy * size - geometry.ux * size / 2);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        if (!detail.smallLabels) return;
+
+        const midX = geometry.midX;
+        const midY = geometry.midY;
+        const textScale = detail.textScale;
 
         ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--bg-primary');
-        ctx.fillRect(midX - 15, midY - 10, 30, 20);
+        ctx.fillRect(midX - 15 * textScale, midY - 10 * textScale, 30 * textScale, 20 * textScale);
 
         ctx.fillStyle = color;
-        ctx.font = '14px Inter, sans-serif';
+        ctx.font = `${Math.round(14 * textScale)}px Inter, sans-serif`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText(String(weight || 0), midX, midY);
     }
 
+    drawEdgeHalo(fromNode, toNode, offset = 0, color = 'rgba(236, 72, 153, 0.45)') {
+        const ctx = this.ctx;
+        const geometry = this.getEdgeGeometry(fromNode, toNode, offset);
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 14;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(geometry.x1, geometry.y1);
+        ctx.lineTo(geometry.x2, geometry.y2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
     drawNode(node, fillColor = '#3b82f6', borderColor = '#1e40af') {
         const ctx = this.ctx;
         const radius = 25;
+        const detail = this.getLevelOfDetail();
 
         ctx.fillStyle = fillColor;
         ctx.strokeStyle = borderColor;
-        ctx.lineWidth = 2;
+        ctx.lineWidth = Math.max(2, 1 / detail.zoom);
         ctx.beginPath();
         ctx.arc(node.x || 0, node.y || 0, radius, 0, Math.PI * 2);
         ctx.fill();
         ctx.stroke();
 
+        if (!detail.nodeLabels) return;
+
         ctx.fillStyle = 'white';
-        ctx.font = 'bold 14px Inter, sans-serif';
+        ctx.font = `bold ${Math.round(14 * detail.textScale)}px Inter, sans-serif`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText(String(node.id || ''), node.x || 0, node.y || 0);
     }
 
+    getComponentColor(nodeId, components) {
+        return getComponentColor(this.currentGraph, nodeId, components);
+    }
+
+    // Draws the binary heap array as a tree; nodes on the last sift path are highlighted
+    drawHeap(snapshot) {
+        const panel = document.getElementById('heap-panel');
+        const canvas = document.getElementById('heap-canvas');
+        if (!panel || !canvas) return;
+
+        if (!snapshot || !Array.isArray(snapshot.heap)) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        panel.style.display = 'block';
+
+        const op = snapshot.lastOperation;
+        const opNames = { push: 'insert', pop: 'extract-min', decreaseKey: 'decrease-key' };
+        document.getElementById('heap-operation').textContent = op && op.item
+            ? `Last operation: ${opNames[op.type] || op.type} ${op.item.label} (${op.item.priority}), sift path [${op.siftPath.join(' → ')}]`
+            : '';
+
+        const rect = canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = rect.width * dpr;
+        canvas.height = rect.height * dpr;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, rect.width, rect.height);
+
+        const textColor = getComputedStyle(document.body).getPropertyValue('--text-secondary');
+        const items = snapshot.heap;
+
+        if (items.length === 0) {
+            ctx.fillStyle = textColor;
+            ctx.font = '14px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Heap is empty', rect.width / 2, rect.height / 2);
+            return;
+        }
+
+        const radius = 18;
+        const depth = Math.floor(Math.log2(items.length)) + 1;
+        const levelHeight = depth > 1 ? (rect.height - 2 * radius - 8) / (depth - 1) : 0;
+        const siftPath = new Set(op ? op.siftPath : []);
+
+        const position = (index) => {
+            const level = Math.floor(Math.log2(index + 1));
+            const slot = index + 1 - Math.pow(2, level);
+            const slots = Math.pow(2, level);
+            return {
+                x: ((slot + 0.5) / slots) * rect.width,
+                y: radius + 4 + level * levelHeight
+            };
+        };
+
+        items.forEach((_, index) => {
+            if (index === 0) return;
+            const parentIndex = (index - 1) >> 1;
+            const from = position(parentIndex);
+            const to = position(index);
+            const onPath = siftPath.has(index) && siftPath.has(parentIndex);
+
+            ctx.strokeStyle = onPath ? '#f59e0b' : '#94a3b8';
+            ctx.lineWidth = onPath ? 3 : 1.5;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        });
+
+        items.forEach((item, index) => {
+            const { x, y } = position(index);
+            const onPath = siftPath.has(index);
+
+            ctx.fillStyle = onPath ? '#f59e0b' : '#3b82f6';
+            ctx.strokeStyle = onPath ? '#d97706' : '#1e40af';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 11px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(item.key), x, y - 5);
+            ctx.font = '10px Inter, sans-serif';
+            ctx.fillText(String(item.priority), x, y + 7);
+        });
+    }
+
+    describeUnionFindEvent(event) {
+        if (event.type === 'find') {
+            return `find(${event.node}): ${event.path.join(' → ')}`;
+        }
+        if (event.type === 'compress') {
+            return `compress: ${event.rewrites.map(rewrite => `${rewrite.node} now points to ${rewrite.to} (was ${rewrite.from})`).join(', ')}`;
+        }
+        if (!event.merged) {
+            return `union(${event.x}, ${event.y}): already in the same set`;
+        }
+
+        const winnerRank = event.winner === event.rootX ? event.rankX : event.rankY;
+        const loserRank = event.winner === event.rootX ? event.rankY : event.rankX;
+        return event.reason === 'higher-rank'
+            ? `union(${event.x}, ${event.y}): rank ${winnerRank} > ${loserRank}, so ${event.loser} joins ${event.winner}`
+            : `union(${event.x}, ${event.y}): equal ranks ${winnerRank}, so ${event.loser} joins ${event.winner} and its rank grows to ${winnerRank + 1}`;
+    }
+
+    // Positions of the disjoint-set forest: each root a tree with the children below their
+    // parent, leaves side by side and parents centred over their children
+    layoutUnionFind(nodeIds, parent, width, height, radius) {
+        const children = new Map(nodeIds.map(id => [id, []]));
+        const roots = [];
+        nodeIds.forEach((id, index) => {
+            if (parent[index] === id) {
+                roots.push(id);
+            } else if (children.has(parent[index])) {
+                children.get(parent[index]).push(id);
+            }
+        });
+
+        const slots = new Map();
+        const depths = new Map();
+        let nextSlot = 0;
+        const place = (id, depth) => {
+            depths.set(id, depth);
+            const below = children.get(id);
+            if (below.length === 0) {
+                slots.set(id, nextSlot++);
+                return;
+            }
+            below.forEach(child => place(child, depth + 1));
+            slots.set(id, (slots.get(below[0]) + slots.get(below[below.length - 1])) / 2);
+        };
+        roots.forEach(root => place(root, 0));
+
+        const maxDepth = Math.max(1, ...depths.values());
+        const levelHeight = Math.min(60, (height - 2 * radius - 20) / maxDepth);
+        const positions = new Map();
+        slots.forEach((slot, id) => {
+            positions.set(id, {
+                x: ((slot + 0.5) / Math.max(nextSlot, 1)) * width,
+                y: radius + 4 + depths.get(id) * levelHeight
+            });
+        });
+        return positions;
+    }
+
+    // Draws Kruskal's disjoint-set forest. When stepping forward by one, nodes glide from
+    // where the previous step had them, so compressed pointers visibly swing to the root.
+    drawUnionFind(unionFind) {
+        const panel = document.getElementById('union-find-panel');
+        const canvas = document.getElementById('union-find-canvas');
+        if (!panel || !canvas) return;
+
+        if (this.unionFindFrame) {
+            cancelAnimationFrame(this.unionFindFrame);
+            this.unionFindFrame = null;
+        }
+
+        if (!unionFind || !this.currentGraph) {
+            panel.style.display = 'none';
+            this.unionFindStep = null;
+            return;
+        }
+
+        panel.style.display = 'block';
+
+        const events = document.getElementById('union-find-events');
+        events.innerHTML = '';
+        unionFind.events.forEach(event => {
+            const item = document.createElement('li');
+            item.textContent = this.describeUnionFindEvent(event);
+            events.appendChild(item);
+        });
+        if (unionFind.events.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No union-find operations in this step';
+            events.appendChild(item);
+        }
+
+        const rect = canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = rect.width * dpr;
+        canvas.height = rect.height * dpr;
+
+        const ctx = canvas.getContext('2d');
+        const radius = 14;
+        const nodeIds = this.currentGraph.nodes.map(node => node.id);
+        const target = this.layoutUnionFind(nodeIds, unionFind.parent, rect.width, rect.height, radius);
+
+        const previousStep = this.unionFindStep === this.currentStep - 1
+            ? this.getStepAt(this.algorithmSteps, this.currentStep - 1)
+            : null;
+        const start = previousStep && previousStep.unionFind
+            ? this.layoutUnionFind(nodeIds, previousStep.unionFind.parent, rect.width, rect.height, radius)
+            : target;
+        this.unionFindStep = this.currentStep;
+
+        const visited = new Set();
+        const movedPointers = new Set();
+        let linked = null;
+        unionFind.events.forEach(event => {
+            if (event.type === 'find') event.path.forEach(id => visited.add(id));
+            if (event.type === 'compress') event.rewrites.forEach(rewrite => movedPointers.add(rewrite.node));
+            if (event.type === 'union' && event.merged) linked = event.loser;
+        });
+
+        const textColor = getComputedStyle(document.body).getPropertyValue('--text-secondary');
+        const rankByNode = new Map(nodeIds.map((id, index) => [id, unionFind.rank[index]]));
+
+        const drawFrame = (progress) => {
+            const eased = progress < 1 ? 1 - Math.pow(1 - progress, 3) : 1;
+            const position = id => {
+                const from = start.get(id) || target.get(id);
+                const to = target.get(id);
+                return { x: from.x + (to.x - from.x) * eased, y: from.y + (to.y - from.y) * eased };
+            };
+
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+            ctx.clearRect(0, 0, rect.width, rect.height);
+
+            nodeIds.forEach((id, index) => {
+                const parentId = unionFind.parent[index];
+                if (parentId === id || !target.has(parentId)) return;
+
+                const from = position(id);
+                const to = position(parentId);
+                const angle = Math.atan2(to.y - from.y, to.x - from.x);
+                const endX = to.x - Math.cos(angle) * radius;
+                const endY = to.y - Math.sin(angle) * radius;
+
+                ctx.strokeStyle = movedPointers.has(id) ? '#f59e0b' : id === linked ? '#10b981' : '#94a3b8';
+                ctx.fillStyle = ctx.strokeStyle;
+                ctx.lineWidth = movedPointers.has(id) || id === linked ? 3 : 1.5;
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(endX, endY);
+                ctx.stroke();
+
+                ctx.beginPath();
+                ctx.moveTo(endX, endY);
+                ctx.lineTo(endX - 8 * Math.cos(angle - 0.4), endY - 8 * Math.sin(angle - 0.4));
+                ctx.lineTo(endX - 8 * Math.cos(angle + 0.4), endY - 8 * Math.sin(angle + 0.4));
+                ctx.closePath();
+                ctx.fill();
+            });
+
+            nodeIds.forEach((id, index) => {
+                const { x, y } = position(id);
+                const isRoot = unionFind.parent[index] === id;
+
+                ctx.fillStyle = isRoot ? '#1e40af' : '#3b82f6';
+                ctx.strokeStyle = visited.has(id) ? '#f59e0b' : '#1e40af';
+                ctx.lineWidth = visited.has(id) ? 3 : 2;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+
+                ctx.fillStyle = 'white';
+                ctx.font = 'bold 11px Inter, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(id), x, y);
+
+                if (isRoot) {
+                    ctx.fillStyle = textColor;
+                    ctx.font = '10px Inter, sans-serif';
+                    ctx.fillText(`[${rankByNode.get(id)}]`, x, y + radius + 8);
+                }
+            });
+        };
+
+        if (start === target) {
+            drawFrame(1);
+            return;
+        }
+
+        const duration = Math.min(600, this.animationSpeed * 0.75);
+        const startTime = performance.now();
+        const tick = (now) => {
+            const progress = Math.min(1, (now - startTime) / duration);
+            drawFrame(progress);
+            this.unionFindFrame = progress < 1 ? requestAnimationFrame(tick) : null;
+        };
+        this.unionFindFrame = requestAnimationFrame(tick);
+    }
+
+    drawNodeAnnotation(node, text) {
+        const detail = this.getLevelOfDetail();
+        if (!detail.smallLabels) return;
+
+        const ctx = this.ctx;
+        const textScale = detail.textScale;
+        const x = (node.x || 0) + 28;
+        const y = (node.y || 0) - 22 * textScale;
+
+        ctx.font = `${Math.round(12 * textScale)}px Inter, sans-serif`;
+        const width = ctx.measureText(text).width + 8 * textScale;
+
+        ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--bg-primary');
+        ctx.fillRect(x - 4 * textScale, y - 9 * textScale, width, 18 * textScale);
+
+        ctx.fillStyle = getComputedStyle(document.body).getPropertyValue('--text-primary');
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y);
+    }
+
     enableControls() {
         document.getElementById('run-algorithm-btn').disabled = false;
+        document.getElementById('relayout-btn').disabled = false;
+        document.getElementById('export-image-btn').disabled = false;
+        document.getElementById('share-link-btn').disabled = false;
+        document.getElementById('find-msts-btn').disabled = false;
     }
 
     enableStepControls() {
-        document.getElementById('step-btn').disabled = false;
         document.getElementById('reset-btn').disabled = false;
+        this.updatePlaybackControls();
     }
 
     disableStepControls() {
-        document.getElementById('step-btn').disabled = true;
         document.getElementById('reset-btn').disabled = true;
+        this.updatePlaybackControls();
     }
 
     setLoading(isLoading) {
@@ -0,0 +1,96 @@
+// Steps of a delta-encoded trace (?encoding=delta). Only keyframes arrive as full steps;
+// every other step is rebuilt on demand from the keyframe before it, so seeking anywhere
+// applies at most keyframeInterval - 1 patches.
+class DeltaSteps {
+    constructor(entries, keyframeInterval) {
+        this.entries = entries;
+        this.keyframeInterval = keyframeInterval;
+        // Last rebuilt step, so playing forward costs one patch per step
+        this.cached = null;
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    // Streamed runs add entries as they arrive
+    append(entry) {
+        this.entries.push(entry);
+    }
+
+    // Same contract as Array.prototype.at
+    at(index) {
+        const target = index < 0 ? this.length + index : index;
+        if (!Number.isInteger(target) || target < 0 || target >= this.length) return undefined;
+
+        const keyframeIndex = target - (target % this.keyframeInterval);
+        let position = keyframeIndex;
+        let step = this.entries[keyframeIndex].keyframe;
+
+        if (this.cached && this.cached.index > keyframeIndex && this.cached.index <= target) {
+            position = this.cached.index;
+            step = this.cached.step;
+        }
+
+        while (position < target) {
+            position++;
+            step = applyJsonPatch(step, this.entries[position].patch);
+        }
+
+        this.cached = { index: target, step };
+        return step;
+    }
+
+    // Every entry carries its action, so the timeline never has to rebuild steps
+    actionAt(index) {
+        const entry = this.entries[index];
+        return entry ? entry.action : undefined;
+    }
+}
+
+// Applies RFC 6902 add/remove/replace operations without modifying `document`. Objects on a
+// patched path are copied once per patch; everything else is shared with the previous step.
+function applyJsonPatch(document, operations) {
+    const copies = new Set();
+    const copy = value => {
+        const copied = Array.isArray(value) ? value.slice() : { ...value };
+        copies.add(copied);
+        return copied;
+    };
+    const root = copy(document);
+
+    operations.forEach(({ op, path, value }) => {
+        const keys = path.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const last = keys.pop();
+
+        let parent = root;
+        keys.forEach(key => {
+            if (!copies.has(parent[key])) {
+                parent[key] = copy(parent[key]);
+            }
+            parent = parent[key];
+        });
+
+        if (Array.isArray(parent)) {
+            const index = last === '-' ? parent.length : Number(last);
+            if (op === 'add') {
+                parent.splice(index, 0, value);
+            } else if (op === 'remove') {
+                parent.splice(index, 1);
+            } else {
+                parent[index] = value;
+            }
+        } else if (op === 'remove') {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+    });
+
+    return root;
+}
+
+// POST /api/render reads delta-encoded traces with the same code
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeltaSteps, applyJsonPatch };
+}
@@ -0,0 +1,370 @@
+/**
+ * What a step looks like, independent of how it is drawn. buildScene() applies the
+ * renderer hooks from algorithm-renderers.js to every edge and node; the canvas draws the
+ * result, and renderSvg() / renderAnimatedSvg() turn it into the SVG exported by the
+ * client and by POST /api/render. Loaded as a browser script and required by the server.
+ */
+
+const SCENE_DEFAULTS = {
+    edge: { color: '#94a3b8', width: 2 },
+    node: { color: '#3b82f6', borderColor: '#1e40af' },
+    nodeRadius: 25
+};
+
+// Match --bg-primary and --text-primary in styles.css
+const SVG_THEMES = {
+    light: { background: '#ffffff', text: '#1e293b' },
+    dark: { background: '#0f172a', text: '#f1f5f9' }
+};
+
+const COMPONENT_PALETTE = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16', '#06b6d4'];
+
+function isDirectedEdge(graph, edge) {
+    if (edge && edge.directed !== undefined) {
+        return Boolean(edge.directed);
+    }
+    return Boolean(graph && graph.directed);
+}
+
+// Opposite directed edges between the same pair are pushed apart so both stay visible
+function getEdgeOffset(graph, edge) {
+    if (!isDirectedEdge(graph, edge)) return 0;
+
+    const hasReverse = graph.edges.some(other => other && other !== edge &&
+        other.from === edge.to && other.to === edge.from && isDirectedEdge(graph, other));
+    return hasReverse ? 10 : 0;
+}
+
+function getEdgeGeometry(fromNode, toNode, offset = 0) {
+    const x1 = fromNode.x || 0, y1 = fromNode.y || 0;
+    const x2 = toNode.x || 0, y2 = toNode.y || 0;
+    const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+
+    // Unit normal pointing to the left of the from → to direction
+    const nx = -(y2 - y1) / length;
+    const ny = (x2 - x1) / length;
+
+    return {
+        x1: x1 + nx * offset,
+        y1: y1 + ny * offset,
+        x2: x2 + nx * offset,
+        y2: y2 + ny * offset,
+        midX: (x1 + x2) / 2 + nx * offset,
+        midY: (y1 + y2) / 2 + ny * offset,
+        ux: (x2 - x1) / length,
+        uy: (y2 - y1) / length
+    };
+}
+
+// A path only covers a directed edge when it walks the edge from → to
+function isEdgeOnPaths(graph, edge, shortestPaths) {
+    if (!shortestPaths) return false;
+
+    const directed = isDirectedEdge(graph, edge);
+    return Object.values(shortestPaths).some(pathData => {
+        const path = pathData && pathData.path;
+        if (!path || path.length < 2) return false;
+
+        for (let i = 0; i < path.length - 1; i++) {
+            if ((path[i] === edge.from && path[i + 1] === edge.to) ||
+                (!directed && path[i] === edge.to && path[i + 1] === edge.from)) {
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+// Each component takes the colour of its first node in graph order, so a merged
+// component keeps the colour of whichever side contained the earlier node.
+function getComponentColor(graph, nodeId, components) {
+    const nodes = graph ? graph.nodes : [];
+    const component = (components || []).find(c => Array.isArray(c) && c.includes(nodeId));
+
+    if (!component) return COMPONENT_PALETTE[0];
+
+    const firstIndex = Math.min(...component.map(id => nodes.findIndex(n => n && n.id === id)).filter(i => i >= 0));
+    return COMPONENT_PALETTE[(Number.isFinite(firstIndex) ? firstIndex : 0) % COMPONENT_PALETTE.length];
+}
+
+// The part of the visualizer that renderer hooks use, for drawing without one
+function createSceneHelpers(graph) {
+    return {
+        currentGraph: graph,
+        isEdgeOnPaths: (edge, shortestPaths) => isEdgeOnPaths(graph, edge, shortestPaths),
+        getComponentColor: (nodeId, components) => getComponentColor(graph, nodeId, components)
+    };
+}
+
+// Styles of every drawable edge and node at `step` (null before the first step)
+function buildScene(graph, step, renderer, viz = createSceneHelpers(graph)) {
+    const nodesById = new Map(graph.nodes.filter(node => node && node.id).map(node => [node.id, node]));
+
+    const edges = [];
+    graph.edges.forEach(edge => {
+        if (!edge || !edge.from || !edge.to) return;
+
+        const from = nodesById.get(edge.from);
+        const to = nodesById.get(edge.to);
+        if (!from || !to) return;
+
+        const style = step && renderer.edgeStyle ? renderer.edgeStyle(edge, step, viz) : null;
+        edges.push({
+            edge,
+            from,
+            to,
+            color: style ? style.color : SCENE_DEFAULTS.edge.color,
+            width: style ? style.width : SCENE_DEFAULTS.edge.width,
+            directed: isDirectedEdge(graph, edge),
+            offset: getEdgeOffset(graph, edge)
+        });
+    });
+
+    const nodes = [...nodesById.values()].map(node => {
+        const style = step && renderer.nodeStyle ? renderer.nodeStyle(node, step, viz) : null;
+        return {
+            node,
+            color: style ? style.color : SCENE_DEFAULTS.node.color,
+            borderColor: style ? style.borderColor : SCENE_DEFAULTS.node.borderColor,
+            annotation: step && renderer.nodeAnnotation ? renderer.nodeAnnotation(node, step, viz) : null
+        };
+    });
+
+    return { edges, nodes };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function getArrowPoints(geometry, endX, endY, width) {
+    const size = 10 + width;
+    return [
+        [endX, endY],
+        [endX - geometry.ux * size - geometry.uy * size / 2, endY - geometry.uy * size + geometry.ux * size / 2],
+        [endX - geometry.ux * size + geometry.uy * size / 2, endY - geometry.uy * size - geometry.ux * size / 2]
+    ].map(point => point.map(formatNumber).join(',')).join(' ');
+}
+
+// Everything that does not change between steps: canvas size, bounds and line ends
+function getSvgFrame(graph, options) {
+    const theme = SVG_THEMES[options.theme] || SVG_THEMES.light;
+    const padding = 60;
+    const captionHeight = options.caption === false ? 0 : 36;
+    const nodes = graph.nodes.filter(node => node && node.id);
+    const xs = nodes.length > 0 ? nodes.map(node => node.x || 0) : [0];
+    const ys = nodes.length > 0 ? nodes.map(node => node.y || 0) : [0];
+    // reduce rather than Math.min(...xs), which overflows the call stack on large graphs
+    const minX = xs.reduce((min, x) => Math.min(min, x), Infinity) - padding;
+    const minY = ys.reduce((min, y) => Math.min(min, y), Infinity) - padding - captionHeight;
+    const width = xs.reduce((max, x) => Math.max(max, x), -Infinity) + padding - minX;
+    const height = ys.reduce((max, y) => Math.max(max, y), -Infinity) + padding - minY;
+
+    return { theme, minX, minY, width, height, captionHeight };
+}
+
+function svgOpen(frame) {
+    const { minX, minY, width, height, theme } = frame;
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}" height="${formatNumber(height)}" ` +
+            `viewBox="${formatNumber(minX)} ${formatNumber(minY)} ${formatNumber(width)} ${formatNumber(height)}" ` +
+            'font-family="Inter, sans-serif">',
+        `<rect x="${formatNumber(minX)}" y="${formatNumber(minY)}" width="${formatNumber(width)}" height="${formatNumber(height)}" fill="${theme.background}"/>`
+    ];
+}
+
+// Static shape of an edge; `style` gives colour and width, or per-step animations
+function edgeSvg(item, style, theme) {
+    const geometry = getEdgeGeometry(item.from, item.to, item.offset);
+    const radius = SCENE_DEFAULTS.nodeRadius;
+    const endX = item.directed ? geometry.x2 - geometry.ux * radius : geometry.x2;
+    const endY = item.directed ? geometry.y2 - geometry.uy * radius : geometry.y2;
+    const parts = [
+        `<line x1="${formatNumber(geometry.x1)}" y1="${formatNumber(geometry.y1)}" x2="${formatNumber(endX)}" y2="${formatNumber(endY)}" ` +
+            `stroke="${style.color}" stroke-width="${style.width}">${style.lineAnimation || ''}</line>`
+    ];
+
+    if (item.directed) {
+        parts.push(`<polygon points="${getArrowPoints(geometry, endX, endY, style.width)}" fill="${style.color}">${style.arrowAnimation || ''}</polygon>`);
+    }
+
+    parts.push(
+        `<rect x="${formatNumber(geometry.midX - 15)}" y="${formatNumber(geometry.midY - 10)}" width="30" height="20" fill="${theme.background}"/>`,
+        `<text x="${formatNumber(geometry.midX)}" y="${formatNumber(geometry.midY)}" font-size="14" text-anchor="middle" dominant-baseline="central" ` +
+            `fill="${style.color}">${style.labelAnimation || ''}${escapeXml(item.edge.weight || 0)}</text>`
+    );
+    return `<g data-edge="${escapeXml(item.edge.id || '')}">${parts.join('')}</g>`;
+}
+
+function nodeSvg(item, style) {
+    const x = formatNumber(item.node.x || 0);
+    const y = formatNumber(item.node.y || 0);
+    return `<g data-node="${escapeXml(item.node.id)}">` +
+        `<circle cx="${x}" cy="${y}" r="${SCENE_DEFAULTS.nodeRadius}" fill="${style.color}" stroke="${style.borderColor}" stroke-width="2">${style.animation || ''}</circle>` +
+        `<text x="${x}" y="${y}" font-size="14" font-weight="bold" text-anchor="middle" dominant-baseline="central" fill="white">${escapeXml(item.node.id)}</text>` +
+        '</g>';
+}
+
+// Text beside a node, as drawNodeAnnotation() draws it on the canvas. In an animated run
+// `visibility` comes from visibilityAnimation().
+function annotationSvg(node, text, theme, visibility = null) {
+    const x = (node.x || 0) + 28;
+    const y = (node.y || 0) - 22;
+    // No text metrics outside a browser; 7px per character is close for 12px Inter
+    const width = String(text).length * 7 + 8;
+    return `<g${visibility ? visibility.attribute : ''}>${visibility ? visibility.element : ''}<rect x="${formatNumber(x - 4)}" y="${formatNumber(y - 9)}" width="${width}" height="18" fill="${theme.background}"/>` +
+        `<text x="${formatNumber(x)}" y="${formatNumber(y)}" font-size="12" dominant-baseline="central" fill="${theme.text}">${escapeXml(text)}</text></g>`;
+}
+
+function captionSvg(frame, text, visibility = null) {
+    return `<text${visibility ? visibility.attribute : ''} x="${formatNumber(frame.minX + 16)}" y="${formatNumber(frame.minY + 24)}" ` +
+        `font-size="16" font-weight="600" fill="${frame.theme.text}">${visibility ? visibility.element : ''}${escapeXml(text)}</text>`;
+}
+
+function getStepCaption(step, index) {
+    return step ? `Step ${index}: ${step.description || step.action || ''}` : 'Graph';
+}
+
+/**
+ * One step as a standalone SVG document. Options:
+ *   theme        'light' (default) or 'dark'
+ *   caption      false to leave out the "Step N: description" line
+ *   stepIndex    number shown in the caption
+ */
+function renderSvg(graph, step, renderer, options = {}) {
+    const frame = getSvgFrame(graph, options);
+    const scene = buildScene(graph, step, renderer);
+    const parts = svgOpen(frame);
+
+    scene.edges.forEach(item => parts.push(edgeSvg(item, item, frame.theme)));
+    scene.nodes.forEach(item => {
+        parts.push(nodeSvg(item, item));
+        if (item.annotation) parts.push(annotationSvg(item.node, item.annotation, frame.theme));
+    });
+    if (frame.captionHeight > 0) {
+        parts.push(captionSvg(frame, getStepCaption(step, options.stepIndex || 0)));
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+// A discrete SMIL animation that switches `attribute` when a step changes it. Returns ''
+// when the value is the same in every step, so static parts stay plain SVG.
+function discreteAnimation(attribute, values, duration) {
+    const keyTimes = [];
+    const changes = [];
+    values.forEach((value, index) => {
+        if (index === 0 || value !== values[index - 1]) {
+            keyTimes.push(Number((index / values.length).toFixed(4)));
+            changes.push(escapeXml(value));
+        }
+    });
+    if (changes.length === 1) return '';
+
+    return `<animate attributeName="${attribute}" dur="${formatNumber(duration)}s" repeatCount="indefinite" calcMode="discrete" ` +
+        `keyTimes="${keyTimes.join(';')}" values="${changes.join(';')}"/>`;
+}
+
+// Shows an element only while the step index is in [start, end). The attribute holds the
+// first step's value, which is what viewers without SMIL support show.
+function visibilityAnimation(start, end, count, duration) {
+    const values = Array.from({ length: count }, (_, index) => (index >= start && index < end ? 'visible' : 'hidden'));
+    return {
+        attribute: ` visibility="${values[0]}"`,
+        element: discreteAnimation('visibility', values, duration)
+    };
+}
+
+// Consecutive steps with the same text share one element
+function textSegments(texts) {
+    const segments = [];
+    texts.forEach((text, index) => {
+        const last = segments[segments.length - 1];
+        if (last && last.text === text && last.end === index) {
+            last.end = index + 1;
+        } else if (text) {
+            segments.push({ text, start: index, end: index + 1 });
+        }
+    });
+    return segments;
+}
+
+/**
+ * The whole run as one looping SVG: geometry is written once and colours switch with
+ * SMIL <animate> elements, one step every `stepDuration` seconds (default 0.8).
+ * Takes the same options as renderSvg().
+ */
+function renderAnimatedSvg(graph, steps, renderer, options = {}) {
+    const frame = getSvgFrame(graph, options);
+    const stepDuration = options.stepDuration || 0.8;
+    const count = Math.max(steps.length, 1);
+    const duration = count * stepDuration;
+    const scenes = steps.length > 0
+        ? steps.map(step => buildScene(graph, step, renderer))
+        : [buildScene(graph, null, renderer)];
+    const parts = svgOpen(frame);
+
+    scenes[0].edges.forEach((item, edgeIndex) => {
+        const styles = scenes.map(scene => scene.edges[edgeIndex]);
+        const geometry = getEdgeGeometry(item.from, item.to, item.offset);
+        const radius = SCENE_DEFAULTS.nodeRadius;
+        const endX = item.directed ? geometry.x2 - geometry.ux * radius : geometry.x2;
+        const endY = item.directed ? geometry.y2 - geometry.uy * radius : geometry.y2;
+        const colors = styles.map(style => style.color);
+
+        parts.push(edgeSvg(item, {
+            color: item.color,
+            width: item.width,
+            lineAnimation: discreteAnimation('stroke', colors, duration) +
+                discreteAnimation('stroke-width', styles.map(style => String(style.width)), duration),
+            arrowAnimation: discreteAnimation('fill', colors, duration) +
+                discreteAnimation('points', styles.map(style => getArrowPoints(geometry, endX, endY, style.width)), duration),
+            labelAnimation: discreteAnimation('fill', colors, duration)
+        }, frame.theme));
+    });
+
+    scenes[0].nodes.forEach((item, nodeIndex) => {
+        const styles = scenes.map(scene => scene.nodes[nodeIndex]);
+        parts.push(nodeSvg(item, {
+            color: item.color,
+            borderColor: item.borderColor,
+            animation: discreteAnimation('fill', styles.map(style => style.color), duration) +
+                discreteAnimation('stroke', styles.map(style => style.borderColor), duration)
+        }));
+
+        textSegments(styles.map(style => style.annotation)).forEach(segment => {
+            const visibility = visibilityAnimation(segment.start, segment.end, count, duration);
+            parts.push(annotationSvg(item.node, segment.text, frame.theme, visibility));
+        });
+    });
+
+    if (frame.captionHeight > 0) {
+        const captions = steps.length > 0 ? steps.map(getStepCaption) : [getStepCaption(null, 0)];
+        textSegments(captions).forEach(segment => {
+            parts.push(captionSvg(frame, segment.text, visibilityAnimation(segment.start, segment.end, count, duration)));
+        });
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+// POST /api/render draws with the same rules on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENE_DEFAULTS,
+        SVG_THEMES,
+        buildScene,
+        renderSvg,
+        renderAnimatedSvg
+    };
+}
@@ -0,0 +1,59 @@
+const express = require('express');
+const { describeAlgorithm } = require('../utils/algorithm-registry');
+
+// Route modules that export an algorithm `definition`. Order is the order of the
+// navigation buttons in the client. Adding an algorithm means adding its module here.
+const ALGORITHM_MODULES = ['kruskal', 'prim', 'boruvka', 'dijkstra', 'bellman-ford', 'astar'];
+
+const registry = new Map();
+
+ALGORITHM_MODULES.forEach(moduleName => {
+    const routeModule = require(`./${moduleName}`);
+    const { definition } = routeModule;
+
+    if (!definition) {
+        throw new Error(`Route module '${moduleName}' does not export an algorithm definition`);
+    }
+    if (registry.has(definition.id)) {
+        throw new Error(`Algorithm '${definition.id}' is registered twice`);
+    }
+
+    registry.set(definition.id, { definition, router: routeModule });
+});
+
+function listAlgorithms() {
+    return [...registry.values()].map(entry => entry.definition);
+}
+
+function getAlgorithm(id) {
+    const entry = registry.get(id);
+    return entry ? entry.definition : null;
+}
+
+function getAlgorithmRouters() {
+    return [...registry.values()].map(entry => ({ id: entry.definition.id, router: entry.router }));
+}
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    res.json(listAlgorithms().map(describeAlgorithm));
+});
+
+router.get('/:id', (req, res) => {
+    const definition = getAlgorithm(req.params.id);
+
+    if (!definition) {
+        return res.status(404).json({
+            error: 'Unknown algorithm',
+            message: `No algorithm is registered as '${req.params.id}'. Use one of: ${[...registry.keys()].join(', ')}`
+        });
+    }
+
+    res.json(describeAlgorithm(definition));
+});
+
+module.exports = router;
+module.exports.listAlgorithms = listAlgorithms;
+module.exports.getAlgorithm = getAlgorithm;
+module.exports.getAlgorithmRouters = getAlgorithmRouters;
@@ -0,0 +1,327 @@
+const express = require('express');
+const { IndexedBinaryHeap, validateGraph, createAdjacencyList, getShortestPaths } = require('../utils/graph-utils');
+const { defineAlgorithm, describeAlgorithm, collectSteps } = require('../utils/algorithm-registry');
+const { runTrace } = require('../utils/trace');
+const { getStreamFormat, streamTrace } = require('../utils/trace-stream');
+const { getTraceEncoding } = require('../utils/trace-delta');
+
+const router = express.Router();
+
+const HEURISTICS = {
+    euclidean: (a, b) => Math.hypot((a.x || 0) - (b.x || 0), (a.y || 0) - (b.y || 0)),
+    manhattan: (a, b) => Math.abs((a.x || 0) - (b.x || 0)) + Math.abs((a.y || 0) - (b.y || 0)),
+    zero: () => 0
+};
+
+const PSEUDOCODE = [
+    'g[s] ← 0; f[s] ← h(s); open ← {s}',
+    'while open is not empty:',
+    '    u ← node in open with the lowest f; move u to closed',
+    '    if u = target: return the path to u',
+    '    for each edge (u, v) with v ∉ closed:',
+    '        if g[u] + w(u, v) < g[v]:',
+    '            prev[v] ← u; g[v] ← g[u] + w(u, v); f[v] ← g[v] + h(v); add v to open',
+    'return no path'
+];
+
+function* astarSteps(graph, sourceNodeId, targetNodeId, heuristicName = 'euclidean') {
+    try {
+        console.log('Starting A* algorithm...');
+        console.log('Source:', sourceNodeId, 'Target:', targetNodeId, 'Heuristic:', heuristicName);
+
+        validateGraph(graph);
+
+        if (!sourceNodeId || !targetNodeId) {
+            throw new Error('Source and target node IDs are required');
+        }
+
+        const nodeById = {};
+        graph.nodes.forEach(node => {
+            if (node && node.id) nodeById[node.id] = node;
+        });
+
+        if (!nodeById[sourceNodeId]) {
+            throw new Error(`Source node '${sourceNodeId}' not found in graph`);
+        }
+        if (!nodeById[targetNodeId]) {
+            throw new Error(`Target node '${targetNodeId}' not found in graph`);
+        }
+
+        const heuristic = HEURISTICS[heuristicName];
+        if (!heuristic) {
+            throw new Error(`Unknown heuristic '${heuristicName}'. Use one of: ${Object.keys(HEURISTICS).join(', ')}`);
+        }
+
+        const adjList = createAdjacencyList(graph);
+        const scale = getHeuristicScale(graph, nodeById, heuristic);
+        const target = nodeById[targetNodeId];
+
+        const gScores = {};
+        const hScores = {};
+        const fScores = {};
+        const previous = {};
+        const openSet = new Set([sourceNodeId]);
+        const closedSet = new Set();
+
+        Object.keys(nodeById).forEach(nodeId => {
+            gScores[nodeId] = nodeId === sourceNodeId ? 0 : Infinity;
+            hScores[nodeId] = Math.floor(heuristic(nodeById[nodeId], target) * scale * 100) / 100;
+            fScores[nodeId] = nodeId === sourceNodeId ? hScores[nodeId] : Infinity;
+            previous[nodeId] = null;
+        });
+
+        // Lowest f first, ties broken towards the node closer to the goal
+        const heap = new IndexedBinaryHeap((a, b) => hScores[a.key] - hScores[b.key]);
+        heap.insert(sourceNodeId, fScores[sourceNodeId]);
+
+        const snapshot = () => ({
+            gScores: { ...gScores },
+            hScores: { ...hScores },
+            fScores: { ...fScores },
+            previous: { ...previous },
+            openSet: [...openSet],
+            closedSet: [...closedSet],
+            shortestPaths: getShortestPaths(previous, sourceNodeId, [...closedSet], gScores)
+        });
+
+        yield {
+            step: 0,
+            description: `Starting A* from ${sourceNodeId} to ${targetNodeId} using the ${heuristicName} heuristic` +
+                (heuristicName !== 'zero' ? ` (scaled by ${Number(scale.toPrecision(3))} so it never overestimates)` : ' (equivalent to Dijkstra)'),
+            currentNode: null,
+            ...snapshot(),
+            action: 'initialize',
+            pseudocodeLine: 1,
+            variables: { s: sourceNodeId, target: targetNodeId, 'h(s)': hScores[sourceNodeId] }
+        };
+
+        let stepCount = 1;
+        let found = false;
+
+        while (openSet.size > 0) {
+            const currentNodeId = heap.pop().key;
+
+            openSet.delete(currentNodeId);
+            closedSet.add(currentNodeId);
+
+            yield {
+                step: stepCount++,
+                description: `Expanding node ${currentNodeId}: g = ${gScores[currentNodeId]}, h = ${hScores[currentNodeId]}, f = ${fScores[currentNodeId]}`,
+                currentNode: currentNodeId,
+                expandedNode: currentNodeId,
+                ...snapshot(),
+                action: 'process_node',
+                pseudocodeLine: currentNodeId === targetNodeId ? 4 : 3,
+                variables: {
+                    u: currentNodeId,
+                    'g[u]': gScores[currentNodeId],
+                    'h[u]': hScores[currentNodeId],
+                    'f[u]': fScores[currentNodeId],
+                    '|open|': openSet.size
+                }
+            };
+
+            if (currentNodeId === targetNodeId) {
+                found = true;
+                break;
+            }
+
+            const updatedNeighbors = [];
+            (adjList[currentNodeId] || []).forEach(edge => {
+                if (!edge || !edge.to || closedSet.has(edge.to)) return;
+
+                const tentativeG = gScores[currentNodeId] + (edge.weight || 0);
+                if (tentativeG < gScores[edge.to]) {
+                    const oldF = fScores[edge.to];
+
+                    previous[edge.to] = currentNodeId;
+                    gScores[edge.to] = tentativeG;
+                    fScores[edge.to] = round(tentativeG + hScores[edge.to]);
+                    if (heap.has(edge.to)) {
+                        heap.decreaseKey(edge.to, fScores[edge.to]);
+                    } else {
+                        heap.insert(edge.to, fScores[edge.to]);
+                    }
+                    openSet.add(edge.to);
+
+                    updatedNeighbors.push({
+                        nodeId: edge.to,
+                        g: tentativeG,
+                        h: hScores[edge.to],
+                        oldF,
+                        newF: fScores[edge.to],
+                        via: currentNodeId
+                    });
+                }
+            });
+
+            if (updatedNeighbors.length > 0) {
+                yield {
+                    step: stepCount++,
+                    description: `Updated ${updatedNeighbors.length} neighbor(s) of ${currentNodeId}: ` +
+                        updatedNeighbors.map(n => `${n.nodeId} (f = ${n.newF})`).join(', '),
+                    currentNode: currentNodeId,
+                    expandedNode: currentNodeId,
+                    ...snapshot(),
+                    action: 'update_distances',
+                    updatedNeighbors,
+                    pseudocodeLine: 7,
+                    variables: {
+                        u: currentNodeId,
+                        'g[u]': gScores[currentNodeId],
+                        'updated v': updatedNeighbors.map(n => n.nodeId).join(', '),
+                        '|open|': openSet.size
+                    }
+                };
+            }
+        }
+
+        const finalPaths = getShortestPaths(previous, sourceNodeId, [...closedSet], gScores);
+        const targetPath = finalPaths[targetNodeId];
+
+        yield {
+            step: stepCount,
+            description: found
+                ? `Path found from ${sourceNodeId} to ${targetNodeId}: ${targetPath.path.join(' → ')} (cost: ${gScores[targetNodeId]}). Expanded ${closedSet.size} node(s).`
+                : `No path exists from ${sourceNodeId} to ${targetNodeId}. Expanded ${closedSet.size} node(s).`,
+            currentNode: null,
+            ...snapshot(),
+            shortestPaths: found ? { [targetNodeId]: targetPath } : {},
+            action: 'complete',
+            pseudocodeLine: found ? 4 : 8,
+            variables: { 'g[target]': gScores[targetNodeId], expanded: closedSet.size }
+        };
+
+        console.log('A* algorithm completed successfully');
+
+        return {
+            algorithm: 'A*',
+            finalResult: {
+                sourceNode: sourceNodeId,
+                targetNode: targetNodeId,
+                heuristic: heuristicName,
+                heuristicScale: Number(scale.toPrecision(3)),
+                pathExists: found,
+                path: found ? targetPath.path : [],
+                cost: found ? gScores[targetNodeId] : Infinity,
+                expandedNodes: [...closedSet],
+                expandedCount: closedSet.size
+            }
+        };
+    } catch (error) {
+        console.error('A* algorithm error:', error);
+        throw new Error(`A* algorithm error: ${error.message}`);
+    }
+}
+
+function astarAlgorithm(graph, sourceNodeId, targetNodeId, heuristicName = 'euclidean') {
+    return collectSteps(astarSteps(graph, sourceNodeId, targetNodeId, heuristicName));
+}
+
+// Coordinates are pixels while weights are arbitrary, so shrink the heuristic until no
+// edge is cheaper than the straight-line distance it spans. That keeps h admissible.
+function getHeuristicScale(graph, nodeById, heuristic) {
+    let scale = 1;
+
+    graph.edges.forEach(edge => {
+        const from = nodeById[edge.from];
+        const to = nodeById[edge.to];
+        if (!from || !to) return;
+
+        const length = heuristic(from, to);
+        if (length > 0) {
+            scale = Math.min(scale, (edge.weight || 0) / length);
+        }
+    });
+
+    return scale;
+}
+
+function round(value) {
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : value;
+}
+
+router.post('/', async (req, res) => {
+    try {
+        const { graph, sourceNode, targetNode, heuristic } = req.body;
+
+        if (!graph) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+
+        if (!sourceNode || !targetNode) {
+            return res.status(400).json({
+                error: 'Source and target nodes are required',
+                message: 'Please specify both a source and a target node for A* search'
+            });
+        }
+
+        const params = { ...req.body, heuristic: heuristic || 'euclidean' };
+
+        const streamFormat = getStreamFormat(req);
+        const encoding = getTraceEncoding(req);
+        if (streamFormat) {
+            return await streamTrace(res, definition, graph, params, streamFormat, encoding);
+        }
+
+        res.json(runTrace(definition, graph, params, encoding).trace);
+    } catch (error) {
+        console.error('A* route error:', error);
+        res.status(error.status || 400).json({
+            error: 'A* algorithm failed',
+            message: error.message
+        });
+    }
+});
+
+const definition = defineAlgorithm({
+    id: 'astar',
+    name: 'A* Search',
+    family: 'shortest-path',
+    description: 'Finds the shortest path to a single target by expanding the node with the lowest f = g + h, where h estimates the remaining distance from node coordinates.',
+    timeComplexity: 'O(E log V) with binary heap',
+    spaceComplexity: 'O(V)',
+    useCase: 'Game pathfinding, route planning, robotics',
+    inputs: [
+        { name: 'sourceNode', label: 'Source Node', type: 'node', required: true, placeholder: 'Select source...' },
+        { name: 'targetNode', label: 'Target Node', type: 'node', required: true, placeholder: 'Select target...' },
+        {
+            name: 'heuristic',
+            label: 'Heuristic',
+            type: 'select',
+            options: [
+                { value: 'euclidean', label: 'Euclidean distance' },
+                { value: 'manhattan', label: 'Manhattan distance' },
+                { value: 'zero', label: 'Zero (same as Dijkstra)' }
+            ],
+            default: 'euclidean'
+        }
+    ],
+    pseudocode: PSEUDOCODE,
+    stepSchema: {
+        actions: ['initialize', 'process_node', 'update_distances', 'complete'],
+        fields: {
+            currentNode: 'Node being expanded',
+            gScores: 'Cost of the best known path to each node',
+            hScores: 'Heuristic estimate from each node to the target',
+            fScores: 'g + h for each node',
+            previous: 'Predecessor of each node on its best path',
+            openSet: 'Discovered nodes waiting to be expanded',
+            closedSet: 'Expanded nodes',
+            updatedNeighbors: 'Neighbours whose scores improved in this step',
+            shortestPaths: 'Path and distance for every expanded node'
+        }
+    },
+    run: (graph, params) => astarAlgorithm(graph, params.sourceNode, params.targetNode, params.heuristic || 'euclidean'),
+    stream: (graph, params) => astarSteps(graph, params.sourceNode, params.targetNode, params.heuristic || 'euclidean')
+});
+
+router.get('/info', (req, res) => {
+    res.json(describeAlgorithm(definition));
+});
+
+module.exports = router;
+module.exports.definition = definition;
@@ -0,0 +1,320 @@
+const express = require('express');
+const { validateGraph, isDirectedEdge, getShortestPaths } = require('../utils/graph-utils');
+const { defineAlgorithm, describeAlgorithm, collectSteps } = require('../utils/algorithm-registry');
+const { runTrace } = require('../utils/trace');
+const { getStreamFormat, streamTrace } = require('../utils/trace-stream');
+const { getTraceEncoding } = require('../utils/trace-delta');
+
+const router = express.Router();
+
+const PSEUDOCODE = [
+    'dist[v] ← ∞ for every v; dist[s] ← 0',
+    'for pass ← 1 to |V| - 1:',
+    '    for each edge (u, v):',
+    '        if dist[u] + w(u, v) < dist[v]: dist[v] ← dist[u] + w(u, v); prev[v] ← u',
+    '    if no distance changed: stop early',
+    'for each edge (u, v):',
+    '    if dist[u] + w(u, v) < dist[v]: report a negative cycle',
+    'return dist, prev'
+];
+
+function* bellmanFordSteps(graph, sourceNodeId, targetNodeId = null) {
+    try {
+        console.log('Starting Bellman-Ford algorithm...');
+        console.log('Source:', sourceNodeId, 'Target:', targetNodeId);
+
+        validateGraph(graph, { allowNegativeWeights: true });
+
+        if (!sourceNodeId) {
+            throw new Error('Source node ID is required');
+        }
+
+        const sourceExists = graph.nodes.some(node => node && node.id === sourceNodeId);
+        if (!sourceExists) {
+            throw new Error(`Source node '${sourceNodeId}' not found in graph`);
+        }
+
+        if (targetNodeId && !graph.nodes.some(node => node && node.id === targetNodeId)) {
+            throw new Error(`Target node '${targetNodeId}' not found in graph`);
+        }
+
+        const distances = {};
+        const previous = {};
+        const nodeIds = graph.nodes.filter(node => node && node.id).map(node => node.id);
+        const arcs = getDirectedArcs(graph);
+
+        nodeIds.forEach(nodeId => {
+            distances[nodeId] = nodeId === sourceNodeId ? 0 : Infinity;
+            previous[nodeId] = null;
+        });
+
+        yield {
+            step: 0,
+            description: `Starting Bellman-Ford from node ${sourceNodeId}. Up to ${Math.max(nodeIds.length - 1, 0)} relaxation passes over ${arcs.length} directed edge(s).`,
+            pass: 0,
+            distances: { ...distances },
+            previous: { ...previous },
+            relaxedEdges: [],
+            shortestPaths: getShortestPaths(previous, sourceNodeId, getReachedNodes(distances), distances),
+            action: 'initialize',
+            pseudocodeLine: 1,
+            variables: { s: sourceNodeId, '|V| - 1': Math.max(nodeIds.length - 1, 0) }
+        };
+
+        let stepCount = 1;
+
+        for (let pass = 1; pass < nodeIds.length; pass++) {
+            const relaxedEdges = [];
+
+            arcs.forEach(arc => {
+                const fromDistance = distances[arc.from];
+                if (fromDistance === Infinity) return;
+
+                const newDistance = fromDistance + arc.weight;
+                const oldDistance = distances[arc.to];
+
+                if (newDistance < oldDistance) {
+                    distances[arc.to] = newDistance;
+                    previous[arc.to] = arc.from;
+
+                    relaxedEdges.push({
+                        id: arc.edgeId,
+                        from: arc.from,
+                        to: arc.to,
+                        weight: arc.weight,
+                        oldDistance,
+                        newDistance
+                    });
+                }
+            });
+
+            const converged = relaxedEdges.length === 0;
+
+            yield {
+                step: stepCount++,
+                description: converged
+                    ? `Pass ${pass}: no distance improved. Distances have converged, stopping early.`
+                    : `Pass ${pass}: relaxed ${relaxedEdges.length} edge(s)`,
+                pass,
+                distances: { ...distances },
+                previous: { ...previous },
+                relaxedEdges,
+                shortestPaths: getShortestPaths(previous, sourceNodeId, getReachedNodes(distances), distances),
+                action: converged ? 'converged' : 'update_distances',
+                pseudocodeLine: converged ? 5 : 4,
+                variables: { pass, relaxed: relaxedEdges.length }
+            };
+
+            if (converged) break;
+        }
+
+        // One extra pass: any edge that still relaxes lies on or behind a negative cycle
+        const negativeCycle = findNegativeCycle(arcs, distances, previous, nodeIds.length);
+
+        if (negativeCycle) {
+            yield {
+                step: stepCount++,
+                description: `Negative cycle detected: ${negativeCycle.nodes.join(' → ')} → ${negativeCycle.nodes[0]} (total weight: ${negativeCycle.weight}). Shortest paths are undefined.`,
+                pass: nodeIds.length,
+                distances: { ...distances },
+                previous: { ...previous },
+                relaxedEdges: [],
+                shortestPaths: {},
+                negativeCycle,
+                action: 'negative_cycle',
+                pseudocodeLine: 7,
+                variables: { cycle: negativeCycle.nodes.join(' → '), 'cycle weight': negativeCycle.weight }
+            };
+        }
+
+        const finalPaths = negativeCycle
+            ? {}
+            : getShortestPaths(previous, sourceNodeId, nodeIds, distances);
+
+        let finalDescription = `All shortest paths from ${sourceNodeId} computed`;
+        if (negativeCycle) {
+            finalDescription = `Graph contains a negative cycle reachable from ${sourceNodeId}. No shortest paths exist.`;
+        } else if (targetNodeId) {
+            const targetDistance = distances[targetNodeId];
+            const targetPath = finalPaths[targetNodeId];
+
+            if (targetDistance === Infinity) {
+                finalDescription = `No path exists from ${sourceNodeId} to ${targetNodeId}`;
+            } else {
+                const pathStr = (targetPath && targetPath.path && targetPath.path.length > 0)
+                    ? targetPath.path.join(' → ')
+                    : 'No path';
+                finalDescription = `Shortest path from ${sourceNodeId} to ${targetNodeId}: ${pathStr} (distance: ${targetDistance})`;
+            }
+        }
+
+        yield {
+            step: stepCount,
+            description: finalDescription,
+            pass: null,
+            distances: { ...distances },
+            previous: { ...previous },
+            relaxedEdges: [],
+            shortestPaths: finalPaths,
+            negativeCycle: negativeCycle || null,
+            action: 'complete',
+            pseudocodeLine: 8,
+            variables: targetNodeId && !negativeCycle
+                ? { target: targetNodeId, 'dist[target]': distances[targetNodeId] }
+                : { 'negative cycle': Boolean(negativeCycle) }
+        };
+
+        console.log('Bellman-Ford algorithm completed successfully');
+
+        return {
+            algorithm: 'Bellman-Ford',
+            finalResult: {
+                sourceNode: sourceNodeId,
+                targetNode: targetNodeId || null,
+                distances: { ...distances },
+                shortestPaths: finalPaths,
+                hasNegativeCycle: Boolean(negativeCycle),
+                negativeCycle: negativeCycle || null,
+                pathExists: negativeCycle ? false
+                    : targetNodeId ? (distances[targetNodeId] !== Infinity) : true
+            }
+        };
+    } catch (error) {
+        console.error('Bellman-Ford algorithm error:', error);
+        throw new Error(`Bellman-Ford algorithm error: ${error.message}`);
+    }
+}
+
+function bellmanFordAlgorithm(graph, sourceNodeId, targetNodeId = null) {
+    return collectSteps(bellmanFordSteps(graph, sourceNodeId, targetNodeId));
+}
+
+// Undirected edges contribute one arc in each direction
+function getDirectedArcs(graph) {
+    const nodeIds = new Set(graph.nodes.filter(node => node && node.id).map(node => node.id));
+    const arcs = [];
+
+    graph.edges.forEach(edge => {
+        if (!edge || !nodeIds.has(edge.from) || !nodeIds.has(edge.to)) return;
+
+        const edgeId = edge.id || `${edge.from}-${edge.to}`;
+        arcs.push({ from: edge.from, to: edge.to, weight: edge.weight || 0, edgeId });
+
+        if (!isDirectedEdge(graph, edge)) {
+            arcs.push({ from: edge.to, to: edge.from, weight: edge.weight || 0, edgeId });
+        }
+    });
+
+    return arcs;
+}
+
+function getReachedNodes(distances) {
+    return Object.keys(distances).filter(nodeId => distances[nodeId] !== Infinity);
+}
+
+function findNegativeCycle(arcs, distances, previous, nodeCount) {
+    const improvable = arcs.find(arc =>
+        distances[arc.from] !== Infinity && distances[arc.from] + arc.weight < distances[arc.to]
+    );
+
+    if (!improvable) return null;
+
+    // Walk predecessor pointers nodeCount times to guarantee we are inside the cycle
+    const parents = { ...previous, [improvable.to]: improvable.from };
+    let current = improvable.to;
+    for (let i = 0; i < nodeCount; i++) {
+        current = parents[current];
+    }
+
+    const nodes = [];
+    let cursor = current;
+    do {
+        nodes.unshift(cursor);
+        cursor = parents[cursor];
+    } while (cursor !== current && cursor !== null && cursor !== undefined && nodes.length <= nodeCount);
+
+    const edges = [];
+    let weight = 0;
+    nodes.forEach((from, index) => {
+        const to = nodes[(index + 1) % nodes.length];
+        const arc = arcs
+            .filter(a => a.from === from && a.to === to)
+            .sort((a, b) => a.weight - b.weight)[0];
+
+        if (arc) {
+            edges.push({ id: arc.edgeId, from, to, weight: arc.weight });
+            weight += arc.weight;
+        }
+    });
+
+    return { nodes, edges, weight };
+}
+
+router.post('/', async (req, res) => {
+    try {
+        const { graph, sourceNode } = req.body;
+
+        if (!graph) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+
+        if (!sourceNode) {
+            return res.status(400).json({
+                error: 'Source node is required',
+                message: 'Please specify a source node for the Bellman-Ford algorithm'
+            });
+        }
+
+        const streamFormat = getStreamFormat(req);
+        const encoding = getTraceEncoding(req);
+        if (streamFormat) {
+            return await streamTrace(res, definition, graph, req.body, streamFormat, encoding);
+        }
+
+        res.json(runTrace(definition, graph, req.body, encoding).trace);
+    } catch (error) {
+        console.error('Bellman-Ford route error:', error);
+        res.status(error.status || 400).json({
+            error: 'Bellman-Ford algorithm failed',
+            message: error.message
+        });
+    }
+});
+
+const definition = defineAlgorithm({
+    id: 'bellman-ford',
+    name: 'Bellman-Ford Algorithm',
+    family: 'shortest-path',
+    description: 'Finds shortest paths from a source vertex by relaxing every edge V-1 times. Handles negative weights and detects negative cycles.',
+    timeComplexity: 'O(V · E)',
+    spaceComplexity: 'O(V)',
+    useCase: 'Graphs with negative weights, currency arbitrage detection, distance-vector routing (RIP)',
+    inputs: [
+        { name: 'sourceNode', label: 'Source Node', type: 'node', required: true, placeholder: 'Select source...' },
+        { name: 'targetNode', label: 'Target Node (Optional)', type: 'node', placeholder: 'All nodes' }
+    ],
+    pseudocode: PSEUDOCODE,
+    stepSchema: {
+        actions: ['initialize', 'update_distances', 'converged', 'negative_cycle', 'complete'],
+        fields: {
+            pass: 'Relaxation pass number',
+            distances: 'Best known distance to each node ("Infinity" means unreachable so far)',
+            previous: 'Predecessor of each node on its best path',
+            relaxedEdges: 'Edges that lowered a distance in this pass',
+            negativeCycle: 'Nodes, edges and weight of a negative cycle, when one is found',
+            shortestPaths: 'Path and distance for every reached node'
+        }
+    },
+    run: (graph, params) => bellmanFordAlgorithm(graph, params.sourceNode, params.targetNode),
+    stream: (graph, params) => bellmanFordSteps(graph, params.sourceNode, params.targetNode)
+});
+
+router.get('/info', (req, res) => {
+    res.json(describeAlgorithm(definition));
+});
+
+module.exports = router;
+module.exports.definition = definition;
@@ -0,0 +1,234 @@
+const express = require('express');
+const { UnionFind, validateGraph, getSpanningTrees } = require('../utils/graph-utils');
+const { defineAlgorithm, describeAlgorithm, collectSteps } = require('../utils/algorithm-registry');
+const { runTrace } = require('../utils/trace');
+const { getStreamFormat, streamTrace } = require('../utils/trace-stream');
+const { getTraceEncoding } = require('../utils/trace-delta');
+const { TIE_BREAK_INPUT, createEdgeOrder } = require('../utils/tie-break');
+
+const router = express.Router();
+
+const PSEUDOCODE = [
+    'make each node its own component',
+    'while more than one component remains:',
+    '    for each component C: cheapest[C] ← lightest edge leaving C',
+    '    if no component has an outgoing edge: stop',
+    '    for each chosen edge (u, v):',
+    '        if find(u) ≠ find(v): add (u, v) to T; union(u, v)',
+    'return T'
+];
+
+function* boruvkaSteps(graph, tieBreak) {
+    try {
+        console.log('Starting Boruvka algorithm...');
+
+        validateGraph(graph, { allowDirected: false });
+
+        const mstEdges = [];
+        let totalCost = 0;
+
+        const nodeCount = graph.nodes.length;
+        const uf = new UnionFind(nodeCount);
+
+        const nodeMap = {};
+        graph.nodes.forEach((node, index) => {
+            if (node && node.id) {
+                nodeMap[node.id] = index;
+            }
+        });
+
+        // Equal weights need a strict total order; without one two components can pick
+        // edges that form a cycle
+        const edgeOrder = createEdgeOrder(graph, tieBreak);
+        const edges = graph.edges
+            .filter(edge => edge && nodeMap[edge.from] !== undefined && nodeMap[edge.to] !== undefined);
+
+        const isCheaper = (a, b) => !b || edgeOrder.compare(a, b) < 0;
+
+        yield {
+            step: 0,
+            description: `Starting Borůvka's Algorithm. Every node is its own component (${nodeCount} components). ${edgeOrder.describe()}`,
+            phase: 0,
+            cheapestEdges: [],
+            mergedEdges: [],
+            mstEdges: [],
+            components: getComponents(uf, graph.nodes),
+            totalCost: 0,
+            action: 'initialize',
+            pseudocodeLine: 1,
+            variables: { components: nodeCount }
+        };
+
+        let phase = 0;
+        let componentCount = nodeCount;
+
+        while (componentCount > 1) {
+            // Every component picks the cheapest edge leaving it
+            const cheapest = {};
+            edges.forEach(edge => {
+                const rootFrom = uf.find(nodeMap[edge.from]);
+                const rootTo = uf.find(nodeMap[edge.to]);
+                if (rootFrom === rootTo) return;
+
+                if (isCheaper(edge, cheapest[rootFrom])) cheapest[rootFrom] = edge;
+                if (isCheaper(edge, cheapest[rootTo])) cheapest[rootTo] = edge;
+            });
+
+            const componentsBefore = getComponents(uf, graph.nodes);
+            const cheapestEdges = Object.entries(cheapest).map(([root, edge]) => ({
+                component: componentsBefore.find(c => uf.find(nodeMap[c[0]]) === Number(root)),
+                edge: { ...edge }
+            }));
+
+            // No edge leaves any component: the graph is disconnected and this is not a phase
+            if (cheapestEdges.length === 0) {
+                break;
+            }
+            phase++;
+
+            // Two components often choose the same edge; union() skips the repeat
+            const mergedEdges = [];
+            Object.values(cheapest).forEach(edge => {
+                if (uf.union(nodeMap[edge.from], nodeMap[edge.to])) {
+                    const accepted = { ...edge, status: 'accepted' };
+                    mstEdges.push(accepted);
+                    mergedEdges.push(accepted);
+                    totalCost += (edge.weight || 0);
+                    componentCount--;
+                }
+            });
+
+            yield {
+                step: phase,
+                description: `Phase ${phase}: ${cheapestEdges.length} component(s) chose their cheapest outgoing edge. ` +
+                    `Added ${mergedEdges.length} edge(s) (${mergedEdges.map(e => `${e.from}-${e.to}`).join(', ')}). ` +
+                    `${componentCount} component(s) remain.`,
+                phase,
+                cheapestEdges,
+                mergedEdges,
+                mstEdges: [...mstEdges],
+                components: getComponents(uf, graph.nodes),
+                totalCost,
+                action: 'merge',
+                pseudocodeLine: 6,
+                variables: {
+                    phase,
+                    'edges chosen': cheapestEdges.length,
+                    'edges added': mergedEdges.length,
+                    components: componentCount,
+                    cost: totalCost
+                }
+            };
+        }
+
+        const connected = componentCount === 1;
+
+        yield {
+            step: phase + 1,
+            description: connected
+                ? `MST completed in ${phase} phase(s)! Total cost: ${totalCost}`
+                : `No edges leave the remaining ${componentCount} components: the graph is disconnected. Spanning forest cost: ${totalCost}`,
+            phase,
+            cheapestEdges: [],
+            mergedEdges: [],
+            mstEdges: [...mstEdges],
+            components: getComponents(uf, graph.nodes),
+            totalCost,
+            action: 'complete',
+            connected,
+            pseudocodeLine: connected ? 7 : 4,
+            variables: { phase, components: componentCount, cost: totalCost }
+        };
+
+        return {
+            algorithm: 'Boruvka',
+            finalResult: {
+                mstEdges,
+                totalCost,
+                edgeCount: mstEdges.length,
+                phases: phase,
+                connected,
+                trees: getSpanningTrees(graph, mstEdges),
+                tieBreak: edgeOrder.tieBreak
+            }
+        };
+    } catch (error) {
+        console.error('Boruvka algorithm error:', error);
+        throw new Error(`Boruvka algorithm error: ${error.message}`);
+    }
+}
+
+function boruvkaAlgorithm(graph, tieBreak) {
+    return collectSteps(boruvkaSteps(graph, tieBreak));
+}
+
+function getComponents(uf, nodes) {
+    const components = {};
+    nodes.forEach((node, index) => {
+        if (node && node.id) {
+            const root = uf.find(index);
+            if (!components[root]) components[root] = [];
+            components[root].push(node.id);
+        }
+    });
+    return Object.values(components);
+}
+
+router.post('/', async (req, res) => {
+    try {
+        const { graph } = req.body;
+
+        if (!graph) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+
+        const streamFormat = getStreamFormat(req);
+        const encoding = getTraceEncoding(req);
+        if (streamFormat) {
+            return await streamTrace(res, definition, graph, req.body, streamFormat, encoding);
+        }
+
+        res.json(runTrace(definition, graph, req.body, encoding).trace);
+    } catch (error) {
+        console.error('Boruvka route error:', error);
+        res.status(error.status || 400).json({
+            error: 'Boruvka algorithm failed',
+            message: error.message
+        });
+    }
+});
+
+const definition = defineAlgorithm({
+    id: 'boruvka',
+    name: 'Borůvka\'s Algorithm',
+    family: 'mst',
+    description: 'Finds the Minimum Spanning Tree in phases: every component adds its cheapest outgoing edge at the same time, so components merge in parallel.',
+    timeComplexity: 'O(E log V)',
+    spaceComplexity: 'O(V)',
+    useCase: 'Parallel and distributed MST construction, large sparse networks',
+    inputs: [TIE_BREAK_INPUT],
+    pseudocode: PSEUDOCODE,
+    stepSchema: {
+        actions: ['initialize', 'merge', 'complete'],
+        fields: {
+            phase: 'Phase number',
+            cheapestEdges: 'Cheapest outgoing edge chosen by each component',
+            mergedEdges: 'Edges added in this phase',
+            mstEdges: 'Edges accepted into the tree',
+            components: 'Node IDs grouped by component',
+            totalCost: 'Weight of the accepted edges'
+        }
+    },
+    run: (graph, params) => boruvkaAlgorithm(graph, params.tieBreak),
+    stream: (graph, params) => boruvkaSteps(graph, params.tieBreak)
+});
+
+router.get('/info', (req, res) => {
+    res.json(describeAlgorithm(definition));
+});
+
+module.exports = router;
+module.exports.definition = definition;
@@ -0,0 +1,139 @@
+const express = require('express');
+const { getResultEdgeIds } = require('../utils/graph-utils');
+const { runTrace } = require('../utils/trace');
+const { getTraceEncoding } = require('../utils/trace-delta');
+const { listAlgorithms, getAlgorithm } = require('./algorithms');
+
+const router = express.Router();
+
+function compareAlgorithms(graph, algorithmIds, options = {}, encoding = null) {
+    if (!Array.isArray(algorithmIds) || algorithmIds.length < 2) {
+        throw new Error('Provide at least two algorithms to compare');
+    }
+
+    const unknown = algorithmIds.filter(id => !getAlgorithm(id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown algorithm(s): ${unknown.join(', ')}. Use any of: ${listAlgorithms().map(a => a.id).join(', ')}`);
+    }
+
+    // Results are keyed by algorithm ID, so each one may only be listed once
+    const duplicates = [...new Set(algorithmIds.filter((id, index) => algorithmIds.indexOf(id) !== index))];
+    if (duplicates.length > 0) {
+        throw new Error(`Algorithm(s) listed more than once: ${duplicates.join(', ')}`);
+    }
+
+    // One algorithm failing (e.g. Kruskal on a directed graph) should not hide the others
+    const results = algorithmIds.map(id => {
+        const definition = getAlgorithm(id);
+        try {
+            const result = runTrace(definition, graph, options, encoding);
+            return {
+                algorithm: id,
+                name: result.algorithm,
+                family: definition.family,
+                stepCount: result.stepCount,
+                finalResult: result.finalResult,
+                trace: result.trace
+            };
+        } catch (error) {
+            return { algorithm: id, family: definition.family, error: error.message };
+        }
+    });
+
+    // The summary works on the raw results, where unreachable distances are still Infinity
+    const summary = summarize(graph, results, options);
+
+    return {
+        algorithms: algorithmIds,
+        results: results.map(({ algorithm, family, trace, error }) =>
+            (error ? { algorithm, family, error } : { algorithm, family, trace })),
+        summary
+    };
+}
+
+function summarize(graph, results, options) {
+    const entries = results.map(result => {
+        if (result.error) {
+            return { algorithm: result.algorithm, error: result.error };
+        }
+
+        const resultEdgeIds = getResultEdgeIds(graph, result.finalResult);
+        return {
+            algorithm: result.algorithm,
+            name: result.name,
+            cost: getFinalCost(result.finalResult, options),
+            stepCount: result.stepCount,
+            edgeCount: resultEdgeIds.length,
+            resultEdgeIds
+        };
+    });
+
+    const succeeded = entries.filter(entry => !entry.error);
+    const edgeSets = succeeded.map(entry => new Set(entry.resultEdgeIds));
+
+    // An edge is a difference when at least one other algorithm did not choose it
+    const edgeDifferences = {};
+    succeeded.forEach((entry, index) => {
+        edgeDifferences[entry.algorithm] = entry.resultEdgeIds.filter(id =>
+            edgeSets.some((set, other) => other !== index && !set.has(id)));
+    });
+
+    const sharedEdgeIds = succeeded.length > 0
+        ? succeeded[0].resultEdgeIds.filter(id => edgeSets.every(set => set.has(id)))
+        : [];
+    const costs = succeeded.map(entry => entry.cost);
+
+    return {
+        algorithms: entries,
+        comparable: succeeded.length >= 2,
+        sameCost: succeeded.length >= 2 && costs.every(cost => cost !== null && cost === costs[0]),
+        sameResultEdges: succeeded.length >= 2 && Object.values(edgeDifferences).every(ids => ids.length === 0),
+        sharedEdgeIds,
+        edgeDifferences
+    };
+}
+
+// Total MST cost, or the distance to the target for shortest-path runs.
+// Runs without a target have no single cost, so they are compared by edges only.
+function getFinalCost(finalResult, options) {
+    if (typeof finalResult.totalCost === 'number') return finalResult.totalCost;
+    if (typeof finalResult.cost === 'number') return Number.isFinite(finalResult.cost) ? finalResult.cost : null;
+    if (finalResult.hasNegativeCycle) return null;
+
+    const target = finalResult.targetNode || options.targetNode;
+    if (target && finalResult.distances && Number.isFinite(finalResult.distances[target])) {
+        return finalResult.distances[target];
+    }
+    return null;
+}
+
+router.post('/', (req, res) => {
+    try {
+        const { graph, algorithms, options } = req.body;
+
+        if (!graph) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+
+        const result = compareAlgorithms(graph, algorithms, options || {}, getTraceEncoding(req));
+        res.json(result);
+    } catch (error) {
+        console.error('Compare route error:', error);
+        res.status(400).json({
+            error: 'Comparison failed',
+            message: error.message
+        });
+    }
+});
+
+router.get('/info', (req, res) => {
+    res.json({
+        description: 'Runs several algorithms on the same graph and compares their final costs, step counts and chosen edges.',
+        algorithms: listAlgorithms().map(definition => ({ id: definition.id, family: definition.family }))
+    });
+});
+
+module.exports = router;
@@ -1,9 +1,26 @@
 const express = require('express');
-const { validateGraph, createAdjacencyList } = require('../utils/graph-utils');
+const { IndexedBinaryHeap, validateGraph, createAdjacencyList, getShortestPaths } = require('../utils/graph-utils');
+const { defineAlgorithm, describeAlgorithm, collectSteps } = require('../utils/algorithm-registry');
+const { runTrace } = require('../utils/trace');
+const { getStreamFormat, streamTrace } = require('../utils/trace-stream');
+const { getTraceEncoding } = require('../utils/trace-delta');
 
 const router = express.Router();
 
-function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
+const PSEUDOCODE = [
+    'dist[v] ← ∞ for every v; dist[s] ← 0',
+    'Q ← {s}',
+    'while Q is not empty:',
+    '    u ← Q.extractMin(); mark u visited',
+    '    if u = target: stop',
+    '    for each edge (u, v) with v not visited:',
+    '        if dist[u] + w(u, v) < dist[v]:',
+    '            dist[v] ← dist[u] + w(u, v); prev[v] ← u',
+    '            Q.insertOrDecreaseKey(v, dist[v])',
+    'return dist, prev'
+];
+
+function* dijkstraSteps(graph, sourceNodeId, targetNodeId = null) {
     try {
         console.log('Starting Dijkstra algorithm...');
         console.log('Source:', sourceNodeId, 'Target:', targetNodeId);
@@ -20,7 +37,10 @@ function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
             throw new Error(`Source node '${sourceNodeId}' not found in graph`);
         }
 
-        const steps = [];
+        if (targetNodeId && !graph.nodes.some(node => node && node.id === targetNodeId)) {
+            throw new Error(`Target node '${targetNodeId}' not found in graph`);
+        }
+
         const distances = {};
         const previous = {};
         const visited = new Set();
@@ -36,36 +56,39 @@ function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
 
         console.log('Initial distances:', distances);
 
-        let priorityQueue = [{
-            nodeId: sourceNodeId,
-            distance: 0
-        }];
+        const heap = new IndexedBinaryHeap();
+        heap.insert(sourceNodeId, 0);
+
+        const queueState = () => ({
+            priorityQueue: heap.toSortedArray().map(entry => ({ nodeId: entry.key, distance: entry.priority })),
+            heapSnapshot: heap.snapshot(entry => ({ key: entry.key, priority: entry.priority, label: entry.key }))
+        });
 
         // Initial step
-        steps.push({
+        yield {
             step: 0,
             description: `Starting Dijkstra's Algorithm from node ${sourceNodeId}`,
             currentNode: null,
             distances: safeCloneDistances(distances),
             previous: safeClonePrevious(previous),
             visited: [...visited],
-            priorityQueue: [...priorityQueue],
+            ...queueState(),
             shortestPaths: {},
-            action: 'initialize'
-        });
+            action: 'initialize',
+            pseudocodeLine: 2,
+            variables: { s: sourceNodeId, '|Q|': heap.size }
+        };
 
         let stepCount = 1;
 
-        while (priorityQueue.length > 0) {
-            // Sort by distance (ascending)
-            priorityQueue.sort((a, b) => (a.distance || 0) - (b.distance || 0));
-            const current = priorityQueue.shift();
+        while (!heap.isEmpty()) {
+            const current = heap.pop();
 
-            if (!current || !current.nodeId) {
+            if (!current || !current.key) {
                 continue;
             }
 
-            const currentNodeId = current.nodeId;
+            const currentNodeId = current.key;
 
             // Skip if already visited
             if (visited.has(currentNodeId)) {
@@ -78,17 +101,19 @@ function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
             const currentDistance = distances[currentNodeId];
             const distanceStr = currentDistance === Infinity ? '∞' : String(currentDistance || 0);
 
-            steps.push({
+            yield {
                 step: stepCount++,
                 description: `Processing node ${currentNodeId} with distance ${distanceStr}`,
                 currentNode: currentNodeId,
                 distances: safeCloneDistances(distances),
                 previous: safeClonePrevious(previous),
                 visited: [...visited],
-                priorityQueue: [...priorityQueue],
+                ...queueState(),
                 shortestPaths: getShortestPaths(previous, sourceNodeId, [...visited], distances),
-                action: 'process_node'
-            });
+                action: 'process_node',
+                pseudocodeLine: currentNodeId === targetNodeId ? 5 : 4,
+                variables: { u: currentNodeId, 'dist[u]': currentDistance, '|Q|': heap.size }
+            };
 
             // Stop if target reached
             if (targetNodeId && currentNodeId === targetNodeId) {
@@ -116,34 +141,41 @@ function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
 
                         updatedNeighbors.push({
                             nodeId: neighborId,
-                            oldDistance: oldDistance === Infinity ? '∞' : String(oldDistance || 0),
-                            newDistance: newDistance === Infinity ? '∞' : String(newDistance || 0),
+                            oldDistance,
+                            newDistance,
                             via: currentNodeId
                         });
 
                         // Update priority queue
-                        priorityQueue = priorityQueue.filter(item => item.nodeId !== neighborId);
-                        priorityQueue.push({
-                            nodeId: neighborId,
-                            distance: newDistance
-                        });
+                        if (heap.has(neighborId)) {
+                            heap.decreaseKey(neighborId, newDistance);
+                        } else {
+                            heap.insert(neighborId, newDistance);
+                        }
                     }
                 }
             });
 
             if (updatedNeighbors.length > 0) {
-                steps.push({
+                yield {
                     step: stepCount++,
                     description: `Updated distances for ${updatedNeighbors.length} neighbor(s) of node ${currentNodeId}`,
                     currentNode: currentNodeId,
                     distances: safeCloneDistances(distances),
                     previous: safeClonePrevious(previous),
                     visited: [...visited],
-                    priorityQueue: [...priorityQueue],
+                    ...queueState(),
                     shortestPaths: getShortestPaths(previous, sourceNodeId, [...visited], distances),
                     action: 'update_distances',
-                    updatedNeighbors
-                });
+                    updatedNeighbors,
+                    pseudocodeLine: 8,
+                    variables: {
+                        u: currentNodeId,
+                        'dist[u]': currentDistance,
+                        'updated v': updatedNeighbors.map(n => n.nodeId).join(', '),
+                        '|Q|': heap.size
+                    }
+                };
             }
         }
 
@@ -167,7 +199,7 @@ function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
             }
         }
 
-        steps.push({
+        yield {
             step: stepCount,
             description: finalDescription,
             currentNode: null,
@@ -175,13 +207,17 @@ function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
             previous: safeClonePrevious(previous),
             visited: [...visited],
             priorityQueue: [],
+            heapSnapshot: heap.snapshot(entry => ({ key: entry.key, priority: entry.priority, label: entry.key })),
             shortestPaths: finalPaths,
-            action: 'complete'
-        });
+            action: 'complete',
+            pseudocodeLine: 10,
+            variables: targetNodeId
+                ? { target: targetNodeId, 'dist[target]': distances[targetNodeId] }
+                : { visited: visited.size }
+        };
 
         const result = {
             algorithm: 'Dijkstra',
-            steps,
             finalResult: {
                 sourceNode: sourceNodeId,
                 targetNode: targetNodeId || null,
@@ -200,6 +236,10 @@ function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
     }
 }
 
+function dijkstraAlgorithm(graph, sourceNodeId, targetNodeId = null) {
+    return collectSteps(dijkstraSteps(graph, sourceNodeId, targetNodeId));
+}
+
 function safeCloneDistances(distances) {
     const cloned = {};
     for (const [nodeId, dist] of Object.entries(distances)) {
@@ -216,65 +256,12 @@ function safeClonePrevious(previous) {
     return cloned;
 }
 
-function getShortestPaths(previous, source, processedNodes, distances) {
-    const paths = {};
-
-    if (!previous || !source || !processedNodes || !distances) {
-        return paths;
-    }
-
-    processedNodes.forEach(nodeId => {
-        if (!nodeId) return;
-
-        if (nodeId === source) {
-            paths[nodeId] = { 
-                path: [source], 
-                distance: 0 
-            };
-        } else {
-            // Build path backwards from nodeId to source
-            const path = [];
-            let current = nodeId;
-            const maxSteps = processedNodes.length + 1; // Prevent infinite loops
-            let steps = 0;
-
-            while (current !== null && current !== undefined && steps < maxSteps) {
-                path.unshift(current);
-                steps++;
-
-                if (current === source) {
-                    // Found complete path
-                    break;
-                }
-
-                current = previous[current];
-            }
-
-            // Validate path - must start with source
-            if (path.length > 0 && path[0] === source) {
-                paths[nodeId] = { 
-                    path: [...path],
-                    distance: distances[nodeId] !== undefined ? distances[nodeId] : Infinity
-                };
-            } else {
-                // No valid path
-                paths[nodeId] = {
-                    path: [],
-                    distance: Infinity
-                };
-            }
-        }
-    });
-
-    return paths;
-}
-
 // Routes
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
     try {
         console.log('Dijkstra POST request received');
 
-        const { graph, sourceNode, targetNode } = req.body;
+        const { graph, sourceNode } = req.body;
 
         if (!graph) {
             return res.status(400).json({ 
@@ -290,26 +277,55 @@ router.post('/', (req, res) => {
             });
         }
 
-        const result = dijkstraAlgorithm(graph, sourceNode, targetNode);
-        res.json(result);
+        const streamFormat = getStreamFormat(req);
+        const encoding = getTraceEncoding(req);
+        if (streamFormat) {
+            return await streamTrace(res, definition, graph, req.body, streamFormat, encoding);
+        }
+
+        res.json(runTrace(definition, graph, req.body, encoding).trace);
 
     } catch (error) {
         console.error('Dijkstra route error:', error);
-        res.status(400).json({ 
+        res.status(error.status || 400).json({ 
             error: 'Dijkstra algorithm failed', 
             message: error.message 
         });
     }
 });
 
+const definition = defineAlgorithm({
+    id: 'dijkstra',
+    name: 'Dijkstra\'s Algorithm',
+    family: 'shortest-path',
+    description: 'Finds shortest paths from a source vertex to all other vertices using a priority queue.',
+    timeComplexity: 'O((V + E) log V) with binary heap',
+    spaceComplexity: 'O(V)',
+    useCase: 'GPS navigation, network routing, social networks, game pathfinding',
+    inputs: [
+        { name: 'sourceNode', label: 'Source Node', type: 'node', required: true, placeholder: 'Select source...' },
+        { name: 'targetNode', label: 'Target Node (Optional)', type: 'node', placeholder: 'All nodes' }
+    ],
+    pseudocode: PSEUDOCODE,
+    stepSchema: {
+        actions: ['initialize', 'process_node', 'update_distances', 'complete'],
+        fields: {
+            currentNode: 'Node taken from the heap in this step',
+            distances: 'Best known distance to each node ("Infinity" means unreachable so far)',
+            previous: 'Predecessor of each node on its best path',
+            visited: 'Nodes whose distance is final',
+            priorityQueue: 'Nodes waiting in the heap, in order',
+            heapSnapshot: 'Binary heap contents and the last sift path',
+            shortestPaths: 'Path and distance for every finished node'
+        }
+    },
+    run: (graph, params) => dijkstraAlgorithm(graph, params.sourceNode, params.targetNode),
+    stream: (graph, params) => dijkstraSteps(graph, params.sourceNode, params.targetNode)
+});
+
 router.get('/info', (req, res) => {
-    res.json({
-        algorithm: 'Dijkstra\'s Algorithm',
-        description: 'Finds shortest paths from a source vertex to all other vertices using a priority queue.',
-        timeComplexity: 'O((V + E) log V) with binary heap',
-        spaceComplexity: 'O(V)',
-        useCase: 'GPS navigation, network routing, social networks, game pathfinding'
-    });
+    res.json(describeAlgorithm(definition));
 });
 
 module.exports = router;
+module.exports.definition = definition;
@@ -0,0 +1,140 @@
+const express = require('express');
+const { FORMATS, detectFormat, importGraph, exportGraph } = require('../utils/graph-formats');
+const { ensureCoordinates, layoutGraph, listLayouts } = require('../utils/graph-layout');
+const { listGenerators, generateGraph } = require('../utils/graph-generators');
+const { newSeed } = require('../utils/random');
+
+const MIN_LAYOUT_SIZE = 100;
+const MAX_LAYOUT_SIZE = 10000;
+
+const router = express.Router();
+
+router.post('/import', (req, res) => {
+    try {
+        const { content, format, filename } = req.body;
+
+        if (typeof content !== 'string') {
+            return res.status(400).json({
+                error: 'Missing file content',
+                message: 'Please provide the file contents as a string in the request body'
+            });
+        }
+
+        const resolvedFormat = format || detectFormat(content, filename);
+        const imported = importGraph(content, resolvedFormat);
+
+        const warnings = [];
+        if (!imported.nodes.every(node => Number.isFinite(node.x) && Number.isFinite(node.y))) {
+            warnings.push('Some nodes had no coordinates, so all nodes were laid out automatically');
+        }
+
+        res.json({
+            graph: ensureCoordinates(imported),
+            format: resolvedFormat,
+            warnings
+        });
+    } catch (error) {
+        console.error('Graph import error:', error);
+        res.status(400).json({
+            error: 'Graph import failed',
+            message: error.message
+        });
+    }
+});
+
+router.post('/export', (req, res) => {
+    try {
+        const { graph, format = 'json', resultEdgeIds = [], scope = 'graph' } = req.body;
+
+        if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+
+        const content = exportGraph(graph, format, {
+            resultEdgeIds,
+            resultOnly: scope === 'result'
+        });
+        const extension = FORMATS[format].extensions[0];
+
+        res.set('Content-Type', `${FORMATS[format].mimeType}; charset=utf-8`);
+        res.set('Content-Disposition', `attachment; filename="${scope === 'result' ? 'result' : 'graph'}.${extension}"`);
+        res.send(content);
+    } catch (error) {
+        console.error('Graph export error:', error);
+        res.status(400).json({
+            error: 'Graph export failed',
+            message: error.message
+        });
+    }
+});
+
+router.post('/generate', (req, res) => {
+    try {
+        const { model = 'gnp', seed, ...options } = req.body;
+        res.json(generateGraph(model, options, seed));
+    } catch (error) {
+        console.error('Graph generation error:', error);
+        res.status(400).json({
+            error: 'Graph generation failed',
+            message: error.message
+        });
+    }
+});
+
+// Models and parameters for the client's generator dialog
+router.get('/generators', (req, res) => {
+    res.json(listGenerators());
+});
+
+// Recomputes node positions. Sizes default to the 800x500 drawing area; the client sends
+// its canvas size so the layout fills what is on screen.
+router.post('/layout', (req, res) => {
+    try {
+        const { graph, layout = 'force', width = 800, height = 500, root, treeEdgeIds } = req.body;
+        const seed = req.body.seed === undefined || req.body.seed === '' ? newSeed() : String(req.body.seed);
+
+        if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+        [width, height].forEach(size => {
+            if (!Number.isFinite(size) || size < MIN_LAYOUT_SIZE || size > MAX_LAYOUT_SIZE) {
+                throw new Error(`width and height must be numbers between ${MIN_LAYOUT_SIZE} and ${MAX_LAYOUT_SIZE}`);
+            }
+        });
+        if (treeEdgeIds !== undefined && !Array.isArray(treeEdgeIds)) {
+            throw new Error('treeEdgeIds must be an array of edge ids');
+        }
+
+        res.json({
+            graph: layoutGraph(graph, layout, { width, height, seed, root, treeEdgeIds }),
+            layout,
+            seed
+        });
+    } catch (error) {
+        console.error('Graph layout error:', error);
+        res.status(400).json({
+            error: 'Graph layout failed',
+            message: error.message
+        });
+    }
+});
+
+router.get('/layouts', (req, res) => {
+    res.json(listLayouts());
+});
+
+router.get('/formats', (req, res) => {
+    res.json(Object.keys(FORMATS).map(format => ({
+        format,
+        extensions: FORMATS[format].extensions,
+        mimeType: FORMATS[format].mimeType
+    })));
+});
+
+module.exports = router;
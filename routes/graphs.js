@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createJsonStore } = require('../utils/json-store');
+const { validateGraph } = require('../utils/graph-utils');
+const { BUILTIN_GRAPHS } = require('../utils/builtin-graphs');
+const { getAlgorithm } = require('./algorithms');
+
+const router = express.Router();
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 20;
+// Anyone can save graphs, so the library is capped like the permalink store
+const MAX_GRAPHS = 10000;
+const MAX_LIBRARY_BYTES = 100 * 1024 * 1024;
+const MAX_GRAPH_NODES = 2000;
+const MAX_GRAPH_EDGES = 20000;
+const MAX_GRAPH_BYTES = 5 * 1024 * 1024;
+
+const store = createJsonStore('graphs', {
+    cache: true,
+    maxEntries: MAX_GRAPHS,
+    maxBytes: MAX_LIBRARY_BYTES,
+    label: 'saved graphs'
+});
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function findEntry(id) {
+    const builtIn = BUILTIN_GRAPHS.find(entry => entry.id === id);
+    if (builtIn) {
+        return { ...builtIn, builtIn: true };
+    }
+
+    const saved = store.get(id);
+    return saved ? { ...saved, builtIn: false } : null;
+}
+
+function getWritableEntry(id) {
+    const entry = findEntry(id);
+    if (!entry) {
+        throw httpError(404, `No graph is saved as '${id}'`);
+    }
+    if (entry.builtIn) {
+        throw httpError(403, `'${entry.name}' is a built-in graph and cannot be changed; save a copy instead`);
+    }
+    return entry;
+}
+
+function summarize(entry) {
+    const { graph, ...summary } = entry;
+    return {
+        ...summary,
+        nodeCount: graph.nodes.length,
+        edgeCount: graph.edges.length,
+        directed: Boolean(graph.directed)
+    };
+}
+
+function matchesQuery(entry, query) {
+    if (!query) return true;
+    const text = [entry.name, entry.description, ...entry.tags].join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+// Params of the recommended algorithm must be inputs it declares: node IDs of the graph or one of the options
+function validateRecommended(recommended, graph) {
+    if (recommended === null || recommended === undefined) return null;
+
+    const definition = getAlgorithm(recommended.algorithm);
+    if (!definition) {
+        throw new Error(`No algorithm is registered as '${recommended.algorithm}'`);
+    }
+
+    const params = recommended.params || {};
+    if (typeof params !== 'object' || Array.isArray(params)) {
+        throw new Error('recommended.params must be an object of algorithm inputs');
+    }
+
+    const nodeIds = new Set(graph.nodes.map(node => node.id));
+    Object.entries(params).forEach(([name, value]) => {
+        const input = definition.inputs.find(candidate => candidate.name === name);
+        if (!input) {
+            throw new Error(`${definition.name} has no input '${name}'`);
+        }
+        if (input.type === 'node' && !nodeIds.has(value)) {
+            throw new Error(`${input.label} '${value}' is not a node of the graph`);
+        }
+        if (input.type === 'select' && !input.options.some(option => option.value === value)) {
+            throw new Error(`'${value}' is not an option of ${input.label}`);
+        }
+    });
+
+    return { algorithm: definition.id, params };
+}
+
+// Builds a saved entry from a request body; on update, fields left out keep their old values
+function buildEntry(body, previous = {}) {
+    const merged = { ...previous, ...body };
+    const { graph } = merged;
+
+    if (typeof merged.name !== 'string' || !merged.name.trim()) {
+        throw new Error('Please give the graph a name');
+    }
+    if (merged.name.trim().length > MAX_NAME_LENGTH) {
+        throw new Error(`Graph names can be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const description = merged.description === undefined ? '' : merged.description;
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const tags = merged.tags === undefined ? [] : merged.tags;
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every(tag => typeof tag === 'string')) {
+        throw new Error(`tags must be a list of at most ${MAX_TAGS} strings`);
+    }
+
+    validateGraph(graph, { allowNegativeWeights: true });
+    if (graph.nodes.length > MAX_GRAPH_NODES || graph.edges.length > MAX_GRAPH_EDGES) {
+        throw httpError(413, `Saved graphs can have at most ${MAX_GRAPH_NODES} nodes and ${MAX_GRAPH_EDGES} edges`);
+    }
+    if (Buffer.byteLength(JSON.stringify(graph)) > MAX_GRAPH_BYTES) {
+        throw httpError(413, `Saved graphs can be at most ${MAX_GRAPH_BYTES / 1024 / 1024} MB`);
+    }
+
+    return {
+        name: merged.name.trim(),
+        description,
+        tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))],
+        recommended: validateRecommended(merged.recommended, graph),
+        graph
+    };
+}
+
+function sendError(res, error, label) {
+    console.error(`${label}:`, error);
+    res.status(error.status || 400).json({
+        error: label,
+        message: error.message
+    });
+}
+
+/**
+ * Saved graphs live in data/graphs/, one file each, next to the built-in examples, which are read-only.
+ *   GET    /api/graphs?q=&tag=   summaries (no nodes or edges), built-ins first
+ *   GET    /api/graphs/:id       one entry with its graph
+ *   POST   /api/graphs           { name, graph, description?, tags?, recommended? }
+ *   PUT    /api/graphs/:id       any of the fields above
+ *   DELETE /api/graphs/:id
+ * `recommended` is { algorithm, params } with params as in the algorithm's input panel.
+ */
+router.get('/', (req, res) => {
+    try {
+        const { q, tag } = req.query;
+        const saved = store.values()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(entry => ({ ...entry, builtIn: false }));
+
+        const entries = [...BUILTIN_GRAPHS.map(entry => ({ ...entry, builtIn: true })), ...saved]
+            .filter(entry => matchesQuery(entry, typeof q === 'string' ? q : ''))
+            .filter(entry => !tag || entry.tags.includes(String(tag).toLowerCase()));
+
+        res.json(entries.map(summarize));
+    } catch (error) {
+        sendError(res, error, 'Could not list graphs');
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const entry = findEntry(req.params.id);
+    if (!entry) {
+        return res.status(404).json({
+            error: 'Unknown graph',
+            message: `No graph is saved as '${req.params.id}'`
+        });
+    }
+    res.json(entry);
+});
+
+router.post('/', (req, res) => {
+    try {
+        const now = new Date().toISOString();
+        const entry = {
+            id: crypto.randomUUID(),
+            ...buildEntry(req.body || {}),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        store.set(entry.id, entry);
+        res.status(201).json({ ...entry, builtIn: false });
+    } catch (error) {
+        sendError(res, error, 'Could not save graph');
+    }
+});
+
+router.put('/:id', (req, res) => {
+    try {
+        const { builtIn, ...previous } = getWritableEntry(req.params.id);
+        const entry = {
+            ...previous,
+            ...buildEntry(req.body || {}, previous),
+            updatedAt: new Date().toISOString()
+        };
+
+        store.set(entry.id, entry);
+        res.json({ ...entry, builtIn: false });
+    } catch (error) {
+        sendError(res, error, 'Could not update graph');
+    }
+});
+
+router.delete('/:id', (req, res) => {
+    try {
+        getWritableEntry(req.params.id);
+
+        store.remove(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Could not delete graph');
+    }
+});
+
+module.exports = router;
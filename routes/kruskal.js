@@ -1,21 +1,40 @@
 const express = require('express');
-const { UnionFind, validateGraph } = require('../utils/graph-utils');
+const { UnionFind, validateGraph, getSpanningTrees } = require('../utils/graph-utils');
+const { defineAlgorithm, describeAlgorithm, collectSteps } = require('../utils/algorithm-registry');
+const { runTrace } = require('../utils/trace');
+const { getStreamFormat, streamTrace } = require('../utils/trace-stream');
+const { getTraceEncoding } = require('../utils/trace-delta');
+const { TIE_BREAK_INPUT, createEdgeOrder } = require('../utils/tie-break');
 
 const router = express.Router();
 
-function kruskalAlgorithm(graph) {
+const PSEUDOCODE = [
+    'sort the edges E by weight, breaking ties by the chosen rule',
+    'make each node v its own set',
+    'for each edge (u, v) in E:',
+    '    if find(u) ≠ find(v):',
+    '        add (u, v) to T',
+    '        union(u, v)',
+    '    else: reject (u, v), it would close a cycle',
+    '    if |T| = |V| - 1: stop',
+    'return T'
+];
+
+function* kruskalSteps(graph, tieBreak) {
     try {
         console.log('Starting Kruskal algorithm...');
 
-        validateGraph(graph);
+        validateGraph(graph, { allowDirected: false });
 
-        const steps = [];
         const mstEdges = [];
         let totalCost = 0;
 
-        const edges = [...graph.edges].sort((a, b) => (a.weight || 0) - (b.weight || 0));
+        const edgeOrder = createEdgeOrder(graph, tieBreak);
+        const edges = [...graph.edges].sort(edgeOrder.compare);
+        // Each step changes the status of one edge, so the others keep their objects
+        const sortedEdges = edges.map(e => ({...e, status: 'pending'}));
         const nodeCount = graph.nodes.length;
-        const uf = new UnionFind(nodeCount);
+        const uf = new UnionFind(nodeCount, { recordEvents: true });
 
         const nodeMap = {};
         graph.nodes.forEach((node, index) => {
@@ -24,86 +43,109 @@ function kruskalAlgorithm(graph) {
             }
         });
 
-        steps.push({
+        yield {
             step: 0,
-            description: "Starting Kruskal's Algorithm. Edges sorted by weight.",
+            description: `Starting Kruskal's Algorithm. Edges sorted by weight. ${edgeOrder.describe()}`,
             currentEdge: null,
-            sortedEdges: edges.map(e => ({...e, status: 'pending'})),
+            sortedEdges: [...sortedEdges],
             mstEdges: [],
             unionFindState: getUnionFindState(uf, graph.nodes),
+            unionFind: getUnionFindSnapshot(uf, graph.nodes),
             totalCost: 0,
-            action: 'initialize'
-        });
+            action: 'initialize',
+            pseudocodeLine: 2,
+            variables: { '|E|': edges.length, '|V|': nodeCount }
+        };
+
+        let stepCount = 1;
 
-        edges.forEach((edge, index) => {
-            if (!edge || !edge.from || !edge.to) return;
+        for (let index = 0; index < edges.length; index++) {
+            const edge = edges[index];
+            if (!edge || !edge.from || !edge.to) continue;
 
             const fromNode = nodeMap[edge.from];
             const toNode = nodeMap[edge.to];
 
             if (fromNode === undefined || toNode === undefined) {
                 console.error(`Node not found: ${edge.from} or ${edge.to}`);
-                return;
+                continue;
             }
 
-            const wouldCreateCycle = uf.connected(fromNode, toNode);
+            const rootFrom = uf.find(fromNode);
+            const rootTo = uf.find(toNode);
+            const wouldCreateCycle = rootFrom === rootTo;
+            const variables = {
+                '(u, v)': `${edge.from}-${edge.to}`,
+                'w(u, v)': edge.weight || 0,
+                'find(u)': graph.nodes[rootFrom].id,
+                'find(v)': graph.nodes[rootTo].id
+            };
 
             let action, status;
             if (wouldCreateCycle) {
                 action = 'reject';
                 status = 'rejected';
             } else {
-                uf.union(fromNode, toNode);
+                uf.link(rootFrom, rootTo, fromNode, toNode);
                 mstEdges.push({...edge, status: 'accepted'});
                 totalCost += (edge.weight || 0);
                 action = 'accept';
                 status = 'accepted';
             }
+            sortedEdges[index] = {...edge, status};
 
-            steps.push({
-                step: index + 1,
+            yield {
+                step: stepCount++,
                 description: wouldCreateCycle 
                     ? `Edge ${edge.from}-${edge.to} (weight: ${edge.weight || 0}) would create a cycle. Rejected.`
                     : `Edge ${edge.from}-${edge.to} (weight: ${edge.weight || 0}) added to MST.`,
                 currentEdge: {...edge, status},
-                sortedEdges: edges.map((e, i) => ({
-                    ...e,
-                    status: i < index ? (mstEdges.find(mst => mst.id === e.id) ? 'accepted' : 'rejected')
-                          : i === index ? status
-                          : 'pending'
-                })),
+                sortedEdges: [...sortedEdges],
                 mstEdges: [...mstEdges],
                 unionFindState: getUnionFindState(uf, graph.nodes),
+                unionFind: getUnionFindSnapshot(uf, graph.nodes),
                 totalCost,
                 action,
-                wouldCreateCycle
-            });
+                wouldCreateCycle,
+                pseudocodeLine: wouldCreateCycle ? 7 : 6,
+                variables: { ...variables, '|T|': mstEdges.length }
+            };
 
             if (mstEdges.length === nodeCount - 1) {
-                steps.push({
-                    step: index + 2,
-                    description: `MST completed! Total cost: ${totalCost}`,
-                    currentEdge: null,
-                    sortedEdges: edges.map((e, i) => ({
-                        ...e,
-                        status: i <= index ? (mstEdges.find(mst => mst.id === e.id) ? 'accepted' : 'rejected') : 'pending'
-                    })),
-                    mstEdges: [...mstEdges],
-                    unionFindState: getUnionFindState(uf, graph.nodes),
-                    totalCost,
-                    action: 'complete'
-                });
-                return;
+                break;
             }
-        });
+        }
+
+        const trees = getSpanningTrees(graph, mstEdges);
+        const connected = trees.length <= 1;
+
+        yield {
+            step: stepCount,
+            description: connected
+                ? `MST completed! Total cost: ${totalCost}`
+                : `All edges processed. The graph is disconnected, so the result is a minimum spanning forest of ${trees.length} trees ` +
+                  `(${trees.map(tree => `[${tree.nodes.join(', ')}] cost ${tree.totalCost}`).join('; ')}). Total cost: ${totalCost}`,
+            currentEdge: null,
+            sortedEdges: [...sortedEdges],
+            mstEdges: [...mstEdges],
+            unionFindState: getUnionFindState(uf, graph.nodes),
+            unionFind: getUnionFindSnapshot(uf, graph.nodes),
+            totalCost,
+            action: 'complete',
+            connected,
+            pseudocodeLine: 9,
+            variables: { '|T|': mstEdges.length, cost: totalCost }
+        };
 
         return {
             algorithm: 'Kruskal',
-            steps,
             finalResult: {
                 mstEdges,
                 totalCost,
-                edgeCount: mstEdges.length
+                edgeCount: mstEdges.length,
+                connected,
+                trees,
+                tieBreak: edgeOrder.tieBreak
             }
         };
     } catch (error) {
@@ -112,11 +154,16 @@ function kruskalAlgorithm(graph) {
     }
 }
 
+function kruskalAlgorithm(graph, tieBreak) {
+    return collectSteps(kruskalSteps(graph, tieBreak));
+}
+
+// Reads the forest with peekRoot() so drawing it does not compress paths behind the trace's back
 function getUnionFindState(uf, nodes) {
     const components = {};
     nodes.forEach((node, index) => {
         if (node && node.id) {
-            const root = uf.find(index);
+            const root = uf.peekRoot(index);
             if (!components[root]) components[root] = [];
             components[root].push(node.id);
         }
@@ -124,7 +171,40 @@ function getUnionFindState(uf, nodes) {
     return Object.values(components);
 }
 
-router.post('/', (req, res) => {
+// parent/rank arrays indexed like graph.nodes, and the step's find, compress and union events with node IDs
+function getUnionFindSnapshot(uf, nodes) {
+    const id = index => (index === null ? null : nodes[index].id);
+
+    const describeEvent = event => {
+        if (event.type === 'find') {
+            return { ...event, node: id(event.node), path: event.path.map(id), root: id(event.root) };
+        }
+        if (event.type === 'compress') {
+            return {
+                ...event,
+                root: id(event.root),
+                rewrites: event.rewrites.map(rewrite => ({ node: id(rewrite.node), from: id(rewrite.from), to: id(rewrite.to) }))
+            };
+        }
+        return {
+            ...event,
+            x: id(event.x),
+            y: id(event.y),
+            rootX: id(event.rootX),
+            rootY: id(event.rootY),
+            winner: id(event.winner),
+            loser: id(event.loser)
+        };
+    };
+
+    return {
+        parent: uf.parent.map(id),
+        rank: [...uf.rank],
+        events: uf.takeEvents().map(describeEvent)
+    };
+}
+
+router.post('/', async (req, res) => {
     try {
         const { graph } = req.body;
 
@@ -135,25 +215,50 @@ router.post('/', (req, res) => {
             });
         }
 
-        const result = kruskalAlgorithm(graph);
-        res.json(result);
+        const streamFormat = getStreamFormat(req);
+        const encoding = getTraceEncoding(req);
+        if (streamFormat) {
+            return await streamTrace(res, definition, graph, req.body, streamFormat, encoding);
+        }
+
+        res.json(runTrace(definition, graph, req.body, encoding).trace);
     } catch (error) {
         console.error('Kruskal route error:', error);
-        res.status(400).json({ 
+        res.status(error.status || 400).json({ 
             error: 'Kruskal algorithm failed', 
             message: error.message 
         });
     }
 });
 
+const definition = defineAlgorithm({
+    id: 'kruskal',
+    name: 'Kruskal\'s Algorithm',
+    family: 'mst',
+    description: 'Finds the Minimum Spanning Tree by sorting edges and using Union-Find to avoid cycles.',
+    timeComplexity: 'O(E log E)',
+    spaceComplexity: 'O(V)',
+    useCase: 'Network design, clustering, minimum cost connectivity',
+    inputs: [TIE_BREAK_INPUT],
+    pseudocode: PSEUDOCODE,
+    stepSchema: {
+        actions: ['initialize', 'accept', 'reject', 'complete'],
+        fields: {
+            currentEdge: 'Edge considered in this step',
+            sortedEdges: 'Every edge in weight order (ties broken by the tieBreak rule), with its status so far',
+            mstEdges: 'Edges accepted into the tree',
+            unionFindState: 'Node IDs grouped by connected component',
+            unionFind: 'Disjoint-set parent and rank arrays (indexed like graph.nodes) and the find, compress and union events of the step',
+            totalCost: 'Weight of the accepted edges'
+        }
+    },
+    run: (graph, params) => kruskalAlgorithm(graph, params.tieBreak),
+    stream: (graph, params) => kruskalSteps(graph, params.tieBreak)
+});
+
 router.get('/info', (req, res) => {
-    res.json({
-        algorithm: 'Kruskal\'s Algorithm',
-        description: 'Finds the Minimum Spanning Tree by sorting edges and using Union-Find to avoid cycles.',
-        timeComplexity: 'O(E log E)',
-        spaceComplexity: 'O(V)',
-        useCase: 'Network design, clustering, minimum cost connectivity'
-    });
+    res.json(describeAlgorithm(definition));
 });
 
 module.exports = router;
+module.exports.definition = definition;
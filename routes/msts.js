@@ -0,0 +1,42 @@
+const express = require('express');
+const { MAX_ENUMERATION_NODES, analyzeMinimumSpanningTrees } = require('../utils/mst-analysis');
+
+const router = express.Router();
+
+/**
+ * Reports whether a graph has one minimum spanning tree or several. Body:
+ *   graph     undirected graph
+ *   tieBreak  rule that orders equal weights, as for the MST algorithms; trees[0] is the
+ *             tree Kruskal, Prim and Borůvka return under it
+ *   limit     most trees to list (default 50)
+ * Response: { unique, count, totalCost, connected, tieBreak, ties, trees, truncated }.
+ * `ties` lists the weight classes with a choice: their candidate edges and how many of them
+ * every MST takes. `trees` is null above MAX_ENUMERATION_NODES nodes. `count` is exact: a
+ * number, a decimal string when it is larger than a JSON number holds exactly, or null
+ * above MAX_COUNT_NODES (200) nodes.
+ */
+router.post('/', (req, res) => {
+    try {
+        const { graph, tieBreak, limit } = req.body;
+
+        if (!graph) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+
+        res.json({
+            ...analyzeMinimumSpanningTrees(graph, { tieBreak, limit }),
+            maxEnumerationNodes: MAX_ENUMERATION_NODES
+        });
+    } catch (error) {
+        console.error('MST enumeration error:', error);
+        res.status(error.status || 400).json({
+            error: 'MST enumeration failed',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createJsonStore } = require('../utils/json-store');
+const { getAlgorithm } = require('./algorithms');
+
+const router = express.Router();
+
+const ID_LENGTH = 10;
+const MAX_STATE_BYTES = 5 * 1024 * 1024;
+// Anyone can create permalinks, so the store is capped in both entries and size
+const MAX_PERMALINKS = 10000;
+const MAX_STORE_BYTES = 100 * 1024 * 1024;
+
+const store = createJsonStore('permalinks', {
+    maxEntries: MAX_PERMALINKS,
+    maxBytes: MAX_STORE_BYTES,
+    label: 'shared views'
+});
+
+// The client keeps small states in the URL fragment; only the ones too long for a link
+// are stored here. IDs are a hash of the state, so sharing the same view twice gives
+// the same link.
+function createId(json) {
+    const hash = crypto.createHash('sha256').update(json).digest('base64url');
+    for (let length = ID_LENGTH; length <= hash.length; length++) {
+        const id = hash.slice(0, length);
+        if (!store.has(id) || JSON.stringify(store.get(id).state) === json) {
+            return id;
+        }
+    }
+    throw new Error('Could not create a unique permalink ID');
+}
+
+function validateState(state) {
+    if (!state || typeof state !== 'object') {
+        throw new Error('Please provide the view to share as `state`');
+    }
+    if (!state.graph || !Array.isArray(state.graph.nodes) || !Array.isArray(state.graph.edges)) {
+        throw new Error('state.graph must have nodes and edges arrays');
+    }
+    if (!getAlgorithm(state.algorithm)) {
+        throw new Error(`No algorithm is registered as '${state.algorithm}'`);
+    }
+    if (state.step !== null && state.step !== undefined && !Number.isInteger(state.step)) {
+        throw new Error('state.step must be a step index or null');
+    }
+}
+
+router.post('/', (req, res) => {
+    try {
+        const { state } = req.body;
+        validateState(state);
+
+        const json = JSON.stringify(state);
+        if (Buffer.byteLength(json) > MAX_STATE_BYTES) {
+            const error = new Error(`The shared view is larger than ${MAX_STATE_BYTES / 1024 / 1024} MB`);
+            error.status = 413;
+            throw error;
+        }
+
+        const id = createId(json);
+        if (!store.has(id)) {
+            store.set(id, { state, createdAt: new Date().toISOString() });
+        }
+
+        res.status(201).json({ id });
+    } catch (error) {
+        console.error('Permalink error:', error);
+        res.status(error.status || 400).json({
+            error: 'Could not create permalink',
+            message: error.message
+        });
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const entry = store.get(req.params.id);
+
+    if (!entry) {
+        return res.status(404).json({
+            error: 'Unknown permalink',
+            message: `No shared view is stored as '${req.params.id}'`
+        });
+    }
+
+    res.json({ id: req.params.id, ...entry });
+});
+
+module.exports = router;
@@ -1,19 +1,35 @@
 const express = require('express');
-const { validateGraph, createAdjacencyList } = require('../utils/graph-utils');
+const { IndexedBinaryHeap, validateGraph, createAdjacencyList, getSpanningTrees } = require('../utils/graph-utils');
+const { defineAlgorithm, describeAlgorithm, collectSteps } = require('../utils/algorithm-registry');
+const { runTrace } = require('../utils/trace');
+const { getStreamFormat, streamTrace } = require('../utils/trace-stream');
+const { getTraceEncoding } = require('../utils/trace-delta');
+const { TIE_BREAK_INPUT, createEdgeOrder } = require('../utils/tie-break');
 
 const router = express.Router();
 
-function primAlgorithm(graph, startNodeId = null) {
+const PSEUDOCODE = [
+    'visited ← {s}; T ← ∅',
+    'push every edge leaving s onto Q',
+    'while visited ≠ V:',
+    '    if Q is empty: pick an unvisited r, visited ← visited ∪ {r}, push its edges',
+    '    (u, v) ← Q.extractMin()',
+    '    add (u, v) to T; visited ← visited ∪ {v}',
+    '    for each edge (v, x) with x ∉ visited:',
+    '        if w(v, x) < key[x]: Q.insertOrDecreaseKey(x, (v, x))',
+    'return T'
+];
+
+function* primSteps(graph, startNodeId = null, tieBreak) {
     try {
         console.log('Starting Prim algorithm...');
 
-        validateGraph(graph);
+        validateGraph(graph, { allowDirected: false });
 
         if (graph.nodes.length === 0) {
             throw new Error('Graph must have at least one node');
         }
 
-        const steps = [];
         const mstEdges = [];
         const visited = new Set();
         const adjList = createAdjacencyList(graph);
@@ -23,59 +39,98 @@ function primAlgorithm(graph, startNodeId = null) {
         if (!startNode) {
             throw new Error('No valid start node found');
         }
+        if (!graph.nodes.some(node => node && node.id === startNode)) {
+            throw new Error(`Start node '${startNode}' not found in graph`);
+        }
+
+        // One heap entry per vertex outside the tree, keyed by the cheapest edge reaching it
+        const edgeOrder = createEdgeOrder(graph, tieBreak);
+        const heap = new IndexedBinaryHeap((a, b) => edgeOrder.compare(a.value, b.value));
+        const treeRoots = [];
 
-        visited.add(startNode);
+        // Offers every edge out of nodeId to the heap; returns the edges that inserted or improved an entry
+        const relaxNeighbors = (nodeId) => {
+            const offered = [];
 
-        let priorityQueue = [];
-        const startNeighbors = adjList[startNode] || [];
+            (adjList[nodeId] || []).forEach(edge => {
+                if (!edge || !edge.to || visited.has(edge.to)) return;
 
-        startNeighbors.forEach(edge => {
-            if (edge && edge.to && !visited.has(edge.to)) {
-                priorityQueue.push({
-                    from: startNode,
+                const candidate = {
+                    from: nodeId,
                     to: edge.to,
                     weight: edge.weight || 0,
-                    edgeId: edge.edgeId || `${startNode}-${edge.to}`
-                });
-            }
+                    id: edge.edgeId || `${nodeId}-${edge.to}`
+                };
+
+                if (!heap.has(edge.to)) {
+                    heap.insert(edge.to, candidate.weight, candidate);
+                    offered.push(candidate);
+                } else if (edgeOrder.compare(candidate, heap.get(edge.to).value) < 0) {
+                    heap.decreaseKey(edge.to, candidate.weight, candidate);
+                    offered.push(candidate);
+                }
+            });
+
+            return offered;
+        };
+
+        // Starts a new tree at rootId; called again for each component the previous tree could not reach
+        const growFrom = (rootId) => {
+            visited.add(rootId);
+            treeRoots.push(rootId);
+            relaxNeighbors(rootId);
+        };
+
+        const queueState = () => ({
+            priorityQueue: heap.toSortedArray().map(entry => entry.value),
+            heapSnapshot: heap.snapshot(describeEntry)
         });
 
-        priorityQueue.sort((a, b) => (a.weight || 0) - (b.weight || 0));
+        growFrom(startNode);
 
-        steps.push({
+        yield {
             step: 0,
-            description: `Starting Prim's Algorithm from node ${startNode}`,
+            description: `Starting Prim's Algorithm from node ${startNode}. ${edgeOrder.describe()}`,
             currentEdge: null,
             visitedNodes: [...visited],
-            priorityQueue: [...priorityQueue],
+            ...queueState(),
             mstEdges: [],
             totalCost: 0,
-            action: 'initialize'
-        });
+            action: 'initialize',
+            pseudocodeLine: 2,
+            variables: { s: startNode, '|Q|': heap.size }
+        };
 
         let stepCount = 1;
 
-        while (priorityQueue.length > 0 && visited.size < graph.nodes.length) {
-            const currentEdge = priorityQueue.shift();
+        while (visited.size < graph.nodes.length) {
+            if (heap.isEmpty()) {
+                const nextRoot = graph.nodes.find(node => node && node.id && !visited.has(node.id));
+                if (!nextRoot) break;
 
-            if (!currentEdge || !currentEdge.to) continue;
+                growFrom(nextRoot.id);
 
-            if (visited.has(currentEdge.to)) {
-                steps.push({
+                yield {
                     step: stepCount++,
-                    description: `Edge ${currentEdge.from}-${currentEdge.to} (weight: ${currentEdge.weight || 0}) skipped - both nodes already in MST`,
-                    currentEdge: {...currentEdge, status: 'skipped'},
+                    description: `No edges leave the current tree, so the graph is disconnected. Starting tree ${treeRoots.length} from node ${nextRoot.id}.`,
+                    currentEdge: null,
+                    currentNode: nextRoot.id,
                     visitedNodes: [...visited],
-                    priorityQueue: [...priorityQueue],
+                    ...queueState(),
                     mstEdges: [...mstEdges],
                     totalCost,
-                    action: 'skip'
-                });
+                    action: 'restart',
+                    pseudocodeLine: 4,
+                    variables: { r: nextRoot.id, '|Q|': heap.size, cost: totalCost }
+                };
                 continue;
             }
 
+            const currentEdge = heap.pop().value;
+            const popSnapshot = heap.snapshot(describeEntry);
+
             mstEdges.push({
-                id: currentEdge.edgeId,
+                id: currentEdge.id,
                 from: currentEdge.from,
                 to: currentEdge.to,
                 weight: currentEdge.weight || 0,
@@ -85,59 +140,63 @@ function primAlgorithm(graph, startNodeId = null) {
             totalCost += (currentEdge.weight || 0);
             visited.add(currentEdge.to);
 
-            const newEdges = [];
-            const newNeighbors = adjList[currentEdge.to] || [];
-
-            newNeighbors.forEach(edge => {
-                if (edge && edge.to && !visited.has(edge.to)) {
-                    const newEdge = {
-                        from: currentEdge.to,
-                        to: edge.to,
-                        weight: edge.weight || 0,
-                        edgeId: edge.edgeId || `${currentEdge.to}-${edge.to}`
-                    };
-                    newEdges.push(newEdge);
-                    priorityQueue.push(newEdge);
-                }
-            });
+            const newEdges = relaxNeighbors(currentEdge.to);
 
-            priorityQueue = priorityQueue.filter(edge => edge && edge.to && !visited.has(edge.to));
-            priorityQueue.sort((a, b) => (a.weight || 0) - (b.weight || 0));
-
-            steps.push({
+            yield {
                 step: stepCount++,
                 description: `Added edge ${currentEdge.from}-${currentEdge.to} (weight: ${currentEdge.weight || 0}) to MST. Added ${newEdges.length} new edges to consider.`,
                 currentEdge: {...currentEdge, status: 'accepted'},
                 visitedNodes: [...visited],
-                priorityQueue: [...priorityQueue],
+                ...queueState(),
+                // Show the extract-min sift when no insert or decrease-key followed it
+                ...(newEdges.length === 0 ? { heapSnapshot: popSnapshot } : {}),
                 mstEdges: [...mstEdges],
                 totalCost,
                 action: 'accept',
-                newEdgesAdded: newEdges
-            });
+                newEdgesAdded: newEdges,
+                pseudocodeLine: newEdges.length > 0 ? 8 : 6,
+                variables: {
+                    '(u, v)': `${currentEdge.from}-${currentEdge.to}`,
+                    'w(u, v)': currentEdge.weight || 0,
+                    'keys lowered': newEdges.length,
+                    '|Q|': heap.size,
+                    cost: totalCost
+                }
+            };
         }
 
-        if (visited.size === graph.nodes.length) {
-            steps.push({
-                step: stepCount,
-                description: `MST completed! All nodes visited. Total cost: ${totalCost}`,
-                currentEdge: null,
-                visitedNodes: [...visited],
-                priorityQueue: [],
-                mstEdges: [...mstEdges],
-                totalCost,
-                action: 'complete'
-            });
-        }
+        const trees = getSpanningTrees(graph, mstEdges);
+        const connected = trees.length <= 1;
+
+        yield {
+            step: stepCount,
+            description: connected
+                ? `MST completed! All nodes visited. Total cost: ${totalCost}`
+                : `All nodes visited. The graph is disconnected, so the result is a minimum spanning forest of ${trees.length} trees ` +
+                  `(${trees.map(tree => `[${tree.nodes.join(', ')}] cost ${tree.totalCost}`).join('; ')}). Total cost: ${totalCost}`,
+            currentEdge: null,
+            visitedNodes: [...visited],
+            priorityQueue: [],
+            heapSnapshot: heap.snapshot(describeEntry),
+            mstEdges: [...mstEdges],
+            totalCost,
+            action: 'complete',
+            connected,
+            pseudocodeLine: 9,
+            variables: { '|T|': mstEdges.length, cost: totalCost }
+        };
 
         return {
             algorithm: 'Prim',
-            steps,
             finalResult: {
                 mstEdges,
                 totalCost,
                 edgeCount: mstEdges.length,
-                startNode
+                startNode,
+                connected,
+                treeRoots,
+                trees,
+                tieBreak: edgeOrder.tieBreak
             }
         };
     } catch (error) {
@@ -146,9 +205,21 @@ function primAlgorithm(graph, startNodeId = null) {
     }
 }
 
-router.post('/', (req, res) => {
+function primAlgorithm(graph, startNodeId = null, tieBreak) {
+    return collectSteps(primSteps(graph, startNodeId, tieBreak));
+}
+
+function describeEntry(entry) {
+    return {
+        key: entry.key,
+        priority: entry.priority,
+        label: `${entry.value.from}-${entry.value.to}`
+    };
+}
+
+router.post('/', async (req, res) => {
     try {
-        const { graph, startNode } = req.body;
+        const { graph } = req.body;
 
         if (!graph) {
             return res.status(400).json({ 
@@ -157,25 +228,53 @@ router.post('/', (req, res) => {
             });
         }
 
-        const result = primAlgorithm(graph, startNode);
-        res.json(result);
+        const streamFormat = getStreamFormat(req);
+        const encoding = getTraceEncoding(req);
+        if (streamFormat) {
+            return await streamTrace(res, definition, graph, req.body, streamFormat, encoding);
+        }
+
+        res.json(runTrace(definition, graph, req.body, encoding).trace);
     } catch (error) {
         console.error('Prim route error:', error);
-        res.status(400).json({ 
+        res.status(error.status || 400).json({ 
             error: 'Prim algorithm failed', 
             message: error.message 
         });
     }
 });
 
+const definition = defineAlgorithm({
+    id: 'prim',
+    name: 'Prim\'s Algorithm',
+    family: 'mst',
+    description: 'Finds the Minimum Spanning Tree by growing from a starting vertex using a priority queue.',
+    timeComplexity: 'O(E log V) with binary heap',
+    spaceComplexity: 'O(V)',
+    useCase: 'Network design, circuit design, minimum cost tree construction',
+    inputs: [
+        { name: 'startNode', label: 'Start Node (Optional)', type: 'node', placeholder: 'Auto select' },
+        TIE_BREAK_INPUT
+    ],
+    pseudocode: PSEUDOCODE,
+    stepSchema: {
+        actions: ['initialize', 'accept', 'restart', 'complete'],
+        fields: {
+            currentEdge: 'Edge taken from the heap in this step',
+            visitedNodes: 'Nodes already in the tree',
+            priorityQueue: 'Cheapest known edge to each node outside the tree, in order',
+            heapSnapshot: 'Binary heap contents and the last sift path',
+            mstEdges: 'Edges accepted into the tree',
+            totalCost: 'Weight of the accepted edges'
+        }
+    },
+    run: (graph, params) => primAlgorithm(graph, params.startNode, params.tieBreak),
+    stream: (graph, params) => primSteps(graph, params.startNode, params.tieBreak)
+});
+
 router.get('/info', (req, res) => {
-    res.json({
-        algorithm: 'Prim\'s Algorithm',
-        description: 'Finds the Minimum Spanning Tree by growing from a starting vertex using a priority queue.',
-        timeComplexity: 'O(E log V) with binary heap',
-        spaceComplexity: 'O(V)',
-        useCase: 'Network design, circuit design, minimum cost tree construction'
-    });
+    res.json(describeAlgorithm(definition));
 });
 
 module.exports = router;
+module.exports.definition = definition;
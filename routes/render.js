@@ -0,0 +1,92 @@
+const express = require('express');
+const { getAlgorithm } = require('./algorithms');
+const { ALGORITHM_RENDERERS } = require('../public/algorithm-renderers');
+const { DeltaSteps } = require('../public/delta-steps');
+const { SVG_THEMES, renderSvg, renderAnimatedSvg } = require('../public/graph-scene');
+
+const router = express.Router();
+
+const RENDER_FORMATS = ['svg', 'animated-svg', 'frames'];
+
+function readTraceSteps(trace) {
+    if (trace.encoding && trace.encoding.type === 'delta') {
+        const steps = new DeltaSteps(trace.steps, trace.encoding.keyframeInterval);
+        return Array.from({ length: steps.length }, (_, index) => steps.at(index));
+    }
+    return trace.steps;
+}
+
+/**
+ * Draws a trace from any of the algorithm endpoints (full or ?encoding=delta) as SVG,
+ * with the renderer rules the browser uses. Body:
+ *   trace         the trace, as returned by POST /api/<algorithm>
+ *   graph         optional; defaults to trace.input.graph
+ *   format        'svg' (one step), 'animated-svg' (the whole run) or 'frames' (JSON list of SVGs)
+ *   step          step index for 'svg'; defaults to the last step
+ *   theme         'light' or 'dark'
+ *   caption       false to leave out the step description
+ *   stepDuration  seconds per step in 'animated-svg'
+ */
+router.post('/', (req, res) => {
+    try {
+        const { trace, format = 'svg', theme = 'light', caption, stepDuration } = req.body;
+
+        if (!trace || !trace.algorithm || !Array.isArray(trace.steps)) {
+            return res.status(400).json({
+                error: 'Missing trace',
+                message: 'Please provide a trace from one of the algorithm endpoints in the request body'
+            });
+        }
+
+        const graph = req.body.graph || (trace.input && trace.input.graph);
+        if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+            throw new Error('The trace has no input graph; pass one as `graph`');
+        }
+
+        const definition = getAlgorithm(trace.algorithm.id);
+        if (!definition) {
+            throw new Error(`No algorithm is registered as '${trace.algorithm.id}'`);
+        }
+        if (!RENDER_FORMATS.includes(format)) {
+            throw new Error(`Unknown render format '${format}'. Use one of: ${RENDER_FORMATS.join(', ')}`);
+        }
+        if (!SVG_THEMES[theme]) {
+            throw new Error(`Unknown theme '${theme}'. Use one of: ${Object.keys(SVG_THEMES).join(', ')}`);
+        }
+        if (stepDuration !== undefined && !(Number(stepDuration) > 0)) {
+            throw new Error('stepDuration must be a positive number of seconds');
+        }
+
+        const renderer = ALGORITHM_RENDERERS[definition.renderer] || ALGORITHM_RENDERERS.generic;
+        const steps = readTraceSteps(trace);
+        const options = { theme, caption, stepDuration: stepDuration === undefined ? undefined : Number(stepDuration) };
+
+        if (format === 'frames') {
+            return res.json({
+                frames: steps.map((step, index) => renderSvg(graph, step, renderer, { ...options, stepIndex: index }))
+            });
+        }
+
+        let svg;
+        if (format === 'animated-svg') {
+            svg = renderAnimatedSvg(graph, steps, renderer, options);
+        } else {
+            const index = req.body.step === undefined ? Math.max(steps.length - 1, 0) : Number(req.body.step);
+            if (!Number.isInteger(index) || index < 0 || (index > 0 && index >= steps.length)) {
+                throw new Error(`step must be an integer between 0 and ${Math.max(steps.length - 1, 0)}`);
+            }
+            svg = renderSvg(graph, steps[index] || null, renderer, { ...options, stepIndex: index });
+        }
+
+        res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+        res.send(svg);
+    } catch (error) {
+        console.error('Render error:', error);
+        res.status(error.status || 400).json({
+            error: 'Render failed',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
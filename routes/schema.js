@@ -0,0 +1,11 @@
+const express = require('express');
+const { traceSchema } = require('../utils/trace');
+
+const router = express.Router();
+
+// The JSON Schema every algorithm route's response is validated against
+router.get('/', (req, res) => {
+    res.type('application/schema+json').send(JSON.stringify(traceSchema, null, 2));
+});
+
+module.exports = router;
@@ -0,0 +1,459 @@
+const express = require('express');
+const { UnionFind, validateGraph, createAdjacencyList } = require('../utils/graph-utils');
+const { encodeInfinity } = require('../utils/trace');
+const { getAlgorithm } = require('./algorithms');
+
+const router = express.Router();
+
+const PROBLEMS = ['mst', 'shortest-path'];
+
+// Distances are sums of user-entered weights, so allow for floating-point noise
+const EPSILON = 1e-9;
+
+function isLess(a, b) {
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return a < b;
+    return a < b - EPSILON * Math.max(1, Math.abs(b));
+}
+
+function describeEdge(edge) {
+    return `${edge.from}–${edge.to} (weight ${edge.weight})`;
+}
+
+function getEdgeId(edge) {
+    return edge.id || `${edge.from}-${edge.to}`;
+}
+
+function edgeRef(edge) {
+    return { id: getEdgeId(edge), from: edge.from, to: edge.to, weight: edge.weight };
+}
+
+// Claimed edges may be given by id or by endpoints; parallel edges resolve to the cheapest
+function resolveEdges(graph, claimed) {
+    if (!Array.isArray(claimed)) {
+        throw new Error('answer.edges must be an array of edge IDs or { from, to } pairs');
+    }
+
+    return claimed.map(ref => {
+        const id = typeof ref === 'string' || typeof ref === 'number' ? ref : ref && ref.id;
+        const matches = id
+            ? graph.edges.filter(edge => edge.id === id)
+            : graph.edges.filter(edge => ref && ((edge.from === ref.from && edge.to === ref.to) ||
+                (edge.from === ref.to && edge.to === ref.from)));
+
+        if (matches.length === 0) {
+            throw new Error(`Edge ${id ? `'${id}'` : `${ref && ref.from}–${ref && ref.to}`} is not in the graph`);
+        }
+        return matches.sort((a, b) => a.weight - b.weight)[0];
+    });
+}
+
+function getNodeIds(graph) {
+    return graph.nodes.filter(node => node && node.id).map(node => node.id);
+}
+
+// Path between two nodes inside a forest, as the nodes visited and the edges walked
+function findTreePath(treeAdjacency, from, to) {
+    const parentEdge = { [from]: null };
+    const queue = [from];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === to) break;
+
+        treeAdjacency[current].forEach(({ to: next, edge }) => {
+            if (parentEdge[next] === undefined) {
+                parentEdge[next] = { node: current, edge };
+                queue.push(next);
+            }
+        });
+    }
+
+    if (parentEdge[to] === undefined) return null;
+
+    const nodes = [to];
+    const edges = [];
+    for (let node = to; parentEdge[node]; node = parentEdge[node].node) {
+        edges.unshift(parentEdge[node].edge);
+        nodes.unshift(parentEdge[node].node);
+    }
+    return { nodes, edges };
+}
+
+function collectSide(treeAdjacency, start, removedEdge) {
+    const side = new Set([start]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+        treeAdjacency[queue.shift()].forEach(({ to, edge }) => {
+            if (edge !== removedEdge && !side.has(to)) {
+                side.add(to);
+                queue.push(to);
+            }
+        });
+    }
+    return [...side];
+}
+
+// A spanning forest is minimum exactly when every non-tree edge is at least as heavy as each
+// tree edge on the cycle it closes (cycle property). The first counterexample is reported
+// together with the cut it induces, which the heavier tree edge crosses without being lightest.
+function verifyMst(graph, answer) {
+    validateGraph(graph, { allowDirected: false });
+
+    const nodeIds = getNodeIds(graph);
+    const indexOf = {};
+    nodeIds.forEach((nodeId, index) => {
+        indexOf[nodeId] = index;
+    });
+
+    const edges = resolveEdges(graph, answer.edges);
+    const claimedCost = edges.reduce((sum, edge) => sum + edge.weight, 0);
+    const optimal = getAlgorithm('kruskal').run(graph, {}).finalResult;
+    const result = (fields) => ({
+        problem: 'mst',
+        claimedCost,
+        optimalCost: optimal.totalCost,
+        violation: null,
+        ...fields
+    });
+
+    const treeAdjacency = {};
+    nodeIds.forEach(nodeId => {
+        treeAdjacency[nodeId] = [];
+    });
+
+    const uf = new UnionFind(nodeIds.length);
+    const seen = new Set();
+    for (const edge of edges) {
+        if (seen.has(edge)) {
+            return result({
+                valid: false,
+                optimal: false,
+                explanation: `Edge ${describeEdge(edge)} is listed more than once.`,
+                violation: { type: 'duplicate_edge', edge: edgeRef(edge) }
+            });
+        }
+        seen.add(edge);
+
+        if (!uf.union(indexOf[edge.from], indexOf[edge.to])) {
+            const cycle = [...findTreePath(treeAdjacency, edge.from, edge.to).edges, edge];
+            return result({
+                valid: false,
+                optimal: false,
+                explanation: edge.from === edge.to
+                    ? `Edge ${describeEdge(edge)} is a self-loop, which is a cycle on its own.`
+                    : `Your edges contain a cycle: ${describeEdge(edge)} connects ${edge.from} and ${edge.to}, which are already joined by ${cycle.slice(0, -1).map(describeEdge).join(', ')}. A spanning tree has no cycles.`,
+                violation: { type: 'cycle', edge: edgeRef(edge), cycle: cycle.map(edgeRef) }
+            });
+        }
+
+        treeAdjacency[edge.from].push({ to: edge.to, edge });
+        treeAdjacency[edge.to].push({ to: edge.from, edge });
+    }
+
+    // Not spanning: some graph edge joins two pieces of the answer, so the cut around
+    // one piece is crossed by the graph but by none of the chosen edges
+    const bridging = graph.edges.find(edge => edge && indexOf[edge.from] !== undefined &&
+        indexOf[edge.to] !== undefined && !uf.connected(indexOf[edge.from], indexOf[edge.to]));
+    if (bridging) {
+        const side = nodeIds.filter(nodeId => uf.connected(indexOf[nodeId], indexOf[bridging.from]));
+        return result({
+            valid: false,
+            optimal: false,
+            explanation: `Your edges do not span the graph: no chosen edge crosses the cut between {${side.join(', ')}} and the rest, although ${describeEdge(bridging)} does. Every cut of a connected graph must be crossed by its spanning tree.`,
+            violation: { type: 'not_spanning', edge: edgeRef(bridging), cut: side }
+        });
+    }
+
+    for (const edge of graph.edges) {
+        if (!edge || seen.has(edge) || edge.from === edge.to) continue;
+
+        const path = findTreePath(treeAdjacency, edge.from, edge.to);
+        const heaviest = path.edges.reduce((max, pathEdge) => (pathEdge.weight > max.weight ? pathEdge : max));
+
+        if (heaviest.weight > edge.weight) {
+            const cut = collectSide(treeAdjacency, heaviest.from, heaviest);
+            return result({
+                valid: true,
+                optimal: false,
+                explanation: `Not minimal. Cycle property: the unchosen edge ${describeEdge(edge)} closes the cycle ${[...path.nodes, edge.from].join(' → ')}, on which your edge ${describeEdge(heaviest)} is heavier. ` +
+                    `Equivalently, ${describeEdge(heaviest)} is not a lightest edge across the cut {${cut.join(', ')}}. Swapping the two lowers the cost by ${heaviest.weight - edge.weight}.`,
+                violation: {
+                    type: 'cycle_property',
+                    edge: edgeRef(heaviest),
+                    betterEdge: edgeRef(edge),
+                    cycle: [...path.edges, edge].map(edgeRef),
+                    cut
+                }
+            });
+        }
+    }
+
+    return result({
+        valid: true,
+        optimal: true,
+        explanation: `Optimal. Your ${edges.length} edge(s) form a spanning ${edges.length === nodeIds.length - 1 ? 'tree' : 'forest'} of cost ${claimedCost}, and every unchosen edge is at least as heavy as each chosen edge on the cycle it would close (cycle property).`
+    });
+}
+
+// Turns a drawn edge selection into predecessor pointers and distances by walking it from
+// the source. A drawing that is not a tree rooted there comes back as { explanation, violation }.
+function deriveTreeFromEdges(graph, sourceNode, edges, nodeIds) {
+    const adjacency = createAdjacencyList(graph);
+    const chosen = new Map(edges.map(edge => [getEdgeId(edge), edge]));
+    const distances = {};
+    const previous = {};
+    const previousEdge = {};
+    nodeIds.forEach(nodeId => {
+        distances[nodeId] = Infinity;
+        previous[nodeId] = null;
+    });
+    distances[sourceNode] = 0;
+
+    const queue = [sourceNode];
+    const reachedBy = {};
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const { to, weight, edgeId } of adjacency[current]) {
+            if (!chosen.has(edgeId) || reachedBy[edgeId]) continue;
+            reachedBy[edgeId] = true;
+            const edge = chosen.get(edgeId);
+
+            if (to === sourceNode) {
+                return {
+                    explanation: `Your edges lead from ${current} back into the source ${sourceNode}. A shortest-path tree has no edge into its source.`,
+                    violation: { type: 'not_a_tree', node: sourceNode, edge: edgeRef(edge), edges: [edgeRef(edge)] }
+                };
+            }
+            if (previous[to] !== null) {
+                return {
+                    explanation: `Your edges reach ${to} twice (from ${previous[to]} and from ${current}). A shortest-path tree has one path to each node.`,
+                    violation: { type: 'not_a_tree', node: to, edge: edgeRef(edge), edges: [edgeRef(previousEdge[to]), edgeRef(edge)] }
+                };
+            }
+            previous[to] = current;
+            previousEdge[to] = edge;
+            distances[to] = distances[current] + weight;
+            queue.push(to);
+        }
+    }
+
+    const unused = edges.find(edge => !reachedBy[getEdgeId(edge)]);
+    if (unused) {
+        return {
+            explanation: `Edge ${describeEdge(unused)} cannot be reached from ${sourceNode} along your other edges.`,
+            violation: { type: 'unreachable_edge', edge: edgeRef(unused), edges: [edgeRef(unused)] }
+        };
+    }
+
+    return { distances, previous };
+}
+
+function decodeDistance(value) {
+    if (value === 'Infinity' || value === null || value === undefined) return Infinity;
+    if (value === '-Infinity') return -Infinity;
+    return Number(value);
+}
+
+// Distances are optimal exactly when each one is realized by its tree path and no edge
+// relaxation can still lower any of them. With a target only that node's path is graded.
+function verifyShortestPaths(graph, answer, sourceNode, targetNode) {
+    validateGraph(graph, { allowNegativeWeights: true });
+
+    const nodeIds = getNodeIds(graph);
+    if (!sourceNode || !nodeIds.includes(sourceNode)) {
+        throw new Error(`Source node '${sourceNode}' not found in graph`);
+    }
+    if (targetNode && !nodeIds.includes(targetNode)) {
+        throw new Error(`Target node '${targetNode}' not found in graph`);
+    }
+
+    const reference = getAlgorithm('bellman-ford').run(graph, { sourceNode }).finalResult;
+    let claimed = { distances: {}, previous: {} };
+    const result = (fields) => encodeInfinity({
+        problem: 'shortest-path',
+        sourceNode,
+        targetNode: targetNode || null,
+        claimedCost: targetNode && claimed.distances[targetNode] !== undefined ? claimed.distances[targetNode] : null,
+        optimalCost: targetNode && !reference.hasNegativeCycle ? reference.distances[targetNode] : null,
+        violation: null,
+        ...fields
+    });
+
+    if (reference.hasNegativeCycle) {
+        const cycle = reference.negativeCycle;
+        return result({
+            valid: false,
+            optimal: false,
+            explanation: `No answer can be correct: the cycle ${cycle.nodes.join(' → ')} → ${cycle.nodes[0]} has total weight ${cycle.weight} and is reachable from ${sourceNode}, so shortest paths are undefined.`,
+            violation: { type: 'negative_cycle', cycle: cycle.edges }
+        });
+    }
+
+    if (answer.edges) {
+        const drawn = deriveTreeFromEdges(graph, sourceNode, resolveEdges(graph, answer.edges), nodeIds);
+        if (drawn.violation) {
+            return result({
+                valid: false,
+                optimal: false,
+                explanation: drawn.explanation,
+                violation: drawn.violation
+            });
+        }
+        claimed = drawn;
+    } else if (answer.distances) {
+        nodeIds.forEach(nodeId => {
+            claimed.distances[nodeId] = decodeDistance(answer.distances[nodeId]);
+            claimed.previous[nodeId] = (answer.previous && answer.previous[nodeId]) || null;
+        });
+    } else {
+        throw new Error('answer must contain either edges (a drawn shortest-path tree) or distances and previous');
+    }
+
+    const { distances, previous } = claimed;
+    const adjacency = createAdjacencyList(graph);
+
+    if (distances[sourceNode] !== 0) {
+        return result({
+            valid: false,
+            optimal: false,
+            explanation: `The source ${sourceNode} must have distance 0, not ${distances[sourceNode]}.`,
+            violation: { type: 'source_distance', node: sourceNode }
+        });
+    }
+
+    // Every finite distance has to be the length of the path that previous[] describes
+    for (const nodeId of nodeIds) {
+        if (nodeId === sourceNode || distances[nodeId] === Infinity) continue;
+
+        const parent = previous[nodeId];
+        const arcs = parent && adjacency[parent] ? adjacency[parent].filter(arc => arc.to === nodeId) : [];
+        const arc = arcs.find(candidate => !isLess(distances[parent] + candidate.weight, distances[nodeId]) &&
+            !isLess(distances[nodeId], distances[parent] + candidate.weight));
+
+        if (!arc) {
+            const explanation = !parent
+                ? `${nodeId} has distance ${distances[nodeId]} but no predecessor, so no path explains it.`
+                : arcs.length === 0
+                    ? `${nodeId}'s predecessor ${parent} has no edge to ${nodeId}.`
+                    : `${nodeId} has distance ${distances[nodeId]}, but going through ${parent} costs ${distances[parent]} + ${arcs[0].weight} = ${distances[parent] + arcs[0].weight}.`;
+            return result({
+                valid: false,
+                optimal: false,
+                explanation,
+                violation: { type: 'inconsistent_distance', node: nodeId, previous: parent || null }
+            });
+        }
+    }
+
+    // With a target, nodes off its path are judged by their true distances
+    let graded = nodeIds;
+    let potentials = distances;
+    if (targetNode) {
+        graded = [];
+        for (let node = targetNode; node && graded.length <= nodeIds.length; node = previous[node]) {
+            graded.push(node);
+            if (node === sourceNode) break;
+        }
+        potentials = {};
+        nodeIds.forEach(nodeId => {
+            potentials[nodeId] = Math.min(distances[nodeId], reference.distances[nodeId]);
+        });
+    }
+
+    const gradedNodes = new Set(graded);
+    for (const from of nodeIds) {
+        if (potentials[from] === Infinity) continue;
+
+        const arc = adjacency[from].find(candidate => gradedNodes.has(candidate.to) &&
+            isLess(potentials[from] + candidate.weight, distances[candidate.to]));
+        if (!arc) continue;
+
+        const nodeId = arc.to;
+        const improved = potentials[from] + arc.weight;
+        return result({
+            valid: true,
+            optimal: false,
+            explanation: `Not optimal. Relaxing edge ${from} → ${nodeId} (weight ${arc.weight}) still improves dist(${nodeId}) from ${distances[nodeId]} to ${potentials[from]} + ${arc.weight} = ${improved}.`,
+            violation: {
+                type: 'relaxation',
+                edge: { id: arc.edgeId, from, to: nodeId, weight: arc.weight },
+                node: nodeId,
+                claimedDistance: distances[nodeId],
+                improvedDistance: improved
+            }
+        });
+    }
+
+    return result({
+        valid: true,
+        optimal: true,
+        explanation: !targetNode
+            ? 'Optimal. Every distance is the length of its tree path, and no edge relaxation can lower any of them.'
+            : distances[targetNode] === Infinity
+                ? `Optimal. ${targetNode} cannot be reached from ${sourceNode}.`
+                : `Optimal. Your path to ${targetNode} has length ${distances[targetNode]}, and no edge relaxation can shorten it or any node on it.`
+    });
+}
+
+function getProblem(body) {
+    const { problem, algorithm } = body;
+    if (problem) {
+        if (!PROBLEMS.includes(problem)) {
+            throw new Error(`Unknown problem '${problem}'. Use one of: ${PROBLEMS.join(', ')}`);
+        }
+        return problem;
+    }
+
+    const definition = algorithm && getAlgorithm(algorithm);
+    if (!definition) {
+        throw new Error(`Specify the problem (${PROBLEMS.join(', ')}) or a known algorithm ID`);
+    }
+    return definition.family;
+}
+
+router.post('/', (req, res) => {
+    try {
+        const { graph, answer, sourceNode, targetNode } = req.body;
+
+        if (!graph) {
+            return res.status(400).json({
+                error: 'Missing graph data',
+                message: 'Please provide graph data in request body'
+            });
+        }
+
+        if (!answer || typeof answer !== 'object') {
+            return res.status(400).json({
+                error: 'Missing answer',
+                message: 'Please provide the answer to check, e.g. { "edges": ["A-B", "B-C"] }'
+            });
+        }
+
+        const result = getProblem(req.body) === 'mst'
+            ? verifyMst(graph, answer)
+            : verifyShortestPaths(graph, answer, sourceNode, targetNode);
+        res.json(result);
+    } catch (error) {
+        console.error('Verify route error:', error);
+        res.status(error.status || 400).json({
+            error: 'Verification failed',
+            message: error.message
+        });
+    }
+});
+
+router.get('/info', (req, res) => {
+    res.json({
+        description: 'Checks a claimed minimum spanning tree or shortest-path answer for validity and optimality, and explains the first violated property.',
+        problems: PROBLEMS,
+        answer: {
+            mst: '{ edges: [edgeId | { from, to }] }',
+            'shortest-path': '{ edges: [...] } drawn as a tree from sourceNode, or { distances, previous }; targetNode limits grading to its path'
+        }
+    });
+});
+
+module.exports = router;
+module.exports.verifyMst = verifyMst;
+module.exports.verifyShortestPaths = verifyShortestPaths;
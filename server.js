@@ -3,9 +3,15 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 
-const kruskalRoute = require('./routes/kruskal');
-const primRoute = require('./routes/prim');
-const dijkstraRoute = require('./routes/dijkstra');
+const algorithmsRoute = require('./routes/algorithms');
+const graphRoute = require('./routes/graph');
+const compareRoute = require('./routes/compare');
+const schemaRoute = require('./routes/schema');
+const verifyRoute = require('./routes/verify');
+const renderRoute = require('./routes/render');
+const permalinksRoute = require('./routes/permalinks');
+const graphsRoute = require('./routes/graphs');
+const mstsRoute = require('./routes/msts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,9 +30,19 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // API Routes
-app.use('/api/kruskal', kruskalRoute);
-app.use('/api/prim', primRoute);
-app.use('/api/dijkstra', dijkstraRoute);
+// Every registered algorithm is served at /api/<id>
+algorithmsRoute.getAlgorithmRouters().forEach(({ id, router }) => {
+    app.use(`/api/${id}`, router);
+});
+app.use('/api/algorithms', algorithmsRoute);
+app.use('/api/graph', graphRoute);
+app.use('/api/compare', compareRoute);
+app.use('/api/schema', schemaRoute);
+app.use('/api/verify', verifyRoute);
+app.use('/api/render', renderRoute);
+app.use('/api/permalinks', permalinksRoute);
+app.use('/api/graphs', graphsRoute);
+app.use('/api/msts', mstsRoute);
 
 // Main page
 app.get('/', (req, res) => {
@@ -60,7 +76,7 @@ const server = app.listen(PORT, () => {
     console.log(`🌐 Browser: http://localhost:${PORT}`);
     console.log('='.repeat(50));
     console.log('✅ Dijkstra null error FIXED');
-    console.log('✅ Download button removed');
+    console.log('✅ Export: SVG, PNG and animated SVG (POST /api/render)');
     console.log('✅ Icons cleaned up');
     console.log('='.repeat(50));
 }).on('error', (err) => {
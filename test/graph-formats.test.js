@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { importGraph, exportGraph } = require('../utils/graph-formats');
+
+const edgeEnds = graph => graph.edges.map(edge => [edge.from, edge.to]);
+
+test('DOT: undirected edge written without spaces', () => {
+    const graph = importGraph('graph { a--b }', 'dot');
+    assert.deepStrictEqual(graph.nodes.map(node => node.id), ['a', 'b']);
+    assert.deepStrictEqual(edgeEnds(graph), [['a', 'b']]);
+});
+
+test('DOT: directed edge written without spaces', () => {
+    const graph = importGraph('digraph { a->b; b->c [weight=2] }', 'dot');
+    assert.strictEqual(graph.directed, true);
+    assert.deepStrictEqual(edgeEnds(graph), [['a', 'b'], ['b', 'c']]);
+    assert.strictEqual(graph.edges[1].weight, 2);
+});
+
+test('DOT: a minus sign starts a numeral, not a name', () => {
+    const graph = importGraph('graph { -1--2; x--1.5 }', 'dot');
+    assert.deepStrictEqual(edgeEnds(graph), [['-1', '2'], ['x', '1.5']]);
+});
+
+test('DOT: quoted IDs may contain dashes', () => {
+    const graph = importGraph('graph { "a-b"--"c->d" }', 'dot');
+    assert.deepStrictEqual(edgeEnds(graph), [['a-b', 'c->d']]);
+});
+
+test('DOT: export round-trips through import', () => {
+    const original = {
+        nodes: [{ id: 'a-1', label: 'A', x: 10, y: 20 }, { id: 'b', label: 'B', x: 30, y: 40 }],
+        edges: [{ id: 'e1', from: 'a-1', to: 'b', weight: 4 }]
+    };
+    const graph = importGraph(exportGraph(original, 'dot'), 'dot');
+    assert.deepStrictEqual(edgeEnds(graph), [['a-1', 'b']]);
+    assert.strictEqual(graph.edges[0].weight, 4);
+});
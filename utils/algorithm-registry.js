@@ -0,0 +1,67 @@
+const FAMILIES = ['mst', 'shortest-path'];
+const INPUT_TYPES = ['node', 'select'];
+
+// Checks an algorithm module's declaration and fills in defaults. Every algorithm
+// route exports the result as `definition` so the registry can list and run it.
+function defineAlgorithm(definition) {
+    const required = ['id', 'name', 'family', 'description', 'timeComplexity', 'spaceComplexity', 'run', 'stream'];
+    const missing = required.filter(field => definition[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Algorithm definition '${definition.id || '?'}' is missing: ${missing.join(', ')}`);
+    }
+
+    if (!FAMILIES.includes(definition.family)) {
+        throw new Error(`Algorithm '${definition.id}' has unknown family '${definition.family}'`);
+    }
+
+    const inputs = (definition.inputs || []).map(input => {
+        if (!input.name || !INPUT_TYPES.includes(input.type)) {
+            throw new Error(`Algorithm '${definition.id}' has an invalid input: ${JSON.stringify(input)}`);
+        }
+        return { required: false, ...input };
+    });
+
+    // Steps point into this list with a 1-based `pseudocodeLine`
+    const pseudocode = definition.pseudocode || [];
+    if (!Array.isArray(pseudocode) || !pseudocode.every(line => typeof line === 'string')) {
+        throw new Error(`Algorithm '${definition.id}' must declare its pseudocode as an array of strings`);
+    }
+
+    return Object.freeze({
+        useCase: '',
+        renderer: definition.id,
+        stepSchema: { actions: [], fields: {} },
+        ...definition,
+        inputs,
+        pseudocode
+    });
+}
+
+// Public metadata for an algorithm: everything except the run and stream functions.
+// `algorithm` repeats the name for clients of the older /info responses.
+function describeAlgorithm(definition) {
+    const { run, stream, ...metadata } = definition;
+    return { algorithm: definition.name, ...metadata };
+}
+
+// Algorithms are generators that yield each step as it is produced and return
+// { algorithm, finalResult }. `stream` hands the generator to the streaming routes;
+// `run` drains it into the { algorithm, steps, finalResult } result.
+function collectSteps(generator) {
+    const steps = [];
+    let next = generator.next();
+
+    while (!next.done) {
+        steps.push(next.value);
+        next = generator.next();
+    }
+
+    return { ...next.value, steps };
+}
+
+module.exports = {
+    FAMILIES,
+    defineAlgorithm,
+    describeAlgorithm,
+    collectSteps
+};
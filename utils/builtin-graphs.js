@@ -0,0 +1,106 @@
+// Read-only entries of the graph library. The textbook examples are the figures from
+// Cormen, Leiserson, Rivest and Stein, "Introduction to Algorithms" (3rd edition), with
+// the node names used there, so a run can be checked against the book.
+
+function edge(from, to, weight) {
+    return { id: `${from}-${to}`, from, to, weight };
+}
+
+const BUILTIN_GRAPHS = [
+    {
+        id: 'sample',
+        name: 'Sample graph',
+        description: 'The six-node graph the visualizer starts with (the same as "Load Sample Graph").',
+        tags: ['sample', 'undirected', 'mst', 'shortest-path'],
+        recommended: { algorithm: 'kruskal', params: {} },
+        graph: {
+            nodes: [
+                { id: 'A', label: 'Node A', x: 150, y: 100 },
+                { id: 'B', label: 'Node B', x: 300, y: 80 },
+                { id: 'C', label: 'Node C', x: 450, y: 120 },
+                { id: 'D', label: 'Node D', x: 200, y: 250 },
+                { id: 'E', label: 'Node E', x: 350, y: 280 },
+                { id: 'F', label: 'Node F', x: 500, y: 300 }
+            ],
+            edges: [
+                edge('A', 'B', 4), edge('A', 'D', 2), edge('B', 'C', 3),
+                edge('B', 'D', 1), edge('B', 'E', 7), edge('C', 'E', 5),
+                edge('C', 'F', 2), edge('D', 'E', 6), edge('E', 'F', 4)
+            ]
+        }
+    },
+    {
+        id: 'clrs-mst',
+        name: 'CLRS Figure 23.1: minimum spanning tree',
+        description: 'Nine nodes and fourteen edges. The MST has weight 37; b-c and a-h tie, so there are two MSTs.',
+        tags: ['textbook', 'clrs', 'undirected', 'mst'],
+        recommended: { algorithm: 'kruskal', params: {} },
+        graph: {
+            nodes: [
+                { id: 'a', label: 'a', x: 80, y: 250 },
+                { id: 'b', label: 'b', x: 230, y: 120 },
+                { id: 'c', label: 'c', x: 400, y: 120 },
+                { id: 'd', label: 'd', x: 570, y: 120 },
+                { id: 'e', label: 'e', x: 720, y: 250 },
+                { id: 'f', label: 'f', x: 570, y: 380 },
+                { id: 'g', label: 'g', x: 400, y: 380 },
+                { id: 'h', label: 'h', x: 230, y: 380 },
+                { id: 'i', label: 'i', x: 320, y: 250 }
+            ],
+            edges: [
+                edge('a', 'b', 4), edge('a', 'h', 8), edge('b', 'c', 8), edge('b', 'h', 11),
+                edge('c', 'd', 7), edge('c', 'f', 4), edge('c', 'i', 2), edge('d', 'e', 9),
+                edge('d', 'f', 14), edge('e', 'f', 10), edge('f', 'g', 2), edge('g', 'h', 1),
+                edge('g', 'i', 6), edge('h', 'i', 7)
+            ]
+        }
+    },
+    {
+        id: 'clrs-dijkstra',
+        name: 'CLRS Figure 24.6: Dijkstra',
+        description: 'Directed graph with non-negative weights. From s the distances are t 8, x 9, y 5, z 7.',
+        tags: ['textbook', 'clrs', 'directed', 'shortest-path'],
+        recommended: { algorithm: 'dijkstra', params: { sourceNode: 's' } },
+        graph: {
+            directed: true,
+            nodes: [
+                { id: 's', label: 's', x: 100, y: 250 },
+                { id: 't', label: 't', x: 330, y: 120 },
+                { id: 'x', label: 'x', x: 570, y: 120 },
+                { id: 'y', label: 'y', x: 330, y: 380 },
+                { id: 'z', label: 'z', x: 570, y: 380 }
+            ],
+            edges: [
+                edge('s', 't', 10), edge('s', 'y', 5), edge('t', 'x', 1), edge('t', 'y', 2),
+                edge('y', 't', 3), edge('y', 'x', 9), edge('y', 'z', 2), edge('x', 'z', 4),
+                edge('z', 'x', 6), edge('z', 's', 7)
+            ]
+        }
+    },
+    {
+        id: 'clrs-bellman-ford',
+        name: 'CLRS Figure 24.4: Bellman-Ford',
+        description: 'Directed graph with negative weights but no negative cycle. From s the distances are t 2, x 4, y 7, z -2.',
+        tags: ['textbook', 'clrs', 'directed', 'shortest-path', 'negative-weights'],
+        recommended: { algorithm: 'bellman-ford', params: { sourceNode: 's' } },
+        graph: {
+            directed: true,
+            nodes: [
+                { id: 's', label: 's', x: 100, y: 250 },
+                { id: 't', label: 't', x: 330, y: 120 },
+                { id: 'x', label: 'x', x: 570, y: 120 },
+                { id: 'y', label: 'y', x: 330, y: 380 },
+                { id: 'z', label: 'z', x: 570, y: 380 }
+            ],
+            edges: [
+                edge('s', 't', 6), edge('s', 'y', 7), edge('t', 'x', 5), edge('t', 'y', 8),
+                edge('t', 'z', -4), edge('x', 't', -2), edge('y', 'x', -3), edge('y', 'z', 9),
+                edge('z', 's', 2), edge('z', 'x', 7)
+            ]
+        }
+    }
+];
+
+module.exports = {
+    BUILTIN_GRAPHS
+};
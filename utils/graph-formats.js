@@ -0,0 +1,673 @@
+const { isDirectedEdge, isDirectedGraph } = require('./graph-utils');
+
+const FORMATS = {
+    json: { extensions: ['json'], mimeType: 'application/json' },
+    dot: { extensions: ['dot', 'gv'], mimeType: 'text/vnd.graphviz' },
+    graphml: { extensions: ['graphml', 'xml'], mimeType: 'application/graphml+xml' },
+    csv: { extensions: ['csv', 'tsv'], mimeType: 'text/csv' },
+    dimacs: { extensions: ['gr', 'dimacs'], mimeType: 'text/plain' }
+};
+
+function detectFormat(content, filename) {
+    if (filename) {
+        const extension = String(filename).split('.').pop().toLowerCase();
+        const match = Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+        if (match) return match;
+    }
+
+    const text = String(content || '').trim();
+    if (text.startsWith('{')) return 'json';
+    if (text.startsWith('<')) return 'graphml';
+    if (/^(strict\s+)?(di)?graph\b/i.test(text.replace(/^(\/\/[^\n]*\n|#[^\n]*\n|\s)+/, ''))) return 'dot';
+    if (/^\s*p\s+sp\s+\d+\s+\d+/m.test(text)) return 'dimacs';
+    return 'csv';
+}
+
+function importGraph(content, format) {
+    if (typeof content !== 'string' || content.trim() === '') {
+        throw new Error('Graph file is empty');
+    }
+
+    const parsers = {
+        json: parseJson,
+        dot: parseDot,
+        graphml: parseGraphML,
+        csv: parseCsv,
+        dimacs: parseDimacs
+    };
+
+    if (!parsers[format]) {
+        throw new Error(`Unsupported import format '${format}'. Use one of: ${Object.keys(parsers).join(', ')}`);
+    }
+
+    return parsers[format](content);
+}
+
+function exportGraph(graph, format, options = {}) {
+    const serializers = {
+        json: toJson,
+        dot: toDot,
+        graphml: toGraphML,
+        csv: toCsv,
+        dimacs: toDimacs
+    };
+
+    if (!serializers[format]) {
+        throw new Error(`Unsupported export format '${format}'. Use one of: ${Object.keys(serializers).join(', ')}`);
+    }
+
+    const resultEdgeIds = new Set(options.resultEdgeIds || []);
+    const exported = options.resultOnly
+        ? { ...graph, edges: graph.edges.filter(edge => resultEdgeIds.has(edge.id)) }
+        : graph;
+
+    return serializers[format](exported, resultEdgeIds);
+}
+
+// ---------------------------------------------------------------- JSON
+
+function parseJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const graph = data && data.graph ? data.graph : data;
+    if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+        throw new Error('JSON graph must contain nodes and edges arrays');
+    }
+    return graph;
+}
+
+function toJson(graph, resultEdgeIds) {
+    const edges = graph.edges.map(edge => resultEdgeIds.has(edge.id) ? { ...edge, inResult: true } : edge);
+    return JSON.stringify({ ...graph, edges }, null, 2);
+}
+
+// ---------------------------------------------------------------- DOT
+
+const DOT_NAME = /[A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff]*/y;
+const DOT_NUMERAL = /-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)/y;
+
+function tokenizeDot(content) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < content.length) {
+        const ch = content[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (content.startsWith('//', i) || (ch === '#' && (i === 0 || content[i - 1] === '\n'))) {
+            while (i < content.length && content[i] !== '\n') i++;
+        } else if (content.startsWith('/*', i)) {
+            const end = content.indexOf('*/', i + 2);
+            i = end === -1 ? content.length : end + 2;
+        } else if (content.startsWith('--', i) || content.startsWith('->', i)) {
+            tokens.push({ type: 'edgeop', value: content.substr(i, 2) });
+            i += 2;
+        } else if ('{}[];,='.includes(ch)) {
+            tokens.push({ type: ch });
+            i++;
+        } else if (ch === '"') {
+            let value = '';
+            i++;
+            while (i < content.length && content[i] !== '"') {
+                if (content[i] === '\\' && content[i + 1] === '"') {
+                    value += '"';
+                    i += 2;
+                } else {
+                    value += content[i++];
+                }
+            }
+            i++;
+            tokens.push({ type: 'id', value });
+        } else {
+            // Unquoted IDs are names or numerals; '-' only starts a numeral, so a--b is an edge
+            DOT_NAME.lastIndex = i;
+            DOT_NUMERAL.lastIndex = i;
+            const match = DOT_NAME.exec(content) || DOT_NUMERAL.exec(content);
+            if (!match) {
+                throw new Error(`Unexpected character '${ch}' in DOT input`);
+            }
+            tokens.push({ type: 'id', value: match[0] });
+            i += match[0].length;
+        }
+    }
+
+    return tokens;
+}
+
+function parseDot(content) {
+    const tokens = tokenizeDot(content);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const accept = (type) => (peek() && peek().type === type ? next() : null);
+
+    if (peek() && peek().type === 'id' && peek().value.toLowerCase() === 'strict') next();
+
+    const header = next();
+    if (!header || header.type !== 'id' || !['graph', 'digraph'].includes(header.value.toLowerCase())) {
+        throw new Error('DOT input must start with "graph" or "digraph"');
+    }
+    const directed = header.value.toLowerCase() === 'digraph';
+
+    if (peek() && peek().type === 'id') next();
+    if (!accept('{')) {
+        throw new Error('Expected "{" after DOT graph header');
+    }
+
+    const nodes = [];
+    const nodeIndex = {};
+    const edges = [];
+
+    const ensureNode = (id) => {
+        if (nodeIndex[id] === undefined) {
+            nodeIndex[id] = nodes.length;
+            nodes.push({ id, label: `Node ${id}` });
+        }
+        return nodes[nodeIndex[id]];
+    };
+
+    const parseAttributes = () => {
+        const attrs = {};
+        while (accept('[')) {
+            while (peek() && peek().type !== ']') {
+                const key = next();
+                if (accept('=')) {
+                    const value = next();
+                    attrs[key.value] = value ? value.value : '';
+                }
+                accept(',') || accept(';');
+            }
+            if (!accept(']')) throw new Error('Unterminated attribute list in DOT input');
+        }
+        return attrs;
+    };
+
+    let depth = 1;
+    while (pos < tokens.length && depth > 0) {
+        const token = next();
+
+        if (token.type === '}') {
+            depth--;
+            continue;
+        }
+        if (token.type === '{') {
+            depth++;
+            continue;
+        }
+        if (token.type === ';' || token.type === ',') continue;
+        if (token.type !== 'id') {
+            throw new Error(`Unexpected '${token.type}' in DOT input`);
+        }
+
+        const keyword = token.value.toLowerCase();
+        if (['graph', 'node', 'edge'].includes(keyword) && peek() && peek().type === '[') {
+            parseAttributes();
+            continue;
+        }
+        if (keyword === 'subgraph') {
+            if (peek() && peek().type === 'id') next();
+            continue;
+        }
+        if (peek() && peek().type === '=') {
+            next();
+            next();
+            continue;
+        }
+
+        const chain = [token.value];
+        while (peek() && peek().type === 'edgeop') {
+            next();
+            const target = next();
+            if (!target || target.type !== 'id') {
+                throw new Error('Edge statement must connect two node IDs');
+            }
+            chain.push(target.value);
+        }
+
+        const attrs = parseAttributes();
+
+        if (chain.length === 1) {
+            const node = ensureNode(chain[0]);
+            if (attrs.label) node.label = attrs.label;
+            const position = parsePosition(attrs.pos);
+            if (attrs.x !== undefined && attrs.y !== undefined) {
+                node.x = Number(attrs.x);
+                node.y = Number(attrs.y);
+            } else if (position) {
+                node.x = position.x;
+                node.y = position.y;
+            }
+            continue;
+        }
+
+        const weight = parseWeight(attrs.weight !== undefined ? attrs.weight : attrs.label);
+        for (let i = 0; i < chain.length - 1; i++) {
+            ensureNode(chain[i]);
+            ensureNode(chain[i + 1]);
+
+            const edge = {
+                id: attrs.id && chain.length === 2 ? attrs.id : `${chain[i]}-${chain[i + 1]}`,
+                from: chain[i],
+                to: chain[i + 1],
+                weight
+            };
+            if (directed && attrs.dir === 'none') edge.directed = false;
+            edges.push(edge);
+        }
+    }
+
+    return finishImport({ nodes, edges, directed });
+}
+
+function parsePosition(pos) {
+    if (!pos) return null;
+    const parts = String(pos).replace('!', '').split(',').map(Number);
+    return parts.length >= 2 && parts.every(Number.isFinite) ? { x: parts[0], y: parts[1] } : null;
+}
+
+function toDot(graph, resultEdgeIds) {
+    const directed = isDirectedGraph(graph);
+    const connector = directed ? '->' : '--';
+    const lines = [`${directed ? 'digraph' : 'graph'} G {`];
+
+    graph.nodes.forEach(node => {
+        const attrs = [`label=${quoteDot(node.label || node.id)}`];
+        if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+            attrs.push(`pos="${node.x},${node.y}!"`);
+        }
+        lines.push(`    ${quoteDot(node.id)} [${attrs.join(', ')}];`);
+    });
+
+    graph.edges.forEach(edge => {
+        const attrs = [
+            `id=${quoteDot(edge.id || `${edge.from}-${edge.to}`)}`,
+            `weight=${edge.weight}`,
+            `label="${edge.weight}"`
+        ];
+        if (directed && !isDirectedEdge(graph, edge)) attrs.push('dir=none');
+        if (resultEdgeIds.has(edge.id)) attrs.push('color="#10b981"', 'penwidth=3');
+        lines.push(`    ${quoteDot(edge.from)} ${connector} ${quoteDot(edge.to)} [${attrs.join(', ')}];`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+function quoteDot(value) {
+    return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+// ---------------------------------------------------------------- GraphML
+
+function parseXmlAttributes(text) {
+    const attrs = {};
+    const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attrs[match[1]] = unescapeXml(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attrs;
+}
+
+function parseGraphML(content) {
+    const text = content.replace(/<!--[\s\S]*?-->/g, '');
+
+    const graphTag = /<graph\b([^>]*)>/.exec(text);
+    if (!graphTag) {
+        throw new Error('GraphML input has no <graph> element');
+    }
+    const directed = parseXmlAttributes(graphTag[1]).edgedefault === 'directed';
+
+    // <key> declarations map opaque ids (d0, d1, ...) to attribute names and defaults
+    const keys = {};
+    const keyPattern = /<key\b([^>]*?)(\/>|>([\s\S]*?)<\/key>)/g;
+    let match;
+    while ((match = keyPattern.exec(text)) !== null) {
+        const attrs = parseXmlAttributes(match[1]);
+        const defaultMatch = match[3] ? /<default>([\s\S]*?)<\/default>/.exec(match[3]) : null;
+        keys[attrs.id] = {
+            name: attrs['attr.name'] || attrs.id,
+            defaultValue: defaultMatch ? unescapeXml(defaultMatch[1].trim()) : undefined
+        };
+    }
+
+    const readData = (body) => {
+        const data = {};
+        Object.values(keys).forEach(key => {
+            if (key.defaultValue !== undefined) data[key.name] = key.defaultValue;
+        });
+
+        const dataPattern = /<data\b([^>]*)>([\s\S]*?)<\/data>/g;
+        let dataMatch;
+        while ((dataMatch = dataPattern.exec(body || '')) !== null) {
+            const keyId = parseXmlAttributes(dataMatch[1]).key;
+            const name = keys[keyId] ? keys[keyId].name : keyId;
+            data[name] = unescapeXml(dataMatch[2].trim());
+        }
+        return data;
+    };
+
+    const nodes = [];
+    const nodePattern = /<node\b([^>]*?)(\/>|>([\s\S]*?)<\/node>)/g;
+    while ((match = nodePattern.exec(text)) !== null) {
+        const attrs = parseXmlAttributes(match[1]);
+        const data = readData(match[3]);
+        const node = { id: attrs.id, label: data.label || `Node ${attrs.id}` };
+
+        if (data.x !== undefined && data.y !== undefined) {
+            node.x = Number(data.x);
+            node.y = Number(data.y);
+        }
+        nodes.push(node);
+    }
+
+    const edges = [];
+    const edgePattern = /<edge\b([^>]*?)(\/>|>([\s\S]*?)<\/edge>)/g;
+    while ((match = edgePattern.exec(text)) !== null) {
+        const attrs = parseXmlAttributes(match[1]);
+        const data = readData(match[3]);
+        const edge = {
+            id: attrs.id || `${attrs.source}-${attrs.target}`,
+            from: attrs.source,
+            to: attrs.target,
+            weight: parseWeight(data.weight)
+        };
+
+        if (attrs.directed !== undefined && (attrs.directed === 'true') !== directed) {
+            edge.directed = attrs.directed === 'true';
+        }
+        edges.push(edge);
+    }
+
+    return finishImport({ nodes, edges, directed });
+}
+
+function toGraphML(graph, resultEdgeIds) {
+    const directed = isDirectedGraph(graph);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+        '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+        '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+        '  <key id="inResult" for="edge" attr.name="inResult" attr.type="boolean">',
+        '    <default>false</default>',
+        '  </key>',
+        `  <graph id="G" edgedefault="${directed ? 'directed' : 'undirected'}">`
+    ];
+
+    graph.nodes.forEach(node => {
+        lines.push(`    <node id="${escapeXml(node.id)}">`);
+        lines.push(`      <data key="label">${escapeXml(node.label || node.id)}</data>`);
+        if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+            lines.push(`      <data key="x">${node.x}</data>`);
+            lines.push(`      <data key="y">${node.y}</data>`);
+        }
+        lines.push('    </node>');
+    });
+
+    graph.edges.forEach(edge => {
+        const directedAttr = directed && !isDirectedEdge(graph, edge) ? ' directed="false"' : '';
+        lines.push(`    <edge id="${escapeXml(edge.id || `${edge.from}-${edge.to}`)}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}"${directedAttr}>`);
+        lines.push(`      <data key="weight">${edge.weight}</data>`);
+        if (resultEdgeIds.has(edge.id)) {
+            lines.push('      <data key="inResult">true</data>');
+        }
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+    return String(value)
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// ---------------------------------------------------------------- CSV edge list
+
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    const separator = lines[0].includes('\t') ? '\t' : lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const rows = lines.map(line => line.split(separator).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+
+    // A header row is recognised by its column names; without one, columns are from,to,weight
+    let columns = { from: 0, to: 1, weight: 2, directed: -1, id: -1 };
+    const headerNames = rows[0].map(cell => cell.toLowerCase());
+    if (headerNames.some(name => ['from', 'source', 'to', 'target', 'weight'].includes(name))) {
+        const find = (...names) => headerNames.findIndex(name => names.includes(name));
+        columns = {
+            from: find('from', 'source', 'u'),
+            to: find('to', 'target', 'v'),
+            weight: find('weight', 'w', 'cost'),
+            directed: find('directed'),
+            id: find('id')
+        };
+        rows.shift();
+
+        if (columns.from === -1 || columns.to === -1) {
+            throw new Error('CSV header must name "from" and "to" (or "source" and "target") columns');
+        }
+    }
+
+    const nodes = [];
+    const seen = new Set();
+    const edges = [];
+
+    rows.forEach((row, index) => {
+        const from = row[columns.from];
+        const to = row[columns.to];
+        if (!from || !to) {
+            throw new Error(`CSV row ${index + 1} must have both endpoints`);
+        }
+
+        [from, to].forEach(id => {
+            if (!seen.has(id)) {
+                seen.add(id);
+                nodes.push({ id, label: `Node ${id}` });
+            }
+        });
+
+        const edge = {
+            id: columns.id >= 0 && row[columns.id] ? row[columns.id] : `${from}-${to}`,
+            from,
+            to,
+            weight: parseWeight(columns.weight >= 0 ? row[columns.weight] : undefined)
+        };
+        if (columns.directed >= 0 && row[columns.directed] !== undefined && row[columns.directed] !== '') {
+            edge.directed = ['true', '1', 'yes'].includes(row[columns.directed].toLowerCase());
+        }
+        edges.push(edge);
+    });
+
+    return finishImport({ nodes, edges });
+}
+
+function toCsv(graph, resultEdgeIds) {
+    const quote = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const lines = ['id,from,to,weight,directed,in_result'];
+
+    graph.edges.forEach(edge => {
+        lines.push([
+            quote(edge.id || `${edge.from}-${edge.to}`),
+            quote(edge.from),
+            quote(edge.to),
+            edge.weight,
+            isDirectedEdge(graph, edge),
+            resultEdgeIds.has(edge.id)
+        ].join(','));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------- DIMACS .gr
+
+function parseDimacs(content) {
+    let nodeCount = null;
+    const names = {};
+    const arcs = [];
+
+    content.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const parts = line.split(/\s+/);
+        if (parts[0] === 'c') {
+            // Exports written by this tool keep the original node IDs in comments
+            if (parts[1] === 'node' && parts.length >= 4) names[parts[2]] = parts.slice(3).join(' ');
+        } else if (parts[0] === 'p') {
+            nodeCount = parseInt(parts[2], 10);
+            if (!Number.isInteger(nodeCount) || nodeCount < 1) {
+                throw new Error(`Invalid DIMACS problem line: "${line}"`);
+            }
+        } else if (parts[0] === 'a') {
+            if (parts.length < 4) throw new Error(`Invalid DIMACS arc on line ${index + 1}`);
+            arcs.push({ from: parts[1], to: parts[2], weight: parseWeight(parts[3]) });
+        } else {
+            throw new Error(`Unknown DIMACS line type '${parts[0]}' on line ${index + 1}`);
+        }
+    });
+
+    if (nodeCount === null) {
+        throw new Error('DIMACS input has no "p sp <nodes> <arcs>" problem line');
+    }
+
+    const idOf = (index) => names[index] || index;
+    const nodes = [];
+    for (let i = 1; i <= nodeCount; i++) {
+        nodes.push({ id: idOf(String(i)), label: `Node ${idOf(String(i))}` });
+    }
+
+    // DIMACS only has arcs. If every arc has a matching reverse arc, the graph was undirected.
+    const arcKey = (from, to, weight) => `${from}|${to}|${weight}`;
+    const counts = {};
+    arcs.forEach(arc => {
+        const key = arcKey(arc.from, arc.to, arc.weight);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    const symmetric = arcs.length > 0 && arcs.every(arc => counts[arcKey(arc.to, arc.from, arc.weight)] === counts[arcKey(arc.from, arc.to, arc.weight)]);
+
+    const edges = [];
+    if (symmetric) {
+        const used = {};
+        arcs.forEach(arc => {
+            const key = arcKey(arc.from, arc.to, arc.weight);
+            const reverse = arcKey(arc.to, arc.from, arc.weight);
+            if (used[reverse] > 0) {
+                used[reverse]--;
+                return;
+            }
+            used[key] = (used[key] || 0) + 1;
+            edges.push({ id: `${idOf(arc.from)}-${idOf(arc.to)}`, from: idOf(arc.from), to: idOf(arc.to), weight: arc.weight });
+        });
+    } else {
+        arcs.forEach(arc => {
+            edges.push({ id: `${idOf(arc.from)}-${idOf(arc.to)}`, from: idOf(arc.from), to: idOf(arc.to), weight: arc.weight });
+        });
+    }
+
+    return finishImport({ nodes, edges, directed: !symmetric });
+}
+
+function toDimacs(graph, resultEdgeIds) {
+    const indexOf = {};
+    graph.nodes.forEach((node, index) => {
+        indexOf[node.id] = index + 1;
+    });
+
+    const arcs = [];
+    graph.edges.forEach(edge => {
+        const from = indexOf[edge.from];
+        const to = indexOf[edge.to];
+        if (!from || !to) return;
+
+        const marker = resultEdgeIds.has(edge.id) ? ' result' : '';
+        arcs.push({ line: `a ${from} ${to} ${edge.weight}`, marker });
+        if (!isDirectedEdge(graph, edge)) {
+            arcs.push({ line: `a ${to} ${from} ${edge.weight}`, marker });
+        }
+    });
+
+    const lines = ['c Exported by Greedy Algorithm Visualizer'];
+    graph.nodes.forEach((node, index) => {
+        lines.push(`c node ${index + 1} ${node.id}`);
+    });
+    if (resultEdgeIds.size > 0) {
+        graph.edges.filter(edge => resultEdgeIds.has(edge.id)).forEach(edge => {
+            lines.push(`c result ${indexOf[edge.from]} ${indexOf[edge.to]}`);
+        });
+    }
+    lines.push(`p sp ${graph.nodes.length} ${arcs.length}`);
+    arcs.forEach(arc => lines.push(arc.line));
+
+    return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------- shared
+
+function parseWeight(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return 1;
+
+    const weight = Number(value);
+    if (!Number.isFinite(weight)) {
+        throw new Error(`Edge weight '${value}' is not a number`);
+    }
+    return weight;
+}
+
+function finishImport(graph) {
+    if (graph.nodes.length === 0) {
+        throw new Error('Imported graph has no nodes');
+    }
+
+    const nodeIds = new Set(graph.nodes.map(node => node.id));
+    graph.edges.forEach(edge => {
+        if (!nodeIds.has(edge.from) || !nodeIds.has(edge.to)) {
+            throw new Error(`Edge ${edge.from}-${edge.to} refers to a node that does not exist`);
+        }
+    });
+
+    // Keep edge IDs unique; parallel edges would otherwise collide on "from-to"
+    const usedIds = new Set();
+    graph.edges.forEach(edge => {
+        let id = edge.id;
+        let suffix = 2;
+        while (usedIds.has(id)) {
+            id = `${edge.id}-${suffix++}`;
+        }
+        edge.id = id;
+        usedIds.add(id);
+    });
+
+    if (!graph.directed) delete graph.directed;
+    return graph;
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    importGraph,
+    exportGraph
+};
@@ -0,0 +1,479 @@
+const { circularLayout } = require('./graph-layout');
+const { createRng, randomInt, newSeed } = require('./random');
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const MARGIN = 60;
+const MAX_NODES = 400;
+const MAX_EDGES = 20000;
+
+// Letter IDs while they last, like the hand-made sample graphs
+function nodeId(index, count) {
+    return count <= 26 ? String.fromCharCode(65 + index) : `N${index}`;
+}
+
+function createNodes(count, positions) {
+    return positions.map((position, index) => ({
+        id: nodeId(index, count),
+        label: `Node ${nodeId(index, count)}`,
+        x: Math.round(position.x),
+        y: Math.round(position.y)
+    }));
+}
+
+function circlePositions(count) {
+    return circularLayout(Array.from({ length: count }, () => ({})), { width: WIDTH, height: HEIGHT });
+}
+
+function randomPositions(rng, count) {
+    return Array.from({ length: count }, () => ({
+        x: MARGIN + rng() * (WIDTH - 2 * MARGIN),
+        y: MARGIN + rng() * (HEIGHT - 2 * MARGIN)
+    }));
+}
+
+function gridShape(count) {
+    const columns = Math.ceil(Math.sqrt(count * WIDTH / HEIGHT));
+    return { columns, rows: Math.ceil(count / columns) };
+}
+
+function gridPositions(count, columns, rows) {
+    const stepX = columns > 1 ? (WIDTH - 2 * MARGIN) / (columns - 1) : 0;
+    const stepY = rows > 1 ? (HEIGHT - 2 * MARGIN) / (rows - 1) : 0;
+    return Array.from({ length: count }, (_, index) => ({
+        x: MARGIN + (index % columns) * stepX,
+        y: MARGIN + Math.floor(index / columns) * stepY
+    }));
+}
+
+function euclideanWeight(a, b) {
+    return Math.max(1, Math.round(Math.hypot(a.x - b.x, a.y - b.y) / 10));
+}
+
+// Collects edges as node index pairs and turns them into graph edges at the end.
+// In an undirected graph a pair is only stored once, whichever way round it is added.
+class EdgeBuilder {
+    constructor(directed) {
+        this.directed = directed;
+        this.keys = new Set();
+        this.edges = [];
+    }
+
+    has(from, to) {
+        return this.keys.has(`${from}-${to}`) || (!this.directed && this.keys.has(`${to}-${from}`));
+    }
+
+    add(from, to, weight) {
+        if (from === to || this.has(from, to)) return false;
+        if (this.edges.length >= MAX_EDGES) {
+            throw new Error(`Generated graph would have more than ${MAX_EDGES} edges. Use fewer nodes or a sparser model.`);
+        }
+
+        this.keys.add(`${from}-${to}`);
+        this.edges.push({ from, to, weight });
+        return true;
+    }
+
+    build(nodes) {
+        return this.edges.map(({ from, to, weight }) => ({
+            id: `${nodes[from].id}-${nodes[to].id}`,
+            from: nodes[from].id,
+            to: nodes[to].id,
+            weight
+        }));
+    }
+}
+
+// Adds edges until every node is reachable from the first one (the default source).
+// `pickEdge(reached, unreached)` chooses which reached node links to which unreached one.
+function ensureReachable(count, builder, pickEdge) {
+    const adjacency = Array.from({ length: count }, () => []);
+    builder.edges.forEach(({ from, to }) => {
+        adjacency[from].push(to);
+        if (!builder.directed) adjacency[to].push(from);
+    });
+
+    const reached = new Set();
+    const visit = start => {
+        const stack = [start];
+        reached.add(start);
+        while (stack.length > 0) {
+            adjacency[stack.pop()].forEach(next => {
+                if (!reached.has(next)) {
+                    reached.add(next);
+                    stack.push(next);
+                }
+            });
+        }
+    };
+
+    visit(0);
+    while (reached.size < count) {
+        const unreached = [];
+        for (let index = 0; index < count; index++) {
+            if (!reached.has(index)) unreached.push(index);
+        }
+
+        const { from, to, weight } = pickEdge([...reached], unreached);
+        builder.add(from, to, weight);
+        adjacency[from].push(to);
+        if (!builder.directed) adjacency[to].push(from);
+        visit(to);
+    }
+}
+
+// Each model returns { positions, builder } from the resolved options and the seeded rng
+const MODELS = {
+    gnp: {
+        name: 'Erdős–Rényi G(n, p)',
+        description: 'Every pair of nodes is joined independently with probability p.',
+        params: [
+            { name: 'p', label: 'Edge probability p', type: 'number', default: 0.3, min: 0, max: 1, step: 0.05 }
+        ],
+        generate(options, rng, weight) {
+            const { nodes: count, directed, p } = options;
+            const builder = new EdgeBuilder(directed);
+
+            for (let from = 0; from < count; from++) {
+                for (let to = directed ? 0 : from + 1; to < count; to++) {
+                    if (from !== to && rng() < p) builder.add(from, to, weight());
+                }
+            }
+
+            if (options.connected) {
+                ensureReachable(count, builder, (reached, unreached) => ({
+                    from: reached[randomInt(rng, 0, reached.length - 1)],
+                    to: unreached[randomInt(rng, 0, unreached.length - 1)],
+                    weight: weight()
+                }));
+            }
+            return { positions: circlePositions(count), builder };
+        }
+    },
+
+    geometric: {
+        name: 'Random geometric',
+        description: 'Nodes are scattered over the canvas and joined when closer than the radius. Weights are the Euclidean distances (÷10), which suits A*.',
+        params: [
+            { name: 'radius', label: 'Connection radius (px)', type: 'number', default: 220, min: 10, max: 1000, step: 10 }
+        ],
+        generate(options, rng) {
+            const { nodes: count, directed, radius } = options;
+            const positions = randomPositions(rng, count);
+            const builder = new EdgeBuilder(directed);
+            const distance = (a, b) => Math.hypot(positions[a].x - positions[b].x, positions[a].y - positions[b].y);
+
+            for (let a = 0; a < count; a++) {
+                for (let b = a + 1; b < count; b++) {
+                    if (distance(a, b) > radius) continue;
+                    const [from, to] = directed && rng() < 0.5 ? [b, a] : [a, b];
+                    builder.add(from, to, euclideanWeight(positions[from], positions[to]));
+                }
+            }
+
+            // Bridge the gaps with the shortest possible link
+            if (options.connected) {
+                ensureReachable(count, builder, (reached, unreached) => {
+                    let best = null;
+                    reached.forEach(from => unreached.forEach(to => {
+                        if (!best || distance(from, to) < distance(best.from, best.to)) best = { from, to };
+                    }));
+                    return { ...best, weight: euclideanWeight(positions[best.from], positions[best.to]) };
+                });
+            }
+            return { positions, builder };
+        }
+    },
+
+    grid: {
+        name: 'Grid / lattice',
+        description: 'Nodes on a rectangular lattice, each joined to its right and lower neighbours.',
+        params: [
+            { name: 'diagonals', label: 'Add diagonals', type: 'boolean', default: false }
+        ],
+        generate(options, rng, weight) {
+            const { nodes: count, directed, diagonals } = options;
+            const { columns, rows } = gridShape(count);
+            const builder = new EdgeBuilder(directed);
+            const link = (from, to) => {
+                if (to >= count) return;
+                const [a, b] = directed && rng() < 0.5 ? [to, from] : [from, to];
+                builder.add(a, b, weight());
+            };
+
+            for (let index = 0; index < count; index++) {
+                const column = index % columns;
+                if (column < columns - 1) link(index, index + 1);
+                link(index, index + columns);
+                if (diagonals && column < columns - 1) link(index, index + columns + 1);
+            }
+
+            if (options.connected) {
+                ensureReachable(count, builder, (reached, unreached) => ({
+                    from: reached[reached.length - 1],
+                    to: unreached[0],
+                    weight: weight()
+                }));
+            }
+            return { positions: gridPositions(count, columns, rows), builder };
+        }
+    },
+
+    complete: {
+        name: 'Complete graph',
+        description: 'Every pair of nodes is joined (in both directions when directed).',
+        params: [],
+        generate(options, rng, weight) {
+            const { nodes: count, directed } = options;
+            const builder = new EdgeBuilder(directed);
+
+            for (let from = 0; from < count; from++) {
+                for (let to = directed ? 0 : from + 1; to < count; to++) {
+                    builder.add(from, to, weight());
+                }
+            }
+            return { positions: circlePositions(count), builder };
+        }
+    },
+
+    tree: {
+        name: 'Random tree + extra edges',
+        description: 'A random tree rooted at the first node (always connected), plus a number of extra random edges.',
+        params: [
+            { name: 'extraEdges', label: 'Extra edges', type: 'number', default: 3, min: 0, max: 1000, step: 1 }
+        ],
+        generate(options, rng, weight) {
+            const { nodes: count, directed, extraEdges } = options;
+            const builder = new EdgeBuilder(directed);
+
+            for (let child = 1; child < count; child++) {
+                builder.add(randomInt(rng, 0, child - 1), child, weight());
+            }
+
+            // Give up on duplicates instead of looping forever on small or dense graphs
+            for (let attempt = 0, added = 0; added < extraEdges && attempt < extraEdges * 20; attempt++) {
+                if (builder.add(randomInt(rng, 0, count - 1), randomInt(rng, 0, count - 1), weight())) added++;
+            }
+            return { positions: randomPositions(rng, count), builder };
+        }
+    },
+
+    'worst-case': {
+        name: 'Worst case for an algorithm',
+        description: 'Classic inputs that push one algorithm to its worst behaviour. Weights follow the construction, not the weight range.',
+        params: [
+            {
+                name: 'algorithm',
+                label: 'Worst case for',
+                type: 'select',
+                default: 'kruskal',
+                options: [
+                    { value: 'kruskal', label: 'Kruskal: the heaviest edge is needed, so every edge is examined' },
+                    { value: 'prim', label: 'Prim: every new tree vertex lowers every remaining key' },
+                    { value: 'boruvka', label: 'Borůvka: a path that only halves per phase (log₂ n phases)' },
+                    { value: 'dijkstra', label: 'Dijkstra: every extraction decreases every remaining distance' },
+                    { value: 'bellman-ford', label: 'Bellman-Ford: a chain listed backwards, one node per pass' },
+                    { value: 'astar', label: 'A*: a wall between source and target traps the heuristic' }
+                ]
+            }
+        ],
+        generate(options, rng) {
+            return WORST_CASES[options.algorithm](options, rng);
+        }
+    }
+};
+
+const WORST_CASES = {
+    kruskal({ nodes: count }) {
+        // Dense cheap core, plus one node that only the most expensive edge reaches
+        const builder = new EdgeBuilder(false);
+        let weight = 1;
+        for (let a = 0; a < count - 1; a++) {
+            for (let b = a + 1; b < count - 1; b++) {
+                builder.add(a, b, weight++);
+            }
+        }
+        builder.add(0, count - 1, weight);
+        return { positions: circlePositions(count), builder };
+    },
+
+    prim({ nodes: count }) {
+        // w(i, j) falls as i grows, so adding vertex i lowers the key of every j > i
+        const builder = new EdgeBuilder(false);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                builder.add(i, j, count * (count - i) + (j - i));
+            }
+        }
+        return { positions: circlePositions(count), builder };
+    },
+
+    boruvka({ nodes: count }) {
+        // Edge i's weight grows with the trailing zeros of i + 1, so each phase only pairs components
+        const builder = new EdgeBuilder(false);
+        for (let i = 0; i < count - 1; i++) {
+            let zeros = 0;
+            while (((i + 1) >> zeros) % 2 === 0) zeros++;
+            builder.add(i, i + 1, zeros * count + i + 1);
+        }
+        // Lay the path out as a snake through the grid
+        const { columns, rows } = gridShape(count);
+        const cells = gridPositions(columns * rows, columns, rows);
+        const positions = Array.from({ length: count }, (_, index) => {
+            const row = Math.floor(index / columns);
+            const column = row % 2 === 0 ? index % columns : columns - 1 - index % columns;
+            return cells[row * columns + column];
+        });
+        return { positions, builder };
+    },
+
+    dijkstra({ nodes: count, directed }) {
+        // A unit-weight chain fixes the extraction order; shortcut i → j costs 3n - 2i,
+        // so each extracted node offers every later node a slightly better distance
+        const builder = new EdgeBuilder(directed);
+        for (let i = 0; i < count - 1; i++) {
+            builder.add(i, i + 1, 1);
+        }
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 2; j < count; j++) {
+                builder.add(i, j, 3 * count - 2 * i);
+            }
+        }
+        return { positions: circlePositions(count), builder };
+    },
+
+    'bellman-ford'({ nodes: count, directed }) {
+        // Edges are listed from the far end back to the source, so each pass settles one more node
+        const builder = new EdgeBuilder(directed);
+        for (let i = count - 2; i >= 0; i--) {
+            builder.add(i, i + 1, 1);
+        }
+        for (let i = 2; i < count; i++) {
+            builder.add(0, i, 2 * count);
+        }
+        const { columns, rows } = gridShape(count);
+        return { positions: gridPositions(count, columns, rows), builder };
+    },
+
+    astar({ nodes: count, directed }) {
+        // A grid whose middle column is a wall open only at the top. The source sits left of it
+        // and the target right of it, so the straight-line heuristic keeps pulling into the wall.
+        let shape = gridShape(count);
+        for (let size = count + 1; shape.columns * shape.rows - (shape.rows - 1) < count; size++) {
+            shape = gridShape(size);
+        }
+        const { columns, rows } = shape;
+        const wall = Math.floor(columns / 2);
+        const all = gridPositions(columns * rows, columns, rows);
+        const cells = [];
+        all.forEach((position, cell) => {
+            if (cells.length < count && !(cell % columns === wall && Math.floor(cell / columns) > 0)) {
+                cells.push(cell);
+            }
+        });
+
+        // Node 0 is the source, node 1 the target
+        const middleRow = Math.floor(rows / 2) * columns;
+        const source = cells.includes(middleRow) ? middleRow : cells[0];
+        const target = cells.includes(middleRow + columns - 1) ? middleRow + columns - 1 : cells[cells.length - 1];
+        const order = [source, target, ...cells.filter(cell => cell !== source && cell !== target)];
+        const indexOf = new Map(order.map((cell, index) => [cell, index]));
+        const positions = order.map(cell => all[cell]);
+
+        const builder = new EdgeBuilder(directed);
+        const link = (a, b) => {
+            if (!indexOf.has(a) || !indexOf.has(b)) return;
+            const from = indexOf.get(a);
+            const to = indexOf.get(b);
+            builder.add(from, to, euclideanWeight(positions[from], positions[to]));
+            if (directed) builder.add(to, from, euclideanWeight(positions[from], positions[to]));
+        };
+        order.forEach(cell => {
+            if (cell % columns < columns - 1) link(cell, cell + 1);
+            link(cell, cell + columns);
+        });
+        return { positions, builder };
+    }
+};
+
+const COMMON_PARAMS = [
+    { name: 'nodes', label: 'Nodes', type: 'number', default: 8, min: 2, max: MAX_NODES, step: 1 },
+    { name: 'minWeight', label: 'Min weight', type: 'number', default: 1, step: 1 },
+    { name: 'maxWeight', label: 'Max weight', type: 'number', default: 9, step: 1 },
+    { name: 'connected', label: 'Guarantee every node is reachable from the first', type: 'boolean', default: true },
+    { name: 'directed', label: 'Directed edges', type: 'boolean', default: false }
+];
+
+function listGenerators() {
+    return {
+        common: COMMON_PARAMS,
+        models: Object.entries(MODELS).map(([id, model]) => ({
+            id,
+            name: model.name,
+            description: model.description,
+            params: model.params
+        }))
+    };
+}
+
+function resolveParam(param, value) {
+    if (value === undefined || value === null || value === '') return param.default;
+
+    if (param.type === 'boolean') return value === true || value === 'true';
+
+    if (param.type === 'select') {
+        if (!param.options.some(option => option.value === value)) {
+            throw new Error(`${param.label} must be one of: ${param.options.map(option => option.value).join(', ')}`);
+        }
+        return value;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) ||
+        (param.min !== undefined && number < param.min) ||
+        (param.max !== undefined && number > param.max)) {
+        throw new Error(`${param.label} must be a number${param.min !== undefined ? ` between ${param.min} and ${param.max}` : ''}`);
+    }
+    return param.step === 1 ? Math.round(number) : number;
+}
+
+// Same model, options and seed always give the same graph. Without a seed one is picked
+// and returned so the graph can be reproduced later.
+function generateGraph(modelId, rawOptions = {}, seed) {
+    const model = MODELS[modelId];
+    if (!model) {
+        throw new Error(`Unknown graph model '${modelId}'. Use one of: ${Object.keys(MODELS).join(', ')}`);
+    }
+
+    const options = {};
+    [...COMMON_PARAMS, ...model.params].forEach(param => {
+        options[param.name] = resolveParam(param, rawOptions[param.name]);
+    });
+    if (options.minWeight > options.maxWeight) {
+        throw new Error('Min weight must not be greater than max weight');
+    }
+
+    // MST worst cases only make sense undirected
+    if (modelId === 'worst-case' && ['kruskal', 'prim', 'boruvka'].includes(options.algorithm)) {
+        options.directed = false;
+    }
+
+    const resolvedSeed = seed === undefined || seed === null || seed === '' ? newSeed() : String(seed);
+    const rng = createRng(resolvedSeed);
+    const weight = () => randomInt(rng, options.minWeight, options.maxWeight);
+
+    const { positions, builder } = model.generate(options, rng, weight);
+    const nodes = createNodes(positions.length, positions);
+
+    return {
+        graph: { nodes, edges: builder.build(nodes), directed: options.directed },
+        model: modelId,
+        seed: resolvedSeed,
+        options
+    };
+}
+
+module.exports = {
+    listGenerators,
+    generateGraph
+};
@@ -0,0 +1,298 @@
+const { createRng } = require('./random');
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 500;
+const MARGIN = 60;
+const DEFAULT_LAYOUT_SEED = 'layout';
+// Every force-directed iteration compares all pairs of nodes; bigger graphs go on the grid
+const MAX_FORCE_NODES = 500;
+
+function hasCoordinates(node) {
+    return node && Number.isFinite(node.x) && Number.isFinite(node.y);
+}
+
+function getSize(options) {
+    return {
+        width: options.width || DEFAULT_WIDTH,
+        height: options.height || DEFAULT_HEIGHT
+    };
+}
+
+// Places nodes evenly on a circle that fits inside the canvas
+function circularLayout(nodes, options = {}) {
+    const { width, height } = getSize(options);
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radius = Math.max(Math.min(width, height) / 2 - MARGIN, 0);
+
+    return nodes.map((node, index) => {
+        const angle = (2 * Math.PI * index) / Math.max(nodes.length, 1) - Math.PI / 2;
+        return {
+            ...node,
+            x: Math.round(nodes.length === 1 ? centerX : centerX + radius * Math.cos(angle)),
+            y: Math.round(nodes.length === 1 ? centerY : centerY + radius * Math.sin(angle))
+        };
+    });
+}
+
+// Row by row, with roughly as many columns per row as the canvas aspect ratio allows
+function gridLayout(nodes, options = {}) {
+    const { width, height } = getSize(options);
+    const innerWidth = width - 2 * MARGIN;
+    const innerHeight = height - 2 * MARGIN;
+    const columns = Math.max(1, Math.ceil(Math.sqrt(nodes.length * innerWidth / Math.max(innerHeight, 1))));
+    const rows = Math.max(1, Math.ceil(nodes.length / columns));
+
+    return nodes.map((node, index) => {
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        return {
+            ...node,
+            x: Math.round(columns === 1 ? width / 2 : MARGIN + column * innerWidth / (columns - 1)),
+            y: Math.round(rows === 1 ? height / 2 : MARGIN + row * innerHeight / (rows - 1))
+        };
+    });
+}
+
+// Scales raw positions into the area inside the margins, keeping their aspect ratio
+function fitToCanvas(nodes, xs, ys, width, height) {
+    // A loop rather than Math.min(...xs), which overflows the call stack on large graphs
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let i = 0; i < nodes.length; i++) {
+        minX = Math.min(minX, xs[i]);
+        maxX = Math.max(maxX, xs[i]);
+        minY = Math.min(minY, ys[i]);
+        maxY = Math.max(maxY, ys[i]);
+    }
+    const spanX = maxX - minX;
+    const spanY = maxY - minY;
+    const innerWidth = width - 2 * MARGIN;
+    const innerHeight = height - 2 * MARGIN;
+    const scale = Math.min(spanX > 0 ? innerWidth / spanX : Infinity, spanY > 0 ? innerHeight / spanY : Infinity);
+    const factor = Number.isFinite(scale) ? scale : 0;
+    const offsetX = MARGIN + (innerWidth - spanX * factor) / 2;
+    const offsetY = MARGIN + (innerHeight - spanY * factor) / 2;
+
+    return nodes.map((node, index) => ({
+        ...node,
+        x: Math.round(offsetX + (xs[index] - minX) * factor),
+        y: Math.round(offsetY + (ys[index] - minY) * factor)
+    }));
+}
+
+// Fruchterman-Reingold: every pair of nodes repels, every edge pulls its ends together, and
+// the distance a node may move shrinks each iteration. Start positions come from the seed,
+// so the same graph and seed always give the same drawing.
+function forceDirectedLayout(nodes, edges, options = {}) {
+    const { width, height } = getSize(options);
+    const count = nodes.length;
+    if (count < 2) {
+        return circularLayout(nodes, options);
+    }
+    if (count > MAX_FORCE_NODES) {
+        return gridLayout(nodes, options);
+    }
+
+    const rng = createRng(options.seed === undefined ? DEFAULT_LAYOUT_SEED : options.seed);
+    const indexOf = new Map(nodes.map((node, index) => [node.id, index]));
+    const links = edges
+        .filter(edge => edge && edge.from !== edge.to && indexOf.has(edge.from) && indexOf.has(edge.to))
+        .map(edge => [indexOf.get(edge.from), indexOf.get(edge.to)]);
+
+    const innerWidth = width - 2 * MARGIN;
+    const innerHeight = height - 2 * MARGIN;
+    const idealLength = Math.sqrt(innerWidth * innerHeight / count);
+    const xs = nodes.map(() => rng() * innerWidth);
+    const ys = nodes.map(() => rng() * innerHeight);
+
+    // Repulsion is quadratic in the node count, so big graphs get fewer iterations
+    const iterations = Math.min(300, Math.max(60, Math.round(30000 / count)));
+    const startTemperature = innerWidth / 10;
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const dx = new Float64Array(count);
+        const dy = new Float64Array(count);
+
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const deltaX = xs[i] - xs[j];
+                const deltaY = ys[i] - ys[j];
+                const distance = Math.max(Math.hypot(deltaX, deltaY), 0.01);
+                const force = idealLength * idealLength / distance / distance;
+                dx[i] += deltaX * force;
+                dy[i] += deltaY * force;
+                dx[j] -= deltaX * force;
+                dy[j] -= deltaY * force;
+            }
+        }
+
+        links.forEach(([a, b]) => {
+            const deltaX = xs[a] - xs[b];
+            const deltaY = ys[a] - ys[b];
+            const distance = Math.max(Math.hypot(deltaX, deltaY), 0.01);
+            const force = distance / idealLength;
+            dx[a] -= deltaX * force;
+            dy[a] -= deltaY * force;
+            dx[b] += deltaX * force;
+            dy[b] += deltaY * force;
+        });
+
+        const temperature = startTemperature * (1 - iteration / iterations);
+        for (let i = 0; i < count; i++) {
+            const length = Math.hypot(dx[i], dy[i]);
+            if (length > 0) {
+                // Kept inside the frame, or disconnected parts would drift apart forever
+                const step = Math.min(length, temperature) / length;
+                xs[i] = Math.min(innerWidth, Math.max(0, xs[i] + dx[i] * step));
+                ys[i] = Math.min(innerHeight, Math.max(0, ys[i] + dy[i] * step));
+            }
+        }
+    }
+
+    return fitToCanvas(nodes, xs, ys, width, height);
+}
+
+// Layered drawing of an MST or shortest-path tree: the root on top, each node one level
+// below its parent and centred over its children. `treeEdgeIds` picks the tree edges;
+// without them the breadth-first tree of the whole graph is drawn. Nodes the tree does not
+// reach start trees of their own, placed to the right.
+function treeLayout(nodes, edges, options = {}) {
+    const { width, height } = getSize(options);
+    const treeEdgeIds = Array.isArray(options.treeEdgeIds) ? new Set(options.treeEdgeIds) : null;
+    const treeEdges = treeEdgeIds
+        ? edges.filter(edge => edge && treeEdgeIds.has(edge.id))
+        : edges.filter(Boolean);
+
+    const neighbors = new Map(nodes.map(node => [node.id, []]));
+    treeEdges.forEach(edge => {
+        if (!neighbors.has(edge.from) || !neighbors.has(edge.to) || edge.from === edge.to) return;
+        neighbors.get(edge.from).push(edge.to);
+        neighbors.get(edge.to).push(edge.from);
+    });
+
+    const ids = nodes.map(node => node.id);
+    const order = neighbors.has(options.root)
+        ? [options.root, ...ids.filter(id => id !== options.root)]
+        : ids;
+
+    const children = new Map();
+    const depth = new Map();
+    const roots = [];
+    order.forEach(start => {
+        if (depth.has(start)) return;
+        roots.push(start);
+        depth.set(start, 0);
+        children.set(start, []);
+
+        const queue = [start];
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            neighbors.get(current).forEach(next => {
+                if (depth.has(next)) return;
+                depth.set(next, depth.get(current) + 1);
+                children.get(current).push(next);
+                children.set(next, []);
+                queue.push(next);
+            });
+        }
+    });
+
+    // Leaves take consecutive slots and parents sit halfway between their outer children.
+    // Walked with an explicit stack, since a long path would overflow a recursive one.
+    const slots = new Map();
+    let nextSlot = 0;
+    const place = root => {
+        const stack = [[root, false]];
+        while (stack.length > 0) {
+            const [id, childrenPlaced] = stack.pop();
+            const below = children.get(id);
+            if (below.length === 0) {
+                slots.set(id, nextSlot++);
+            } else if (childrenPlaced) {
+                slots.set(id, (slots.get(below[0]) + slots.get(below[below.length - 1])) / 2);
+            } else {
+                stack.push([id, true]);
+                for (let index = below.length - 1; index >= 0; index--) {
+                    stack.push([below[index], false]);
+                }
+            }
+        }
+    };
+    roots.forEach((root, index) => {
+        if (index > 0) nextSlot++;
+        place(root);
+    });
+
+    const maxSlot = nextSlot - 1;
+    let maxDepth = 0;
+    depth.forEach(level => {
+        maxDepth = Math.max(maxDepth, level);
+    });
+    return nodes.map(node => ({
+        ...node,
+        x: Math.round(maxSlot > 0 ? MARGIN + slots.get(node.id) * (width - 2 * MARGIN) / maxSlot : width / 2),
+        y: Math.round(maxDepth > 0 ? MARGIN + depth.get(node.id) * (height - 2 * MARGIN) / maxDepth : height / 2)
+    }));
+}
+
+const LAYOUTS = {
+    force: {
+        name: 'Force-directed',
+        description: `Edges act as springs and nodes repel each other. Different seeds give different drawings. Graphs with more than ${MAX_FORCE_NODES} nodes are drawn on a grid instead.`,
+        layout: (graph, options) => forceDirectedLayout(graph.nodes, graph.edges, options)
+    },
+    circular: {
+        name: 'Circular',
+        description: 'Nodes evenly spaced on a circle, in the order they were added.',
+        layout: (graph, options) => circularLayout(graph.nodes, options)
+    },
+    tree: {
+        name: 'Tree',
+        description: 'Layers below the root (the source node, if set). After a run, the MST or shortest-path tree is drawn.',
+        layout: (graph, options) => treeLayout(graph.nodes, graph.edges, options)
+    },
+    grid: {
+        name: 'Grid',
+        description: 'Rows and columns in the order nodes were added.',
+        layout: (graph, options) => gridLayout(graph.nodes, options)
+    }
+};
+
+function listLayouts() {
+    return Object.entries(LAYOUTS).map(([id, layout]) => ({
+        id,
+        name: layout.name,
+        description: layout.description
+    }));
+}
+
+// Returns a copy of the graph with new x/y on every node; edges are untouched
+function layoutGraph(graph, layoutId, options = {}) {
+    const layout = LAYOUTS[layoutId];
+    if (!layout) {
+        throw new Error(`Unknown layout '${layoutId}'. Use one of: ${Object.keys(LAYOUTS).join(', ')}`);
+    }
+
+    return {
+        ...graph,
+        nodes: layout.layout(graph, options)
+    };
+}
+
+// Imported graphs often have no positions. If any node lacks them, lay out the whole
+// graph so positioned and unpositioned nodes do not end up on top of each other.
+function ensureCoordinates(graph, options = {}) {
+    if (graph.nodes.every(hasCoordinates)) {
+        return graph;
+    }
+
+    return layoutGraph(graph, 'force', options);
+}
+
+module.exports = {
+    circularLayout,
+    ensureCoordinates,
+    hasCoordinates,
+    layoutGraph,
+    listLayouts
+};
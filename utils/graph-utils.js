@@ -1,39 +1,256 @@
+// Disjoint sets with path compression and union by rank. With `recordEvents` every
+// operation is logged for the step traces (see takeEvents()):
+//   { type: 'find', node, path, root }              path from node up to its root
+//   { type: 'compress', root, rewrites }            [{ node, from, to }] pointers moved to the root
+//   { type: 'union', x, y, rootX, rootY, rankX,     ranks are from before the union; reason
+//     rankY, merged, winner, loser, reason }        is 'same-set', 'higher-rank' or 'equal-rank'
 class UnionFind {
-    constructor(n) {
+    constructor(n, options = {}) {
         this.parent = Array.from({ length: n }, (_, i) => i);
         this.rank = new Array(n).fill(0);
+        this.events = options.recordEvents ? [] : null;
     }
 
     find(x) {
-        if (this.parent[x] !== x) {
-            this.parent[x] = this.find(this.parent[x]);
+        const path = [x];
+        while (this.parent[path[path.length - 1]] !== path[path.length - 1]) {
+            path.push(this.parent[path[path.length - 1]]);
         }
-        return this.parent[x];
+        const root = path[path.length - 1];
+
+        const rewrites = [];
+        path.slice(0, -1).forEach(node => {
+            if (this.parent[node] !== root) {
+                rewrites.push({ node, from: this.parent[node], to: root });
+                this.parent[node] = root;
+            }
+        });
+
+        this.record({ type: 'find', node: x, path, root });
+        if (rewrites.length > 0) {
+            this.record({ type: 'compress', root, rewrites });
+        }
+        return root;
+    }
+
+    // Root of x without compressing, for displays that must not change the forest
+    peekRoot(x) {
+        while (this.parent[x] !== x) x = this.parent[x];
+        return x;
     }
 
     union(x, y) {
-        const rootX = this.find(x);
-        const rootY = this.find(y);
+        return this.link(this.find(x), this.find(y), x, y);
+    }
 
-        if (rootX === rootY) return false;
+    // Joins the trees of two roots; the root of higher rank stays a root. x and y are the
+    // elements union() was called with, for the event log.
+    link(rootX, rootY, x = rootX, y = rootY) {
+        const ranks = { rankX: this.rank[rootX], rankY: this.rank[rootY] };
 
-        if (this.rank[rootX] < this.rank[rootY]) {
-            this.parent[rootX] = rootY;
-        } else if (this.rank[rootX] > this.rank[rootY]) {
-            this.parent[rootY] = rootX;
-        } else {
-            this.parent[rootY] = rootX;
-            this.rank[rootX]++;
+        if (rootX === rootY) {
+            this.record({ type: 'union', x, y, rootX, rootY, ...ranks, merged: false, winner: null, loser: null, reason: 'same-set' });
+            return false;
         }
+
+        const [winner, loser] = this.rank[rootX] < this.rank[rootY] ? [rootY, rootX] : [rootX, rootY];
+        const reason = this.rank[winner] > this.rank[loser] ? 'higher-rank' : 'equal-rank';
+
+        this.parent[loser] = winner;
+        if (reason === 'equal-rank') {
+            this.rank[winner]++;
+        }
+
+        this.record({ type: 'union', x, y, rootX, rootY, ...ranks, merged: true, winner, loser, reason });
         return true;
     }
 
     connected(x, y) {
         return this.find(x) === this.find(y);
     }
+
+    record(event) {
+        if (this.events) this.events.push(event);
+    }
+
+    // Returns the events since the last call and starts a new log
+    takeEvents() {
+        const events = this.events || [];
+        if (this.events) this.events = [];
+        return events;
+    }
+}
+
+// Array-backed binary min-heap. Every write goes through place() so subclasses can
+// track where each item lives, and each push/pop records the indices it sifted through.
+class BinaryHeap {
+    constructor(compare = (a, b) => a - b) {
+        this.items = [];
+        this.compare = compare;
+        this.lastOperation = null;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        this.place(this.items.length, item);
+        const siftPath = this.siftUp(this.items.length - 1);
+        this.record('push', item, siftPath);
+    }
+
+    pop() {
+        if (this.items.length === 0) return undefined;
+
+        const top = this.items[0];
+        const last = this.items.pop();
+        let siftPath = [0];
+
+        if (this.items.length > 0) {
+            this.place(0, last);
+            siftPath = this.siftDown(0);
+        }
+
+        this.record('pop', top, siftPath);
+        return top;
+    }
+
+    siftUp(index) {
+        const path = [index];
+
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(this.items[index], this.items[parent]) >= 0) break;
+
+            this.swap(index, parent);
+            index = parent;
+            path.push(index);
+        }
+
+        return path;
+    }
+
+    siftDown(index) {
+        const path = [index];
+        const length = this.items.length;
+
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.compare(this.items[left], this.items[smallest]) < 0) smallest = left;
+            if (right < length && this.compare(this.items[right], this.items[smallest]) < 0) smallest = right;
+            if (smallest === index) break;
+
+            this.swap(index, smallest);
+            index = smallest;
+            path.push(index);
+        }
+
+        return path;
+    }
+
+    place(index, item) {
+        this.items[index] = item;
+    }
+
+    swap(i, j) {
+        const item = this.items[i];
+        this.place(i, this.items[j]);
+        this.place(j, item);
+    }
+
+    record(type, item, siftPath) {
+        this.lastOperation = { type, item, siftPath };
+    }
+
+    toArray() {
+        return [...this.items];
+    }
+
+    toSortedArray() {
+        return [...this.items].sort(this.compare);
+    }
+
+    snapshot(describe = item => item) {
+        return {
+            heap: this.items.map(describe),
+            lastOperation: this.lastOperation ? {
+                type: this.lastOperation.type,
+                item: describe(this.lastOperation.item),
+                siftPath: [...this.lastOperation.siftPath]
+            } : null
+        };
+    }
+}
+
+// Binary heap of { key, priority, value } entries with O(log n) decrease-key.
+// Equal priorities are ordered by `tieBreak`, then by insertion, so traces are deterministic.
+class IndexedBinaryHeap extends BinaryHeap {
+    constructor(tieBreak = () => 0) {
+        super((a, b) => (a.priority - b.priority) || tieBreak(a, b) || (a.order - b.order));
+        this.positions = new Map();
+        this.insertions = 0;
+    }
+
+    has(key) {
+        return this.positions.has(key);
+    }
+
+    get(key) {
+        return this.has(key) ? this.items[this.positions.get(key)] : undefined;
+    }
+
+    insert(key, priority, value = null) {
+        if (this.has(key)) {
+            throw new Error(`Key '${key}' is already in the heap`);
+        }
+        this.push({ key, priority, value, order: this.insertions++ });
+    }
+
+    decreaseKey(key, priority, value) {
+        const index = this.positions.get(key);
+        if (index === undefined) {
+            throw new Error(`Key '${key}' is not in the heap`);
+        }
+
+        const entry = this.items[index];
+        if (priority > entry.priority) {
+            throw new Error(`New priority ${priority} for '${key}' is larger than ${entry.priority}`);
+        }
+
+        entry.priority = priority;
+        if (value !== undefined) entry.value = value;
+
+        const siftPath = this.siftUp(index);
+        this.record('decreaseKey', entry, siftPath);
+    }
+
+    pop() {
+        const top = super.pop();
+        if (top) this.positions.delete(top.key);
+        return top;
+    }
+
+    place(index, item) {
+        super.place(index, item);
+        this.positions.set(item.key, index);
+    }
 }
 
-function validateGraph(graph) {
+function validateGraph(graph, options = {}) {
+    const { allowNegativeWeights = false, allowDirected = true } = options;
+
     if (!graph || !graph.nodes || !graph.edges) {
         throw new Error('Graph must contain nodes and edges arrays');
     }
@@ -46,19 +263,57 @@ function validateGraph(graph) {
         throw new Error('Graph must have at least one node');
     }
 
+    // IDs may be strings or numbers; anything else cannot be compared or echoed in a trace
+    const isId = value => typeof value === 'string' || Number.isFinite(value);
+
+    for (const node of graph.nodes) {
+        if (!node) continue;
+        if (!isId(node.id)) {
+            throw new Error('Each node must have an id that is a string or a number');
+        }
+        if ((node.x !== undefined && typeof node.x !== 'number') || (node.y !== undefined && typeof node.y !== 'number')) {
+            throw new Error(`Coordinates of node '${node.id}' must be numbers`);
+        }
+    }
+
     for (const edge of graph.edges) {
         if (!edge || !edge.from || !edge.to || edge.weight === undefined) {
             throw new Error('Each edge must have from, to, and weight properties');
         }
 
-        if (typeof edge.weight !== 'number' || edge.weight < 0) {
+        if (!isId(edge.from) || !isId(edge.to) || (edge.id !== undefined && !isId(edge.id))) {
+            throw new Error('Edge ids and endpoints must be strings or numbers');
+        }
+
+        if (typeof edge.weight !== 'number') {
+            throw new Error('Edge weights must be numbers');
+        }
+
+        if (!allowNegativeWeights && edge.weight < 0) {
             throw new Error('Edge weights must be non-negative numbers');
         }
     }
 
+    if (!allowDirected && isDirectedGraph(graph)) {
+        throw new Error('Minimum spanning tree algorithms require an undirected graph. ' +
+            'Use Dijkstra, Bellman-Ford or A* on directed graphs, or a minimum spanning arborescence (Chu-Liu/Edmonds) algorithm.');
+    }
+
     return true;
 }
 
+// An edge's own "directed" field wins; otherwise it follows the graph-level flag
+function isDirectedEdge(graph, edge) {
+    if (edge && edge.directed !== undefined) {
+        return Boolean(edge.directed);
+    }
+    return Boolean(graph && graph.directed);
+}
+
+function isDirectedGraph(graph) {
+    return Boolean(graph && graph.edges && graph.edges.some(edge => isDirectedEdge(graph, edge)));
+}
+
 function createAdjacencyList(graph) {
     const adjList = {};
 
@@ -76,7 +331,7 @@ function createAdjacencyList(graph) {
                 edgeId: edge.id || `${edge.from}-${edge.to}`
             });
 
-            if (!edge.directed) {
+            if (!isDirectedEdge(graph, edge)) {
                 adjList[edge.to].push({
                     to: edge.from,
                     weight: edge.weight || 0,
@@ -89,8 +344,142 @@ function createAdjacencyList(graph) {
     return adjList;
 }
 
+function getShortestPaths(previous, source, processedNodes, distances) {
+    const paths = {};
+
+    if (!previous || !source || !processedNodes || !distances) {
+        return paths;
+    }
+
+    processedNodes.forEach(nodeId => {
+        if (!nodeId) return;
+
+        if (nodeId === source) {
+            paths[nodeId] = { 
+                path: [source], 
+                distance: 0 
+            };
+        } else {
+            // Build path backwards from nodeId to source
+            const path = [];
+            let current = nodeId;
+            const maxSteps = processedNodes.length + 1; // Prevent infinite loops
+            let steps = 0;
+
+            while (current !== null && current !== undefined && steps < maxSteps) {
+                path.unshift(current);
+                steps++;
+
+                if (current === source) {
+                    // Found complete path
+                    break;
+                }
+
+                current = previous[current];
+            }
+
+            // Validate path - must start with source
+            if (path.length > 0 && path[0] === source) {
+                paths[nodeId] = { 
+                    path: [...path],
+                    distance: distances[nodeId] !== undefined ? distances[nodeId] : Infinity
+                };
+            } else {
+                // No valid path
+                paths[nodeId] = {
+                    path: [],
+                    distance: Infinity
+                };
+            }
+        }
+    });
+
+    return paths;
+}
+
+// Groups spanning edges into one tree per connected component. Isolated nodes
+// become single-node trees with no edges.
+function getSpanningTrees(graph, spanningEdges) {
+    const nodeIds = graph.nodes.filter(node => node && node.id).map(node => node.id);
+    const indexOf = {};
+    nodeIds.forEach((nodeId, index) => {
+        indexOf[nodeId] = index;
+    });
+
+    const uf = new UnionFind(nodeIds.length);
+    spanningEdges.forEach(edge => {
+        if (indexOf[edge.from] !== undefined && indexOf[edge.to] !== undefined) {
+            uf.union(indexOf[edge.from], indexOf[edge.to]);
+        }
+    });
+
+    const trees = {};
+    const order = [];
+    nodeIds.forEach((nodeId, index) => {
+        const root = uf.find(index);
+        if (!trees[root]) {
+            trees[root] = { nodes: [], edges: [], totalCost: 0 };
+            order.push(root);
+        }
+        trees[root].nodes.push(nodeId);
+    });
+
+    spanningEdges.forEach(edge => {
+        if (indexOf[edge.from] === undefined) return;
+        const tree = trees[uf.find(indexOf[edge.from])];
+        tree.edges.push(edge);
+        tree.totalCost += (edge.weight || 0);
+    });
+
+    return order.map(root => trees[root]);
+}
+
+// IDs of the graph edges a finalResult selected: the MST or forest edges, the path to
+// the target, or every edge of the shortest-path tree when there is no target.
+// Directed edges only match when the path walks them from → to.
+function getResultEdgeIds(graph, finalResult) {
+    if (!graph || !Array.isArray(graph.edges) || !finalResult) return [];
+
+    if (Array.isArray(finalResult.mstEdges)) {
+        return graph.edges.filter(edge => finalResult.mstEdges.some(mstEdge =>
+            (mstEdge.id && mstEdge.id === edge.id) ||
+            (mstEdge.from === edge.from && mstEdge.to === edge.to) ||
+            (mstEdge.from === edge.to && mstEdge.to === edge.from)
+        )).map(edge => edge.id);
+    }
+
+    let paths = [];
+    if (Array.isArray(finalResult.path)) {
+        paths = [finalResult.path];
+    } else if (finalResult.shortestPaths && !finalResult.hasNegativeCycle) {
+        const target = finalResult.targetNode && finalResult.shortestPaths[finalResult.targetNode];
+        paths = (target ? [target] : Object.values(finalResult.shortestPaths))
+            .map(pathData => (pathData && pathData.path) || []);
+    }
+
+    return graph.edges.filter(edge => {
+        const directed = isDirectedEdge(graph, edge);
+        return paths.some(path => {
+            for (let i = 0; i < path.length - 1; i++) {
+                if ((path[i] === edge.from && path[i + 1] === edge.to) ||
+                    (!directed && path[i] === edge.to && path[i + 1] === edge.from)) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }).map(edge => edge.id);
+}
+
 module.exports = {
     UnionFind,
+    BinaryHeap,
+    IndexedBinaryHeap,
     validateGraph,
-    createAdjacencyList
+    isDirectedEdge,
+    isDirectedGraph,
+    createAdjacencyList,
+    getShortestPaths,
+    getSpanningTrees,
+    getResultEdgeIds
 };
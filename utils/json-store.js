@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Saved permalinks and graphs live in DATA_DIR (default: data/ next to server.js)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * A directory of JSON files, one per entry, so a write only touches its own entry. The
+ * size of every entry is indexed in memory, which makes the limits on entry count
+ * (`maxEntries`) and total size (`maxBytes`) free to check; going over one throws an
+ * error with status 413. With `cache` the entries themselves are kept in memory too.
+ * Writes go to a temporary file that is then renamed over the old one, so a crash
+ * mid-write leaves the previous version intact.
+ */
+function createJsonStore(dirname, options = {}) {
+    const { maxEntries = Infinity, maxBytes = Infinity, cache = false, label = 'entries' } = options;
+    const dir = path.join(DATA_DIR, dirname);
+    let sizes = null;
+    let totalBytes = 0;
+    const cached = new Map();
+
+    const fileFor = id => path.join(dir, `${encodeURIComponent(id)}.json`);
+
+    function index() {
+        if (sizes !== null) return sizes;
+
+        sizes = new Map();
+        let names = [];
+        try {
+            names = fs.readdirSync(dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read ${dir}: ${error.message}`);
+            }
+        }
+
+        names.filter(name => name.endsWith('.json')).forEach(name => {
+            const size = fs.statSync(path.join(dir, name)).size;
+            sizes.set(decodeURIComponent(name.slice(0, -'.json'.length)), size);
+            totalBytes += size;
+        });
+        return sizes;
+    }
+
+    function has(id) {
+        return index().has(String(id));
+    }
+
+    function get(id) {
+        if (!has(id)) return null;
+        if (cached.has(id)) return cached.get(id);
+
+        const value = JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+        if (cache) cached.set(id, value);
+        return value;
+    }
+
+    function values() {
+        return [...index().keys()].map(get);
+    }
+
+    function set(id, value) {
+        const json = JSON.stringify(value);
+        const bytes = Buffer.byteLength(json);
+        const previous = index().get(id);
+
+        if (previous === undefined && sizes.size >= maxEntries) {
+            throw storeFull(`The server already stores ${maxEntries} ${label} and cannot take more`);
+        }
+        if (totalBytes - (previous || 0) + bytes > maxBytes) {
+            throw storeFull(`The server has no room left for more ${label}`);
+        }
+
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(id);
+        const temporary = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, json);
+        fs.renameSync(temporary, file);
+
+        sizes.set(id, bytes);
+        totalBytes += bytes - (previous || 0);
+        if (cache) cached.set(id, value);
+    }
+
+    function remove(id) {
+        if (!has(id)) return;
+
+        fs.rmSync(fileFor(id), { force: true });
+        totalBytes -= sizes.get(id);
+        sizes.delete(id);
+        cached.delete(id);
+    }
+
+    return { dir, has, get, values, set, remove };
+}
+
+function storeFull(message) {
+    const error = new Error(message);
+    error.status = 413;
+    return error;
+}
+
+module.exports = {
+    DATA_DIR,
+    createJsonStore
+};
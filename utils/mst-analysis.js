@@ -0,0 +1,218 @@
+const { UnionFind, validateGraph } = require('./graph-utils');
+const { createEdgeOrder, getEdgeKey } = require('./tie-break');
+
+// Counting takes a determinant per weight class; listing trees is only offered for small graphs
+const MAX_COUNT_NODES = 200;
+const MAX_ENUMERATION_NODES = 30;
+const DEFAULT_TREE_LIMIT = 50;
+const MAX_TREE_LIMIT = 1000;
+
+// Kirchhoff's matrix-tree theorem: the number of spanning trees of a connected multigraph
+// is any cofactor of its Laplacian. Bareiss elimination keeps every entry an integer, so
+// the determinant is exact in BigInt however large it gets.
+function countSpanningTrees(vertices, ends) {
+    if (vertices.length <= 1) return 1n;
+
+    const index = new Map(vertices.map((vertex, i) => [vertex, i]));
+    const size = vertices.length - 1;
+    const matrix = Array.from({ length: size }, () => new Array(size).fill(0n));
+
+    ends.forEach(([a, b]) => {
+        const i = index.get(a);
+        const j = index.get(b);
+        if (i < size) matrix[i][i]++;
+        if (j < size) matrix[j][j]++;
+        if (i < size && j < size) {
+            matrix[i][j]--;
+            matrix[j][i]--;
+        }
+    });
+
+    let sign = 1n;
+    let previousPivot = 1n;
+    for (let column = 0; column < size; column++) {
+        const pivot = matrix.findIndex((row, i) => i >= column && row[column] !== 0n);
+        if (pivot === -1) return 0n;
+
+        if (pivot !== column) {
+            [matrix[pivot], matrix[column]] = [matrix[column], matrix[pivot]];
+            sign = -sign;
+        }
+
+        for (let row = column + 1; row < size; row++) {
+            for (let k = column + 1; k < size; k++) {
+                matrix[row][k] = (matrix[row][k] * matrix[column][column] - matrix[row][column] * matrix[column][k]) / previousPivot;
+            }
+            matrix[row][column] = 0n;
+        }
+        previousPivot = matrix[column][column];
+    }
+
+    return sign * matrix[size - 1][size - 1];
+}
+
+// Number of maximal forests of one weight class: the product of the spanning tree counts
+// of the connected pieces of its contracted multigraph
+function countClassChoices(weightClass) {
+    const roots = [...new Set(weightClass.ends.flat())];
+    const position = new Map(roots.map((root, i) => [root, i]));
+    const pieces = new UnionFind(roots.length);
+    weightClass.ends.forEach(([a, b]) => pieces.union(position.get(a), position.get(b)));
+
+    const byPiece = new Map();
+    roots.forEach(root => {
+        const piece = pieces.find(position.get(root));
+        if (!byPiece.has(piece)) byPiece.set(piece, { vertices: [], ends: [] });
+        byPiece.get(piece).vertices.push(root);
+    });
+    weightClass.ends.forEach(end => byPiece.get(pieces.find(position.get(end[0]))).ends.push(end));
+
+    return [...byPiece.values()].reduce((product, piece) => product * countSpanningTrees(piece.vertices, piece.ends), 1n);
+}
+
+// Every maximal forest of one weight class, as lists of candidate indices. Candidates are in
+// tie-break order and are tried "take" before "skip", so the first forest is Kruskal's choice.
+function listClassChoices(weightClass, limit) {
+    const { ends, merges } = weightClass;
+    const choices = [];
+    const parent = new Map();
+    const find = vertex => {
+        while (parent.has(vertex) && parent.get(vertex) !== vertex) vertex = parent.get(vertex);
+        return vertex;
+    };
+
+    const visit = (index, taken) => {
+        if (choices.length >= limit) return;
+        if (taken.length === merges) {
+            choices.push([...taken]);
+            return;
+        }
+        if (ends.length - index < merges - taken.length) return;
+
+        const [a, b] = ends[index];
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) {
+            parent.set(rootA, rootB);
+            taken.push(index);
+            visit(index + 1, taken);
+            taken.pop();
+            parent.delete(rootA);
+        }
+        visit(index + 1, taken);
+    };
+
+    visit(0, []);
+    return choices;
+}
+
+/**
+ * Whether the minimum spanning tree (or forest) of an undirected graph is unique, how many
+ * there are, and, for graphs of up to MAX_ENUMERATION_NODES nodes, the trees themselves.
+ *
+ * Kruskal's run splits into weight classes. The components left by the lighter classes do
+ * not depend on which MST is built, so each class contributes its choices independently:
+ * any maximal forest of its edges between those components. The MST is unique exactly
+ * when no class has a choice.
+ */
+function analyzeMinimumSpanningTrees(graph, options = {}) {
+    validateGraph(graph, { allowDirected: false });
+
+    const limit = options.limit === undefined ? DEFAULT_TREE_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TREE_LIMIT) {
+        throw new Error(`limit must be an integer between 1 and ${MAX_TREE_LIMIT}`);
+    }
+
+    const edgeOrder = createEdgeOrder(graph, options.tieBreak);
+    const nodeIndex = new Map();
+    graph.nodes.forEach((node, index) => {
+        if (node && node.id !== undefined) nodeIndex.set(node.id, index);
+    });
+
+    const edges = graph.edges
+        .filter(edge => edge && edge.from !== edge.to && nodeIndex.has(edge.from) && nodeIndex.has(edge.to))
+        .sort(edgeOrder.compare);
+
+    const uf = new UnionFind(graph.nodes.length);
+    const classes = [];
+    for (let start = 0; start < edges.length;) {
+        const weight = edges[start].weight || 0;
+        let end = start;
+        while (end < edges.length && (edges[end].weight || 0) === weight) end++;
+
+        const candidates = edges.slice(start, end)
+            .filter(edge => !uf.connected(nodeIndex.get(edge.from), nodeIndex.get(edge.to)));
+        const ends = candidates.map(edge => [uf.find(nodeIndex.get(edge.from)), uf.find(nodeIndex.get(edge.to))]);
+
+        let merges = 0;
+        candidates.forEach(edge => {
+            if (uf.union(nodeIndex.get(edge.from), nodeIndex.get(edge.to))) merges++;
+        });
+
+        if (candidates.length > 0) {
+            classes.push({ weight, candidates, ends, merges });
+        }
+        start = end;
+    }
+
+    const ties = classes.filter(weightClass => weightClass.candidates.length > weightClass.merges);
+    const roots = new Set(graph.nodes.map((node, index) => uf.find(index)));
+    const totalCost = classes.reduce((sum, weightClass) => sum + weightClass.weight * weightClass.merges, 0);
+
+    const exactCount = graph.nodes.length <= MAX_COUNT_NODES
+        ? ties.reduce((product, weightClass) => product * countClassChoices(weightClass), 1n)
+        : null;
+
+    let trees = null;
+    let truncated = false;
+    if (graph.nodes.length <= MAX_ENUMERATION_NODES) {
+        // Cartesian product of the per-class choices, the earlier classes varying slowest
+        const perClass = classes.map(weightClass => listClassChoices(weightClass, limit)
+            .map(choice => choice.map(index => weightClass.candidates[index])));
+
+        trees = [[]];
+        perClass.forEach(choices => {
+            const next = [];
+            for (const prefix of trees) {
+                for (const choice of choices) {
+                    if (next.length >= limit) break;
+                    next.push([...prefix, ...choice]);
+                }
+            }
+            trees = next;
+        });
+
+        truncated = exactCount === null || BigInt(trees.length) < exactCount;
+        trees = trees.map(treeEdges => ({
+            edgeIds: treeEdges.map(getEdgeKey),
+            totalCost
+        }));
+    }
+
+    // Counts beyond what a JSON number holds exactly are sent as decimal strings
+    let count = null;
+    if (exactCount !== null) {
+        count = exactCount <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(exactCount) : exactCount.toString();
+    }
+
+    return {
+        unique: ties.length === 0,
+        count,
+        totalCost,
+        connected: roots.size <= 1,
+        tieBreak: edgeOrder.tieBreak,
+        ties: ties.map(weightClass => ({
+            weight: weightClass.weight,
+            edgeIds: weightClass.candidates.map(getEdgeKey),
+            chosen: weightClass.merges
+        })),
+        trees,
+        truncated
+    };
+}
+
+module.exports = {
+    MAX_ENUMERATION_NODES,
+    MAX_TREE_LIMIT,
+    analyzeMinimumSpanningTrees
+};
@@ -0,0 +1,31 @@
+// mulberry32: small, fast and good enough to make generated graphs and layouts
+// reproducible from a seed
+function createRng(seed) {
+    // String seeds are hashed (FNV-1a) so "week3" and 42 are both valid
+    let state = 2166136261;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+    }
+
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomInt(rng, min, max) {
+    return min + Math.floor(rng() * (max - min + 1));
+}
+
+// A fresh seed for callers that did not pass one; returned to the user so results can be reproduced
+function newSeed() {
+    return String(Math.floor(Math.random() * 4294967296));
+}
+
+module.exports = {
+    createRng,
+    randomInt,
+    newSeed
+};
@@ -0,0 +1,90 @@
+// How the MST algorithms order edges of equal weight. Every rule ends in input order,
+// so it is a strict total order on the edges: the MST under it is unique and Kruskal,
+// Prim and Borůvka all return the same tree.
+const TIE_BREAKS = {
+    'input-order': {
+        label: 'Input order',
+        description: 'the order the edges are listed in'
+    },
+    'edge-id': {
+        label: 'Edge ID (A to Z)',
+        description: 'edge ID, A to Z'
+    },
+    'node-label': {
+        label: 'Node labels (A to Z)',
+        description: 'the labels of the two endpoints, A to Z'
+    }
+};
+
+const DEFAULT_TIE_BREAK = 'input-order';
+
+// Declared by each MST algorithm, so the choice shows up in its input panel and trace params
+const TIE_BREAK_INPUT = {
+    name: 'tieBreak',
+    label: 'Equal Weights',
+    type: 'select',
+    options: Object.entries(TIE_BREAKS).map(([value, rule]) => ({ value, label: rule.label })),
+    default: DEFAULT_TIE_BREAK
+};
+
+function compareText(a, b) {
+    return String(a).localeCompare(String(b), 'en', { numeric: true });
+}
+
+function getEdgeKey(edge) {
+    return edge.id || `${edge.from}-${edge.to}`;
+}
+
+/**
+ * Orders edges by weight, then by the tie-break rule. Edges are matched to the graph by
+ * ID (or "from-to" when they have none), so copies such as Prim's heap entries compare
+ * like the originals. Returns { tieBreak, compare(a, b), describe() }.
+ */
+function createEdgeOrder(graph, tieBreak) {
+    const ruleId = tieBreak || DEFAULT_TIE_BREAK;
+    if (!Object.hasOwn(TIE_BREAKS, ruleId)) {
+        throw new Error(`Unknown tie-break rule '${tieBreak}'. Use one of: ${Object.keys(TIE_BREAKS).join(', ')}`);
+    }
+
+    const labels = new Map(graph.nodes.filter(Boolean).map(node => [node.id, node.label || node.id]));
+    const endpointLabels = edge => [labels.get(edge.from) ?? edge.from, labels.get(edge.to) ?? edge.to]
+        .map(String)
+        .sort(compareText);
+
+    const ruleCompare = {
+        'input-order': () => 0,
+        'edge-id': (a, b) => compareText(getEdgeKey(a), getEdgeKey(b)),
+        'node-label': (a, b) => {
+            const [a1, a2] = endpointLabels(a);
+            const [b1, b2] = endpointLabels(b);
+            return compareText(a1, b1) || compareText(a2, b2);
+        }
+    }[ruleId];
+
+    // Position of every edge once equal weights are ordered by the rule
+    const rank = new Map();
+    graph.edges
+        .map((edge, order) => ({ edge, order }))
+        .filter(({ edge }) => edge)
+        .sort((a, b) => ruleCompare(a.edge, b.edge) || a.order - b.order)
+        .forEach(({ edge }, position) => {
+            const key = getEdgeKey(edge);
+            if (!rank.has(key)) rank.set(key, position);
+        });
+
+    const getRank = edge => rank.get(getEdgeKey(edge)) ?? rank.size;
+
+    return {
+        tieBreak: ruleId,
+        compare: (a, b) => ((a.weight || 0) - (b.weight || 0)) || (getRank(a) - getRank(b)),
+        describe: () => `Equal weights are ordered by ${TIE_BREAKS[ruleId].description}.`
+    };
+}
+
+module.exports = {
+    TIE_BREAKS,
+    DEFAULT_TIE_BREAK,
+    TIE_BREAK_INPUT,
+    createEdgeOrder,
+    getEdgeKey
+};
@@ -0,0 +1,140 @@
+// Delta-encoded traces keep a full keyframe every `keyframeInterval` steps and, for the
+// steps in between, only a JSON Patch (RFC 6902) against the step before. Consecutive
+// steps mostly repeat the same edge lists and distance maps, so the payload grows with
+// the number of changes instead of steps × graph size.
+
+const TRACE_ENCODINGS = ['full', 'delta'];
+const DEFAULT_KEYFRAME_INTERVAL = 20;
+const MAX_KEYFRAME_INTERVAL = 1000;
+// Without an explicit keyframeInterval, keyframes are spaced so that each step carries
+// about this many bytes of them. A step that lists every edge then gets keyframes rarely
+// enough that the payload grows with the number of steps, not steps × graph size.
+const KEYFRAME_BYTES_PER_STEP = 1024;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+function pointer(path, key) {
+    return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function diffValues(before, after, path, ops) {
+    if (before === after) return;
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        // Only the part between the unchanged head and tail is diffed, so an item
+        // pushed into or popped from a sorted queue costs a single operation
+        let head = 0;
+        while (head < before.length && head < after.length && isEqual(before[head], after[head])) head++;
+
+        let tail = 0;
+        while (tail < before.length - head && tail < after.length - head &&
+            isEqual(before[before.length - 1 - tail], after[after.length - 1 - tail])) tail++;
+
+        const itemOps = [];
+        const beforeEnd = before.length - tail;
+        const afterEnd = after.length - tail;
+        const shared = Math.min(beforeEnd, afterEnd);
+
+        for (let index = head; index < shared; index++) {
+            diffValues(before[index], after[index], pointer(path, index), itemOps);
+        }
+        for (let index = shared; index < afterEnd; index++) {
+            itemOps.push({ op: 'add', path: pointer(path, index), value: after[index] });
+        }
+        for (let index = beforeEnd - 1; index >= shared; index--) {
+            itemOps.push({ op: 'remove', path: pointer(path, index) });
+        }
+
+        // A reordered or shifted array is cheaper to send whole
+        if (itemOps.length >= Math.max(after.length, 1)) {
+            ops.push({ op: 'replace', path, value: after });
+        } else {
+            ops.push(...itemOps);
+        }
+        return;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        Object.keys(before).forEach(key => {
+            if (!(key in after)) ops.push({ op: 'remove', path: pointer(path, key) });
+        });
+        Object.keys(after).forEach(key => {
+            if (key in before) {
+                diffValues(before[key], after[key], pointer(path, key), ops);
+            } else {
+                ops.push({ op: 'add', path: pointer(path, key), value: after[key] });
+            }
+        });
+        return;
+    }
+
+    ops.push({ op: 'replace', path, value: after });
+}
+
+// JSON Patch that turns one step into the next
+function diffSteps(before, after) {
+    const ops = [];
+    diffValues(before, after, '', ops);
+    return ops;
+}
+
+// Entry `index` of a delta trace, given the step before it
+function encodeDeltaStep(previous, step, index, keyframeInterval = DEFAULT_KEYFRAME_INTERVAL) {
+    return index % keyframeInterval === 0
+        ? { action: step.action, keyframe: step }
+        : { action: step.action, patch: diffSteps(previous, step) };
+}
+
+// Picks the keyframe interval from the size of the first step unless the request set one
+function resolveKeyframeInterval(encoding, firstStep) {
+    if (encoding.keyframeInterval) return encoding;
+
+    const interval = Math.ceil(JSON.stringify(firstStep).length / KEYFRAME_BYTES_PER_STEP);
+    return {
+        ...encoding,
+        keyframeInterval: Math.min(MAX_KEYFRAME_INTERVAL, Math.max(DEFAULT_KEYFRAME_INTERVAL, interval))
+    };
+}
+
+// Opt-in with ?encoding=delta, optionally with &keyframeInterval=N. Returns null for full traces;
+// without N the interval is left to resolveKeyframeInterval().
+function getTraceEncoding(req) {
+    const { encoding = 'full', keyframeInterval } = req.query;
+
+    if (!TRACE_ENCODINGS.includes(encoding)) {
+        throw new Error(`Unknown trace encoding '${encoding}'. Use one of: ${TRACE_ENCODINGS.join(', ')}`);
+    }
+    if (encoding === 'full') return null;
+
+    if (keyframeInterval === undefined) {
+        return { type: 'delta', keyframeInterval: null };
+    }
+
+    const interval = Number(keyframeInterval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_KEYFRAME_INTERVAL) {
+        throw new Error(`keyframeInterval must be an integer between 1 and ${MAX_KEYFRAME_INTERVAL}`);
+    }
+    return { type: 'delta', keyframeInterval: interval };
+}
+
+module.exports = {
+    DEFAULT_KEYFRAME_INTERVAL,
+    diffSteps,
+    encodeDeltaStep,
+    resolveKeyframeInterval,
+    getTraceEncoding
+};
@@ -0,0 +1,122 @@
+const { createTraceHeader, createStreamMessage } = require('./trace');
+const { getResultEdgeIds } = require('./graph-utils');
+const { encodeDeltaStep, resolveKeyframeInterval } = require('./trace-delta');
+
+const STREAM_FORMATS = {
+    ndjson: {
+        contentType: 'application/x-ndjson',
+        encode: message => `${JSON.stringify(message)}\n`
+    },
+    sse: {
+        contentType: 'text/event-stream',
+        encode: message => `event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`
+    }
+};
+
+// Steps written between yields to the event loop. Yielding is what lets a client
+// disconnect be noticed while the algorithm is still running.
+const STEPS_PER_TICK = 50;
+
+// Streaming is opt-in: ?stream=ndjson|sse, or an Accept header naming either format
+function getStreamFormat(req) {
+    const requested = req.query.stream;
+    if (requested) {
+        if (!STREAM_FORMATS[requested]) {
+            throw new Error(`Unknown stream format '${requested}'. Use one of: ${Object.keys(STREAM_FORMATS).join(', ')}`);
+        }
+        return requested;
+    }
+
+    const accept = req.get('Accept') || '';
+    return Object.keys(STREAM_FORMATS).find(name => accept.includes(STREAM_FORMATS[name].contentType)) || null;
+}
+
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Sends the trace as a start message, one message per step as the algorithm's generator
+// produces it, then an end (or error) message. Closing the connection cancels the run.
+// With a delta `encoding` the step messages carry keyframes and patches, so steps that
+// repeat the same edge lists cost only their changes.
+async function streamTrace(res, definition, graph, params, formatName, encoding = null) {
+    const format = STREAM_FORMATS[formatName];
+    const steps = definition.stream(graph, params);
+
+    // Invalid input fails on the first step, before any headers are sent,
+    // so the route can still answer with a normal 400
+    let next = steps.next();
+    const delta = encoding && !next.done ? resolveKeyframeInterval(encoding, next.value) : encoding;
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    res.status(200).set({
+        'Content-Type': format.contentType,
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (type, payload) => res.write(format.encode(createStreamMessage(type, payload)));
+
+    // The full step is validated before it is diffed against the one before
+    let previous = null;
+    const sendStep = step => {
+        if (!delta) return send('step', { step });
+
+        const encoded = createStreamMessage('step', { step }).step;
+        const entry = encodeDeltaStep(previous, encoded, stepCount, delta.keyframeInterval);
+        previous = encoded;
+        return send('step', entry);
+    };
+
+    let stepCount = 0;
+    try {
+        const header = createTraceHeader(definition, graph, params);
+        send('start', delta ? { ...header, encoding: delta } : header);
+
+        while (!next.done) {
+            const flushed = sendStep(next.value);
+            stepCount++;
+
+            if (!flushed) {
+                await waitForDrain(res);
+            } else if (stepCount % STEPS_PER_TICK === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            if (closed) {
+                steps.return();
+                console.log(`${definition.name} stream cancelled by the client after ${stepCount} steps`);
+                return;
+            }
+
+            next = steps.next();
+        }
+
+        const { finalResult } = next.value;
+        send('end', { stepCount, finalResult, resultEdgeIds: getResultEdgeIds(graph, finalResult) });
+    } catch (error) {
+        console.error(`${definition.name} stream error:`, error);
+        if (!closed) send('error', { message: error.message });
+    }
+
+    res.end();
+}
+
+module.exports = {
+    STREAM_FORMATS,
+    getStreamFormat,
+    streamTrace
+};
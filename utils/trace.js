@@ -0,0 +1,135 @@
+const Ajv = require('ajv/dist/2020');
+const traceSchema = require('../schemas/trace.schema.json');
+const { encodeDeltaStep, resolveKeyframeInterval } = require('./trace-delta');
+const { getResultEdgeIds } = require('./graph-utils');
+
+const TRACE_SCHEMA_VERSION = traceSchema.properties.schemaVersion.const;
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, discriminator: true });
+ajv.addSchema(traceSchema);
+const validate = ajv.getSchema(traceSchema.$id);
+const validateStep = ajv.getSchema(`${traceSchema.$id}#/$defs/step`);
+const validateMessage = ajv.getSchema(`${traceSchema.$id}#/$defs/streamMessage`);
+
+// JSON.stringify turns Infinity into null, which is indistinguishable from "no value".
+// Traces spell infinite distances out as "Infinity" / "-Infinity" instead.
+function encodeInfinity(value) {
+    if (value === Infinity) return 'Infinity';
+    if (value === -Infinity) return '-Infinity';
+    if (Array.isArray(value)) return value.map(encodeInfinity);
+
+    if (value && typeof value === 'object') {
+        const encoded = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            encoded[key] = encodeInfinity(entry);
+        });
+        return encoded;
+    }
+    return value;
+}
+
+function assertValid(validator, value, what) {
+    if (validator(value)) return;
+
+    const details = validator.errors.slice(0, 5)
+        .map(error => `${error.instancePath || '/'} ${error.message}`)
+        .join('; ');
+    const error = new Error(`${what} does not match schema ${TRACE_SCHEMA_VERSION}: ${details}`);
+    error.status = 500;
+    throw error;
+}
+
+function validateTrace(trace) {
+    assertValid(validate, trace, 'Trace');
+}
+
+// Everything in a trace except its steps and result. `params` is filtered down to the
+// inputs the algorithm declares; options left out are recorded with their default.
+function createTraceHeader(definition, graph, params) {
+    const input = { graph, params: {} };
+    definition.inputs.forEach(({ name, default: defaultValue }) => {
+        if (params && params[name] !== undefined) {
+            input.params[name] = params[name];
+        } else if (defaultValue !== undefined) {
+            input.params[name] = defaultValue;
+        }
+    });
+
+    return {
+        schemaVersion: TRACE_SCHEMA_VERSION,
+        algorithm: { id: definition.id, name: definition.name },
+        input
+    };
+}
+
+// Wraps an algorithm's { steps, finalResult } in the versioned envelope and checks it against the schema.
+function createTrace(definition, graph, params, result) {
+    const trace = encodeInfinity({
+        ...createTraceHeader(definition, graph, params),
+        steps: result.steps,
+        finalResult: result.finalResult,
+        resultEdgeIds: getResultEdgeIds(graph, result.finalResult)
+    });
+
+    validateTrace(trace);
+    return trace;
+}
+
+// Runs the algorithm and returns { algorithm, finalResult, stepCount, trace }, where
+// finalResult is the raw one (Infinity still a number). With a delta `encoding` each step
+// is validated and diffed against the one before as the generator yields it, so the full
+// steps are never all held at once.
+function runTrace(definition, graph, params, encoding = null) {
+    if (!encoding) {
+        const result = definition.run(graph, params);
+        return {
+            algorithm: result.algorithm,
+            finalResult: result.finalResult,
+            stepCount: result.steps.length,
+            trace: createTrace(definition, graph, params, result)
+        };
+    }
+
+    const steps = definition.stream(graph, params);
+    const entries = [];
+    let previous = null;
+    let next = steps.next();
+    const resolved = next.done ? encoding : resolveKeyframeInterval(encoding, next.value);
+
+    while (!next.done) {
+        const step = encodeInfinity(next.value);
+        assertValid(validateStep, step, `Step ${entries.length}`);
+        entries.push(encodeDeltaStep(previous, step, entries.length, resolved.keyframeInterval));
+        previous = step;
+        next = steps.next();
+    }
+
+    const { algorithm, finalResult } = next.value;
+    const trace = {
+        ...encodeInfinity(createTraceHeader(definition, graph, params)),
+        steps: entries,
+        ...encodeInfinity({ finalResult, resultEdgeIds: getResultEdgeIds(graph, finalResult) }),
+        encoding: resolved
+    };
+
+    validateTrace(trace);
+    return { algorithm, finalResult, stepCount: entries.length, trace };
+}
+
+// One message of a streamed trace: { type: 'start' | 'step' | 'end' | 'error', ... }
+function createStreamMessage(type, payload) {
+    const message = encodeInfinity({ type, ...payload });
+    assertValid(validateMessage, message, `Stream message '${type}'`);
+    return message;
+}
+
+module.exports = {
+    TRACE_SCHEMA_VERSION,
+    traceSchema,
+    encodeInfinity,
+    validateTrace,
+    createTraceHeader,
+    createTrace,
+    runTrace,
+    createStreamMessage
+};